@@ -0,0 +1,60 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs')
+const path = require('path')
+const { getAuditLogPath } = require('./cloudmanager-helpers')
+
+/**
+ * Appends an entry to the audit log, creating the file (and its directory) if necessary.
+ * The log has one JSON object per line, so it is never rewritten.
+ * @param {object} entry the entry, including the user who made the decision. timestamp is added unless already set
+ * @returns {object} the entry as written
+ */
+async function appendAuditEntry(entry) {
+    const file = await getAuditLogPath()
+    const written = {
+        timestamp: new Date().toISOString(),
+        ...entry
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.appendFileSync(file, `${JSON.stringify(written)}\n`)
+    return written
+}
+
+/**
+ * Reads all entries of the audit log, oldest first.
+ * @returns {object[]} the entries, empty if there is no audit log yet
+ */
+async function readAuditLog() {
+    const file = await getAuditLogPath()
+    if (!fs.existsSync(file)) {
+        return []
+    }
+    const entries = []
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+        if (line.trim() === '') {
+            return
+        }
+        try {
+            entries.push(JSON.parse(line))
+        } catch (e) {
+            throw new Error(`Audit log ${file} is corrupt at line ${index + 1}`)
+        }
+    })
+    return entries
+}
+
+module.exports = {
+    appendAuditEntry,
+    readAuditLog
+}
@@ -16,12 +16,115 @@ const zlib = require('zlib')
 const halfred = require('halfred')
 const UriTemplate = require('uritemplate')
 const fs = require("fs")
+const path = require("path")
 const util = require("util")
-const streamPipeline = util.promisify(require("stream").pipeline)
+const crypto = require("crypto")
 const _ = require("lodash")
+const moment = require('moment')
+const { Writable } = require("stream")
+const streamPipeline = util.promisify(require("stream").pipeline)
 
 const { rels, basePath } = require('./constants')
-const { getBaseUrl, getCurrentStep, getWaitingStep } = require('./cloudmanager-helpers')
+const { AlreadyRunningError, CloudManagerError, ConflictError, NotFoundError, errorFromResponse } = require('./errors')
+const { buildPipelinePatch } = require('./pipeline-definition')
+const { LogFilterStream } = require('./log-filter')
+const { getBaseUrl, getCurrentStep, getRetryPolicy, getWaitingStep, mapWithConcurrency } = require('./cloudmanager-helpers')
+
+const idempotentMethods = ['GET', 'HEAD', 'PUT']
+const transientStatuses = [502, 503, 504]
+
+// the steps whose reports belong to each quality gate
+const stepArtifactActions = {
+    codeQuality: ['codeQuality'],
+    security: ['securityTest'],
+    performance: ['loadTest', 'assetsTest', 'reportPerformanceTest']
+}
+const artifactExtensions = {
+    'text/csv': '.csv',
+    'application/zip': '.zip',
+    'application/json': '.json'
+}
+
+const defaultDownloadConcurrency = 3
+const downloadManifestFile = '.cloudmanager-downloads.json'
+
+function digestOf(file, algorithm, encoding = 'hex') {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm)
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest(encoding)))
+    })
+}
+
+// a file is taken to be unchanged if everything the file store reports about it is the same, provided it reports anything
+function isSameRemoteFile(previous, remote) {
+    const properties = ['size', 'md5', 'etag'].filter(property => remote[property] !== undefined)
+    return properties.length > 0 && properties.every(property => previous[property] === remote[property])
+}
+
+function readManifest(outputDirectory) {
+    const manifestPath = path.join(outputDirectory, downloadManifestFile)
+    let files = {}
+    if (fs.existsSync(manifestPath)) {
+        try {
+            files = JSON.parse(fs.readFileSync(manifestPath, 'utf8')).files || {}
+        } catch (error) {
+            debug(`Ignoring unreadable download manifest ${manifestPath}: ${error.message}`)
+        }
+    }
+    return { path: manifestPath, files }
+}
+
+// the manifest is written after each file, so that an interrupted run can still skip the files it completed
+function recordDownload(manifest, fileName, entry) {
+    manifest.files[fileName] = entry
+    fs.writeFileSync(manifest.path, JSON.stringify({ files: manifest.files }, null, 2))
+}
+
+// variables have no links, so they are returned as they are
+function variablesOf(json) {
+    return (halfred.parse(json).embeddedArray('variables') || []).map(variable => variable.original())
+}
+
+function shouldRetry(res, method) {
+    return res.status === 429 || (idempotentMethods.includes(method) && transientStatuses.includes(res.status))
+}
+
+/**
+ * Returns the number of milliseconds to wait before the next attempt. The Retry-After header,
+ * either in seconds or as an HTTP date, takes precedence over exponential backoff with full jitter.
+ */
+function retryDelay(res, attempt, retryPolicy) {
+    const retryAfter = res && res.headers.get("retry-after")
+    if (retryAfter) {
+        const delay = /^\d+$/.test(retryAfter) ? parseInt(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now()
+        if (!isNaN(delay)) {
+            return Math.min(Math.max(delay, 0), retryPolicy.maxRetryDelay)
+        }
+    }
+    return Math.floor(Math.random() * Math.min(retryPolicy.maxRetryDelay, retryPolicy.retryDelay * Math.pow(2, attempt)))
+}
+
+function matchesExecutionFilters(execution, filters) {
+    if (filters.status && execution.status !== filters.status) {
+        return false
+    }
+    if (filters.trigger && execution.trigger !== filters.trigger) {
+        return false
+    }
+    if (filters.user && execution.user !== filters.user) {
+        return false
+    }
+    if (filters.since && moment(execution.createdAt).isBefore(filters.since)) {
+        return false
+    }
+    if (filters.until && moment(execution.createdAt).isAfter(filters.until)) {
+        return false
+    }
+    return true
+}
 
 class Client {
 
@@ -33,14 +136,18 @@ class Client {
 
     async _doRequest(path, method, body) {
         const baseUrl = await getBaseUrl()
+        const retryPolicy = await getRetryPolicy()
         const url = `${baseUrl}${path}`
+        const requestId = crypto.randomBytes(16).toString('hex')
         const options = {
             method: method,
+            timeout: retryPolicy.requestTimeout,
             headers: {
                 'x-gw-ims-org-id': this.orgId,
                 'X-Api-Key': this.apiKey,
                 Authorization: `Bearer ${this.accessToken}`,
-                accept: 'application/json'
+                accept: 'application/json',
+                'x-request-id': requestId
             }
         }
         if (body) {
@@ -48,8 +155,28 @@ class Client {
             options.headers['content-type'] = 'application/json'
         }
 
-        debug(`fetch: ${url}`)
-        return fetch(url, options)
+        for (let attempt = 0; ; attempt++) {
+            debug(`fetch: ${method} ${url} (request id ${requestId}, attempt ${attempt + 1})`)
+            let res
+            try {
+                res = await fetch(url, options)
+            } catch (error) {
+                if (!idempotentMethods.includes(method) || attempt >= retryPolicy.maxRetries) {
+                    throw error
+                }
+                const delay = retryDelay(null, attempt, retryPolicy)
+                debug(`fetch failed: ${method} ${url} (request id ${requestId}): ${error.message}. Retrying in ${delay}ms`)
+                await sleep(delay)
+                continue
+            }
+            if (attempt < retryPolicy.maxRetries && shouldRetry(res, method)) {
+                const delay = retryDelay(res, attempt, retryPolicy)
+                debug(`fetch returned ${res.status}: ${method} ${url} (request id ${requestId}). Retrying in ${delay}ms`)
+                await sleep(delay)
+                continue
+            }
+            return res
+        }
     }
 
     async get(path) {
@@ -64,14 +191,18 @@ class Client {
         return this._doRequest(path, 'DELETE')
     }
 
+    async post(path, body) {
+        return this._doRequest(path, 'POST', body)
+    }
+
     async patch(path, body) {
         return this._doRequest(path, 'PATCH', body)
     }
 
     async _listPrograms() {
-        return this.get(basePath).then((res) => {
+        return this.get(basePath).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot retrieve programs: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot retrieve programs: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -81,32 +212,56 @@ class Client {
     }
 
     async getProgram(path) {
-        return this.get(path).then((res) => {
+        return this.get(path).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot retrieve program: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot retrieve program: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
+    async _findProgram(programId) {
+        const programs = await this.listPrograms();
+        const program = programs.find(p => p.id === programId);
+        if (!program) {
+            throw new NotFoundError(`Could not find program ${programId}`)
+        }
+        return halfred.parse(await this.getProgram(program.link(rels.self).href))
+    }
+
+    /**
+     * Gets everything the program resource exposes, along with the number of its environments and pipelines.
+     * @returns {object} the program, with environmentsCount and pipelinesCount, which are undefined if the program does not link to them
+     */
+    async getProgramDetails(programId) {
+        const program = await this._findProgram(programId)
+
+        const count = async (rel, list, name) => {
+            if (!program.link(rel)) {
+                return undefined
+            }
+            const result = await list.call(this, program.link(rel).href)
+            return ((result && halfred.parse(result).embeddedArray(name)) || []).length
+        }
+        const [environmentsCount, pipelinesCount] = await Promise.all([
+            count(rels.environments, this._listEnvironments, 'environments'),
+            count(rels.pipelines, this._listPipelines, 'pipelines')
+        ])
+        return { ...program.original(), environmentsCount, pipelinesCount }
+    }
+
     async _listPipelines(path) {
-        return this.get(path).then((res) => {
+        return this.get(path).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot retrieve pipelines: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot retrieve pipelines: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
     async listPipelines(programId, options) {
-        const programs = await this.listPrograms();
-        let program = programs.find(p => p.id === programId);
-        if (!program) {
-            throw new Error(`Could not find program ${programId}`)
-        }
-        program = await this.getProgram(program.link(rels.self).href)
-        program = halfred.parse(program)
+        const program = await this._findProgram(programId)
 
         const result = await this._listPipelines(program.link(rels.pipelines).href)
         let pipelines = result && halfred.parse(result).embeddedArray('pipelines')
         if (!pipelines) {
-            throw new Error(`Could not find pipelines for program ${programId}`)
+            throw new NotFoundError(`Could not find pipelines for program ${programId}`)
         }
         if (options && options.busy) {
             pipelines = pipelines.filter(pipeline => pipeline.status === "BUSY")
@@ -114,17 +269,84 @@ class Client {
         return pipelines
     }
 
+    async _listAllPages(href, name, description) {
+        const items = []
+        while (href) {
+            const page = halfred.parse(await this.get(href).then(async (res) => {
+                if (res.ok) return res.json()
+                else throw await errorFromResponse(res, `Cannot retrieve ${description}: ${res.url} (${res.status} ${res.statusText})`)
+            }))
+            items.push(...(page.embeddedArray(name) || []))
+            href = page.link(rels.next) && page.link(rels.next).href
+        }
+        return items
+    }
+
+    /**
+     * Lists the git repositories of a program, which pipelines build from.
+     * @returns {object[]} the repositories, each with its id and name (repo)
+     */
+    async listRepositories(programId) {
+        const program = await this._findProgram(programId)
+        if (!program.link(rels.repositories)) {
+            throw new NotFoundError(`Could not find repositories link for program ${programId}`)
+        }
+        return this._listAllPages(program.link(rels.repositories).href, 'repositories', 'repositories')
+    }
+
+    /**
+     * Lists the branches of one of the git repositories of a program.
+     * @returns {object[]} the branches, each with its name
+     */
+    async listBranches(programId, repositoryId) {
+        const repositories = await this.listRepositories(programId)
+        const repository = repositories.find(r => r.id === String(repositoryId))
+        if (!repository) {
+            throw new NotFoundError(`Could not find repository ${repositoryId} for program ${programId}`)
+        }
+        if (!repository.link(rels.branches)) {
+            throw new NotFoundError(`Could not find branches link for repository ${repositoryId} for program ${programId}`)
+        }
+        return this._listAllPages(repository.link(rels.branches).href, 'branches', 'branches')
+    }
+
+    // tags, given as refs/tags/NAME, are not listed as branches and are left for Cloud Manager to check,
+    // as are all branches of programs whose repositories cannot be listed
+    async _checkBuildPhases(programId, phases) {
+        const program = await this._findProgram(programId)
+        if (!program.link(rels.repositories)) {
+            return
+        }
+        for (const phase of phases.filter(phase => phase.type === 'BUILD' && !String(phase.branch).startsWith('refs/tags/'))) {
+            const branches = await this.listBranches(programId, phase.repositoryId)
+            if (!branches.some(branch => branch.name === phase.branch)) {
+                throw new NotFoundError(`Branch ${phase.branch} does not exist in repository ${phase.repositoryId}. The branches can be listed with list-branches ${phase.repositoryId}`)
+            }
+        }
+    }
+
+    async createPipeline(programId, definition) {
+        await this._checkBuildPhases(programId, definition.phases || [])
+
+        const program = await this._findProgram(programId)
+
+        return this.post(program.link(rels.pipelines).href, definition).then(async (res) => {
+            if (res.ok) return res.json()
+            else throw await errorFromResponse(res, `Cannot create pipeline: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
     async startExecution(programId, pipelineId) {
         const pipelines = await this.listPipelines(programId)
         const pipeline = pipelines.find(p => p.id === pipelineId)
         if (!pipeline) {
-            throw new Error(`Cannot start execution. Pipeline ${pipelineId} does not exist.`)
+            throw new NotFoundError(`Cannot start execution. Pipeline ${pipelineId} does not exist.`)
         }
 
-        return this.put(pipeline.link(rels.execution).href).then((res) => {
+        return this.put(pipeline.link(rels.execution).href).then(async (res) => {
             if (res.ok) return res.headers.get("location")
-            else if (res.status === 412) throw new Error("Cannot create execution. Pipeline already running.")
-            else throw new Error(`Cannot start execution: ${res.url} (${res.status} ${res.statusText})`)
+            else if (res.status === 412) throw await errorFromResponse(res, "Cannot create execution. Pipeline already running.", AlreadyRunningError)
+            else throw await errorFromResponse(res, `Cannot start execution: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -132,12 +354,12 @@ class Client {
         const pipelines = await this.listPipelines(programId)
         const pipeline = pipelines.find(p => p.id === pipelineId)
         if (!pipeline) {
-            throw new Error(`Cannot get execution. Pipeline ${pipelineId} does not exist.`)
+            throw new NotFoundError(`Cannot get execution. Pipeline ${pipelineId} does not exist.`)
         }
 
-        return this.get(pipeline.link(rels.execution).href).then((res) => {
+        return this.get(pipeline.link(rels.execution).href).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot get current execution: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot get current execution: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -145,16 +367,43 @@ class Client {
         const pipelines = await this.listPipelines(programId)
         const pipeline = pipelines.find(p => p.id === pipelineId)
         if (!pipeline) {
-            throw new Error(`Cannot get execution. Pipeline ${pipelineId} does not exist.`)
+            throw new NotFoundError(`Cannot get execution. Pipeline ${pipelineId} does not exist.`)
         }
         const executionTemplate = UriTemplate.parse(pipeline.link(rels.executionId).href)
         const executionLink = executionTemplate.expand({executionId: executionId})
-        return this.get(executionLink).then((res) => {
+        return this.get(executionLink).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot get execution: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot get execution: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
+    async listExecutions(programId, pipelineId, filters = {}) {
+        const pipelines = await this.listPipelines(programId)
+        const pipeline = pipelines.find(p => p.id === pipelineId)
+        if (!pipeline) {
+            throw new NotFoundError(`Cannot list executions. Pipeline ${pipelineId} does not exist.`)
+        }
+        if (!pipeline.link(rels.executions)) {
+            throw new NotFoundError(`Cannot list executions. Pipeline ${pipelineId} does not have an execution history.`)
+        }
+
+        const executions = []
+        let href = pipeline.link(rels.executions).href
+        while (href) {
+            const page = halfred.parse(await this.get(href).then(async (res) => {
+                if (res.ok) return res.json()
+                else throw await errorFromResponse(res, `Cannot list executions: ${res.url} (${res.status} ${res.statusText})`)
+            }))
+            const pageExecutions = (page.embeddedArray('executions') || []).map(execution => execution.original())
+            executions.push(...pageExecutions.filter(execution => matchesExecutionFilters(execution, filters)))
+            if (filters.limit && executions.length >= filters.limit) {
+                return executions.slice(0, filters.limit)
+            }
+            href = page.link(rels.next) && page.link(rels.next).href
+        }
+        return executions
+    }
+
     findStepState(execution, action) {
         let gates
 
@@ -185,16 +434,40 @@ class Client {
         const stepState = this.findStepState(execution, action)
 
         if (!stepState) {
-            throw new Error(`Cannot find step state for action ${action} on execution ${executionId}.`)
+            throw new NotFoundError(`Cannot find step state for action ${action} on execution ${executionId}.`)
         }
 
         return this._getMetricsForStepState(stepState)
     }
 
+    /**
+     * Returns the metrics of the codeQuality, security and performance quality gates of an execution,
+     * each null if the execution doesn't have that quality gate (or its metrics).
+     */
+    async getAllQualityGateResults(programId, pipelineId, executionId) {
+        const execution = halfred.parse(await this.getExecution(programId, pipelineId, executionId))
+
+        const results = {}
+        for (const action of ['codeQuality', 'security', 'performance']) {
+            const stepState = this.findStepState(execution, action)
+            results[action] = null
+            if (stepState && stepState.link(rels.metrics)) {
+                try {
+                    results[action] = (await this._getMetricsForStepState(stepState)).metrics || null
+                } catch (error) {
+                    if (!(error instanceof NotFoundError)) {
+                        throw error
+                    }
+                }
+            }
+        }
+        return results
+    }
+
     async _getMetricsForStepState(stepState) {
-        return this.get(`${stepState.link(rels.metrics).href}`).then((res) => {
+        return this.get(`${stepState.link(rels.metrics).href}`).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot get metrics: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot get metrics: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -202,11 +475,11 @@ class Client {
         const execution = halfred.parse(await this.getCurrentExecution(programId, pipelineId))
         const step = getCurrentStep(execution)
         if (!step || !step.link) {
-            throw new Error(`Cannot find a current step for pipeline ${pipelineId}`)
+            throw new ConflictError(`Cannot find a current step for pipeline ${pipelineId}`)
         }
         const cancelHalLink = step.link(rels.cancel)
         if (!cancelHalLink) {
-            throw new Error(`Cannot find a cancel link for the current step (${step.action}). Step may not be cancellable.`)
+            throw new ConflictError(`Cannot find a cancel link for the current step (${step.action}). Step may not be cancellable.`)
         }
         const href = cancelHalLink.href
 
@@ -223,21 +496,29 @@ class Client {
             body.cancel = true
         }
 
-        return this.put(href, body).then((res) => {
+        return this.put(href, body).then(async (res) => {
             if (res.ok) return {}
-            else throw new Error(`Cannot cancel execution: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot cancel execution: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
-    async advanceCurrentExecution(programId, pipelineId) {
+    /**
+     * Advances the waiting step of the current execution of a pipeline. For a quality gate, every failed
+     * important metric is overridden unless selectMetrics is passed, in which case only the metrics it
+     * returns are overridden.
+     * @param {string} programId the program id
+     * @param {string} pipelineId the pipeline id
+     * @param {function} selectMetrics optional async function called with the failed important metrics
+     */
+    async advanceCurrentExecution(programId, pipelineId, selectMetrics) {
         const execution = halfred.parse(await this.getCurrentExecution(programId, pipelineId))
         const step = getWaitingStep(execution)
         if (!step || !step.link) {
-            throw new Error(`Cannot find a waiting step for pipeline ${pipelineId}`)
+            throw new ConflictError(`Cannot find a waiting step for pipeline ${pipelineId}`)
         }
         const advanceHalLink = step.link(rels.advance)
         if (!advanceHalLink) {
-            throw new Error(`Cannot find an advance link for the current step (${step.action})`)
+            throw new ConflictError(`Cannot find an advance link for the current step (${step.action})`)
         }
         const href = advanceHalLink.href
 
@@ -247,12 +528,16 @@ class Client {
         } else if (step.action === "managed") {
             body.start = true
         } else if (step.action === "schedule") {
-            throw new Error("Cannot advanced schedule step (yet)")
+            throw new ConflictError("Cannot advance schedule step. Use schedule-deployment to schedule the deployment")
         } else if (step.action === "deploy") {
             body.resume = true
         } else {
             const results = await this._getMetricsForStepState(step);
-            body.metrics = results.metrics.filter(metric => metric.severity === 'important' && metric.passed === false).map(metric => {
+            let metrics = results.metrics.filter(metric => metric.severity === 'important' && metric.passed === false)
+            if (selectMetrics) {
+                metrics = await selectMetrics(metrics)
+            }
+            body.metrics = metrics.map(metric => {
                 return {
                     ...metric,
                     override: true
@@ -260,36 +545,213 @@ class Client {
             })
         }
 
-        return this.put(href, body).then((res) => {
+        return this.put(href, body).then(async (res) => {
             if (res.ok) return {}
-            else throw new Error(`Cannot advance execution: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot advance execution: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    async getPendingApproval(programId, pipelineId) {
+        const execution = halfred.parse(await this.getCurrentExecution(programId, pipelineId))
+        const step = getWaitingStep(execution)
+        if (step.action !== "approval") {
+            throw new ConflictError(`Execution ${execution.id} of pipeline ${pipelineId} is not waiting for approval`)
+        }
+
+        const stepStates = execution.embeddedArray('stepStates') || []
+        const qualityGates = await Promise.all(stepStates
+            .filter(stepState => stepState.status !== "NOT_STARTED" && stepState.link(rels.metrics))
+            .map(async stepState => ({
+                action: stepState.action,
+                // a step without metrics (or whose metrics can't be read) shouldn't prevent a decision
+                metrics: await this._getMetricsForStepState(stepState).then(result => result.metrics || null, () => null)
+            })))
+        const buildStep = stepStates.find(stepState => stepState.action === "build") || {}
+
+        return {
+            execution: execution.original(),
+            step: step.original(),
+            commit: {
+                repository: buildStep.repository,
+                branch: buildStep.branch,
+                commitId: buildStep.commitId,
+                artifactsVersion: execution.artifactsVersion
+            },
+            qualityGates: qualityGates.filter(qualityGate => qualityGate.metrics)
+        }
+    }
+
+    async decideApproval(programId, pipelineId, executionId, approved) {
+        const execution = halfred.parse(await this.getCurrentExecution(programId, pipelineId))
+        if (execution.id !== executionId) {
+            throw new ConflictError(`Execution ${executionId} is no longer the current execution of pipeline ${pipelineId}`)
+        }
+        const step = getWaitingStep(execution)
+        if (step.action !== "approval") {
+            throw new ConflictError(`Execution ${executionId} of pipeline ${pipelineId} is no longer waiting for approval`)
+        }
+        const halLink = step.link(approved ? rels.advance : rels.cancel)
+        if (!halLink) {
+            throw new ConflictError(`Cannot find an ${approved ? "advance" : "cancel"} link for the approval step`)
+        }
+
+        return this.put(halLink.href, { approved }).then(async (res) => {
+            if (res.ok) return step.original()
+            else throw await errorFromResponse(res, `Cannot ${approved ? "approve" : "reject"} execution: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    async _getWaitingScheduleStep(programId, pipelineId) {
+        const execution = halfred.parse(await this.getCurrentExecution(programId, pipelineId))
+        const step = getWaitingStep(execution)
+        if (step.action !== "schedule") {
+            throw new ConflictError(`Execution ${execution.id} of pipeline ${pipelineId} is not waiting to be scheduled`)
+        }
+        return step
+    }
+
+    /**
+     * Schedules, reschedules or, if scheduledAt is null, unschedules the production deployment
+     * of the current execution of a pipeline. Unscheduling a deployment which is not scheduled
+     * does not change anything.
+     * @returns {object} the schedule step, as it was before the change
+     */
+    async scheduleDeployment(programId, pipelineId, scheduledAt) {
+        const step = await this._getWaitingScheduleStep(programId, pipelineId)
+        if (!scheduledAt && !(step.details && step.details.scheduledAt)) {
+            return step.original()
+        }
+        const advanceHalLink = step.link(rels.advance)
+        if (!advanceHalLink) {
+            throw new ConflictError(`Cannot find an advance link for the schedule step`)
+        }
+
+        return this.put(advanceHalLink.href, { scheduledAt }).then(async (res) => {
+            if (res.ok) return step.original()
+            else throw await errorFromResponse(res, `Cannot ${scheduledAt ? "schedule" : "unschedule"} deployment: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
     async _listEnvironments(path) {
-        return this.get(path).then((res) => {
+        return this.get(path).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot retrieve environments: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot retrieve environments: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
     async listEnvironments(programId) {
-        const programs = await this.listPrograms();
-        let program = programs.find(p => p.id === programId);
-        if (!program) {
-            throw new Error(`Could not find program ${programId}`)
-        }
-        program = await this.getProgram(program.link(rels.self).href)
-        program = halfred.parse(program)
+        const program = await this._findProgram(programId)
 
         const result = await this._listEnvironments(program.link(rels.environments).href)
         let environments = result && halfred.parse(result).embeddedArray('environments')
         if (!environments) {
-            throw new Error(`Could not find environments for program ${programId}`)
+            throw new NotFoundError(`Could not find environments for program ${programId}`)
         }
         return environments
     }
 
+    async _findEnvironment(programId, environmentId) {
+        const environments = await this.listEnvironments(programId)
+        const environment = environments.find(e => e.id === environmentId)
+        if (!environment) {
+            throw new NotFoundError(`Could not find environment ${environmentId} for program ${programId}`)
+        }
+        return environment
+    }
+
+    /**
+     * Gets an environment, with its namespace, cluster, status, links and available log options.
+     * @returns {object} the environment, as a HAL resource
+     */
+    async getEnvironment(programId, environmentId) {
+        return this._findEnvironment(programId, environmentId)
+    }
+
+    /**
+     * Creates an environment. Cloud Manager creates it in the background, its status telling when it is ready.
+     * @param {object} definition the name, type (dev, stage or prod), region and, optionally, description of the environment
+     * @returns {object} the environment
+     */
+    async createEnvironment(programId, definition) {
+        const program = await this._findProgram(programId)
+
+        return this.post(program.link(rels.environments).href, definition).then(async (res) => {
+            if (res.ok) return res.json()
+            else throw await errorFromResponse(res, `Cannot create environment: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    async deleteEnvironment(programId, environmentId) {
+        const environment = await this._findEnvironment(programId, environmentId)
+
+        return this.delete(environment.link(rels.self).href).then(async (res) => {
+            if (res.ok) return {}
+            else throw await errorFromResponse(res, `Cannot delete environment: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    _variablesHref(environment) {
+        if (!environment.link(rels.variables)) {
+            throw new NotFoundError(`Could not find variables link for environment ${environment.id} for program ${environment.programId}`)
+        }
+        return environment.link(rels.variables).href
+    }
+
+    async _getEnvironmentVariables(path) {
+        return this.get(path).then(async (res) => {
+            if (res.ok) return variablesOf(await res.json())
+            else throw await errorFromResponse(res, `Cannot get variables: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    async _patchEnvironmentVariables(path, variables) {
+        return this.patch(path, variables).then(async (res) => {
+            if (res.ok) return variablesOf(await res.json())
+            else throw await errorFromResponse(res, `Cannot set variables: ${res.url} (${res.status} ${res.statusText})`)
+        })
+    }
+
+    /**
+     * Gets the variables of an environment. Cloud Manager does not return the values of secretString variables.
+     * @returns {object[]} the variables, each with its name, type (string or secretString) and value
+     */
+    async getEnvironmentVariables(programId, environmentId) {
+        const environment = await this._findEnvironment(programId, environmentId)
+        return this._getEnvironmentVariables(this._variablesHref(environment))
+    }
+
+    /**
+     * Sets variables of an environment, leaving its other variables as they are. Variables without
+     * a value are deleted, the type of which can be left out.
+     * @param {object[]} variables the variables, each with its name, type (string or secretString) and value
+     * @returns {object[]} the variables of the environment afterwards
+     */
+    async setEnvironmentVariables(programId, environmentId, variables) {
+        const environment = await this._findEnvironment(programId, environmentId)
+        const href = this._variablesHref(environment)
+
+        const deleted = variables.filter(variable => variable.value === undefined)
+        let types = {}
+        if (deleted.some(variable => !variable.type)) {
+            types = _.fromPairs((await this._getEnvironmentVariables(href)).map(variable => [variable.name, variable.type]))
+        }
+        const patch = variables.map(variable => {
+            if (variable.value !== undefined || variable.type) {
+                return variable
+            }
+            if (!types[variable.name]) {
+                throw new NotFoundError(`Could not find variable ${variable.name} in environment ${environmentId} for program ${programId}`)
+            }
+            return { name: variable.name, type: types[variable.name] }
+        })
+
+        return this._patchEnvironmentVariables(href, patch)
+    }
+
+    async deleteEnvironmentVariable(programId, environmentId, name) {
+        return this.setEnvironmentVariables(programId, environmentId, [{ name }])
+    }
+
     async _getLogsForStepState(stepState, outputStream) {
         return this.get(`${stepState.link(rels.stepLogs).href}`).then(async (res) => {
             if (res.ok) {
@@ -298,10 +760,10 @@ class Client {
                     await fetch(json.redirect).then(res => res.body.pipe(outputStream))
                     return {}
                 } else {
-                    throw new Error(`Log ${res.url} did not contain a redirect. Was ${JSON.stringify(json)}.`)
+                    throw new CloudManagerError(`Log ${res.url} did not contain a redirect. Was ${JSON.stringify(json)}.`)
                 }
             } else {
-                throw new Error(`Cannot get log: ${res.url} (${res.status} ${res.statusText})`)
+                throw await errorFromResponse(res, `Cannot get log: ${res.url} (${res.status} ${res.statusText})`)
             }
         })
     }
@@ -312,7 +774,7 @@ class Client {
         const stepState = this.findStepState(execution, action)
 
         if (!stepState) {
-            throw new Error(`Cannot find step state for action ${action} on execution ${executionId}.`)
+            throw new NotFoundError(`Cannot find step state for action ${action} on execution ${executionId}.`)
         }
 
         return this._getLogsForStepState(stepState, outputStream)
@@ -322,7 +784,7 @@ class Client {
         let environments = await this.listEnvironments(programId)
         let environment = environments.find(e => e.id === environmentId);
         if (!environment) {
-            throw new Error(`Could not find environment ${environmentId} for program ${programId}`)
+            throw new NotFoundError(`Could not find environment ${environmentId} for program ${programId}`)
         }
 
         return environment.availableLogOptions || []
@@ -330,39 +792,45 @@ class Client {
 
     async _getLogs(environment, service, name, days) {
         if (!environment.link(rels.logs)) {
-            throw new Error(`Could not find logs link for environment ${environment.id} for program ${environment.programId}`)
+            throw new NotFoundError(`Could not find logs link for environment ${environment.id} for program ${environment.programId}`)
         }
         const logsTemplate = UriTemplate.parse(environment.link(rels.logs).href)
         const logsLink = logsTemplate.expand({service: service, name: name, days: days})
 
-        return this.get(logsLink).then((res) => {
+        return this.get(logsLink).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot get logs: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot get logs: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
-    async _download(href, outputPath, resultObject) {
+    async _getRedirect(href) {
         const res = await this.get(href)
-        if (!res.ok) throw new Error(`Could not obtain download link from ${res.url} (${res.status} ${res.statusText})`)
-
-        const downloadUrl = res.url
+        if (!res.ok) throw await errorFromResponse(res, `Could not obtain download link from ${res.url} (${res.status} ${res.statusText})`)
 
         const json = await res.json()
         if (!json || !json.redirect) {
             console.log(json)
-            throw new Error(`Could not retrieve redirect from ${res.url} (${res.status} ${res.statusText})`)
+            throw new CloudManagerError(`Could not retrieve redirect from ${res.url} (${res.status} ${res.statusText})`)
         }
 
-        const redirectUrl = json.redirect
+        return { downloadUrl: res.url, redirectUrl: json.redirect }
+    }
 
-        const logRes = await fetch(redirectUrl)
-        if (!logRes.ok) throw new Error(`Could not download ${logRes.url} to ${outputPath} (${logRes.status} ${logRes.statusText})`)
+    /**
+     * Downloads a file by following the redirect returned for href.
+     * @param {string} href the link to the redirect
+     * @param {string} outputPath the path to save the file to
+     * @param {object} resultObject properties to include in the result
+     */
+    async _download(href, outputPath, resultObject) {
+        const { downloadUrl, redirectUrl } = await this._getRedirect(href)
 
-        await this._streamAndUnzip(logRes.body, fs.createWriteStream(outputPath)).catch(
-            function (error) {
-                if (error.errno !== -5 || error.code !== 'Z_BUF_ERROR') {
-                    throw new Error(`Could not unzip ${logRes.url} to ${outputPath}`)
-                }
+        const fileRes = await fetch(redirectUrl)
+        if (!fileRes.ok) throw await errorFromResponse(fileRes, `Could not download ${fileRes.url} to ${outputPath} (${fileRes.status} ${fileRes.statusText})`)
+
+        await streamPipeline(fileRes.body, fs.createWriteStream(outputPath)).catch(
+            function () {
+                throw new CloudManagerError(`Could not download ${fileRes.url} to ${outputPath}`)
             }
         )
 
@@ -373,15 +841,168 @@ class Client {
         };
     }
 
-    async _streamAndUnzip(src, dest) {
-        await streamPipeline(src, zlib.createGunzip(), dest)
+    // the size, MD5 checksum and ETag the file store reports for a file, as far as it does
+    async _getRemoteFileInfo(url) {
+        const res = await fetch(url, { method: 'HEAD' })
+        if (!res.ok) {
+            debug(`Could not get the size of ${url} (${res.status} ${res.statusText}), so it is not checked`)
+            return {}
+        }
+        const size = res.headers.get('content-length')
+        return _.omitBy({
+            size: size !== null ? parseInt(size, 10) : undefined,
+            md5: res.headers.get('content-md5') || undefined,
+            etag: res.headers.get('etag') || undefined
+        }, _.isUndefined)
+    }
+
+    /**
+     * Downloads a file to partPath, continuing where an earlier download of it stopped if partPath exists.
+     * @returns {boolean} true if the download was resumed
+     */
+    async _downloadPart(url, partPath, remote) {
+        const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0
+        const headers = {}
+        if (offset > 0) {
+            headers.Range = `bytes=${offset}-`
+            // if the file changed since, the file store sends all of it
+            if (remote.etag) {
+                headers['If-Range'] = remote.etag
+            }
+        }
+        const res = await fetch(url, { headers })
+        if (res.status === 416) {
+            // nothing is left to download, which leaves it to the verification whether the part is right
+            return true
+        }
+        if (!res.ok) throw await errorFromResponse(res, `Could not download ${res.url} (${res.status} ${res.statusText})`)
+
+        const resumed = res.status === 206
+        await streamPipeline(res.body, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }))
+        return resumed
+    }
+
+    // unzips (and converts) a downloaded log, which also checks that the gzip file is complete
+    async _unzipLog(partPath, outputPath, transform, keepGzip) {
+        const streams = [fs.createReadStream(partPath), zlib.createGunzip()]
+        if (keepGzip && !transform) {
+            await streamPipeline(...streams, new Writable({ write: (chunk, encoding, callback) => callback() }))
+            fs.renameSync(partPath, outputPath)
+            return
+        }
+        if (transform) {
+            streams.push(transform)
+        }
+        if (keepGzip) {
+            streams.push(zlib.createGzip())
+        }
+        try {
+            await streamPipeline(...streams, fs.createWriteStream(outputPath))
+        } catch (error) {
+            if (fs.existsSync(outputPath)) {
+                fs.unlinkSync(outputPath)
+            }
+            throw error
+        }
+        fs.unlinkSync(partPath)
+    }
+
+    /**
+     * Checks a downloaded log against the size and MD5 checksum reported by the file store, then
+     * unzips it to outputPath.
+     * @returns {object} the status, incomplete or corrupt, and the problem, if the log fails the checks
+     */
+    async _verifyLog(partPath, outputPath, remote, transform, keepGzip) {
+        const size = fs.statSync(partPath).size
+        if (remote.size !== undefined && size < remote.size) {
+            return { status: 'incomplete', problem: `only ${size} of ${remote.size} bytes were downloaded` }
+        }
+        if (remote.size !== undefined && size > remote.size) {
+            return { status: 'corrupt', problem: `${size} bytes were downloaded instead of ${remote.size}` }
+        }
+        if (remote.md5 && await digestOf(partPath, 'md5', 'base64') !== remote.md5) {
+            return { status: 'corrupt', problem: 'the MD5 checksum does not match' }
+        }
+        try {
+            await this._unzipLog(partPath, outputPath, transform, keepGzip)
+        } catch (error) {
+            return { status: 'corrupt', problem: `the file could not be unzipped: ${error.message}` }
+        }
+        return undefined
+    }
+
+    /**
+     * Downloads a log, unless the manifest shows it was downloaded before and neither the file store's
+     * copy nor the local one changed since. The log is downloaded to a .part file first, which an
+     * interrupted download leaves behind to be resumed.
+     * @param {object} manifest the manifest of the output directory, which is updated
+     * @param {object} options createTransform, returning a stream to convert the unzipped log with, if any,
+     * and keepGzip, whether to keep the log gzipped
+     * @returns {object} the result, with the status, size and SHA-256 checksum of the file and the problem, if any
+     */
+    async _downloadLog(href, partPath, outputPath, resultObject, manifest, { createTransform, keepGzip }) {
+        const { downloadUrl, redirectUrl } = await this._getRedirect(href)
+        const remote = await this._getRemoteFileInfo(redirectUrl)
+        const result = {
+            ...resultObject,
+            path: outputPath,
+            url: downloadUrl
+        }
+        const fileName = path.basename(outputPath)
+
+        const previous = manifest.files[fileName]
+        if (previous && isSameRemoteFile(previous, remote) && fs.existsSync(outputPath) && await digestOf(outputPath, 'sha256') === previous.sha256) {
+            return { ...result, status: 'skipped', size: fs.statSync(outputPath).size, sha256: previous.sha256 }
+        }
+
+        let resumed
+        let failure
+        try {
+            resumed = await this._downloadPart(redirectUrl, partPath, remote)
+            failure = await this._verifyLog(partPath, outputPath, remote, createTransform(), keepGzip)
+            if (failure && resumed) {
+                debug(`${outputPath} is ${failure.status} after resuming the download (${failure.problem}), downloading it again`)
+                fs.unlinkSync(partPath)
+                resumed = await this._downloadPart(redirectUrl, partPath, remote)
+                failure = await this._verifyLog(partPath, outputPath, remote, createTransform(), keepGzip)
+            }
+        } catch (error) {
+            if (error instanceof CloudManagerError) {
+                throw error
+            }
+            // the part is kept to resume from
+            failure = { status: 'incomplete', problem: error.message }
+        }
+
+        if (failure) {
+            if (failure.status === 'corrupt' && fs.existsSync(partPath)) {
+                fs.unlinkSync(partPath)
+            }
+            return { ...result, ...failure }
+        }
+
+        const sha256 = await digestOf(outputPath, 'sha256')
+        recordDownload(manifest, fileName, { ...remote, sha256, downloadedAt: new Date().toISOString() })
+        return { ...result, status: resumed ? 'resumed' : 'downloaded', size: fs.statSync(outputPath).size, sha256 }
     }
 
-    async downloadLogs(programId, environmentId, service, name, days, outputDirectory) {
+    /**
+     * Downloads the logs of the last days, a few at a time, either as they are or, with the jsonl format,
+     * parsed into a JSON object per line. Each log is checked against the size and MD5 checksum the file
+     * store reports, where it reports them, and for being a complete gzip file. Logs which were downloaded
+     * before and did not change are skipped and interrupted downloads are resumed, based on the manifest
+     * the output directory keeps in .cloudmanager-downloads.json.
+     * @param {object} options the format, text or jsonl, keepGzip, whether to save the logs gzipped, and
+     * the concurrency, the number of logs to download at a time
+     * @returns {object[]} the logs, each with its status: downloaded, resumed, skipped, incomplete or corrupt
+     */
+    async downloadLogs(programId, environmentId, service, name, days, outputDirectory, options = {}) {
+        const { format = 'text', keepGzip = false, concurrency = defaultDownloadConcurrency } = options
+
         let environments = await this.listEnvironments(programId)
         let environment = environments.find(e => e.id === environmentId);
         if (!environment) {
-            throw new Error(`Could not find environment ${environmentId} for program ${programId}`)
+            throw new NotFoundError(`Could not find environment ${environmentId} for program ${programId}`)
         }
         let logs = await this._getLogs(environment, service, name, days);
         logs = halfred.parse(logs);
@@ -392,35 +1013,88 @@ class Client {
             fs.mkdirSync(outputDirectory)
         }
 
-        const downloadPromises = [];
+        const files = [];
+
+        const extension = `${format === 'jsonl' ? 'jsonl' : 'log'}${keepGzip ? '.gz' : ''}`
 
         downloads.forEach(download => {
             const downloadLinks = download.linkArray(rels.logsDownload);
 
-            if (downloadLinks.length == 0) {
-                return;
-            } else if (downloadLinks.length == 1) {
-                const downloadName = `${download.service}-${download.name}-${download.date}.log`
+            downloadLinks.forEach((link, i) => {
+                const downloadName = `${download.service}-${download.name}-${download.date}${downloadLinks.length > 1 ? `-${i}` : ''}`
                 const path = `${outputDirectory}/${environmentId}-${downloadName}`
-                downloadPromises.push(this._download(downloadLinks[0].href, path, {
-                    ...download,
-                    index: 0
-                }));
-            } else {
-                for (let i = 0; i < downloadLinks.length; i++) {
-                    const downloadName = `${download.service}-${download.name}-${download.date}-${i}.log`
-                    const path = `${outputDirectory}/${environmentId}-${downloadName}`
-                    downloadPromises.push(this._download(downloadLinks[i].href, path, {
+                files.push({
+                    href: link.href,
+                    partPath: `${path}.log.gz.part`,
+                    outputPath: `${path}.${extension}`,
+                    resultObject: {
                         ...download,
                         index: i
-                    }));
-                }
-            }
+                    }
+                })
+            })
         });
 
-        const downloaded = await Promise.all(downloadPromises)
+        const manifest = readManifest(outputDirectory)
+        const createTransform = () => format === 'jsonl' ? new LogFilterStream(null, { format, logName: name }) : undefined
 
-        return downloaded
+        return mapWithConcurrency(files, concurrency, file => this._downloadLog(file.href, file.partPath, file.outputPath, file.resultObject, manifest, { createTransform, keepGzip }))
+    }
+
+    /**
+     * Downloads the reports linked from the quality gate steps of an execution and writes a
+     * manifest.json describing them to the output directory.
+     * @param {string[]} actions the quality gates to download the reports of: codeQuality, security and/or performance
+     * @returns {object} the manifest
+     */
+    async downloadStepArtifacts(programId, pipelineId, executionId, actions, outputDirectory) {
+        const execution = halfred.parse(await this.getExecution(programId, pipelineId, executionId))
+        const stepStates = execution.embeddedArray("stepStates") || []
+
+        const downloads = []
+        actions.forEach(action => {
+            const stepActions = stepArtifactActions[action]
+            if (!stepActions) {
+                throw new Error(`Unknown quality gate ${action}. Known quality gates are ${Object.keys(stepArtifactActions).join(', ')}`)
+            }
+            stepStates.filter(stepState => stepActions.includes(stepState.action)).forEach(stepState => {
+                (stepState.linkArray(rels.stepReport) || []).forEach((link, index) => {
+                    // the name comes from the server and must not lead the download out of the output directory
+                    const name = link.name && path.basename(link.name)
+                    downloads.push({ action: stepState.action, link, name: name && name !== '..' ? name : `report-${index}${artifactExtensions[link.type] || ''}` })
+                })
+            })
+        })
+
+        fs.mkdirSync(outputDirectory, { recursive: true })
+
+        const artifacts = []
+        for (const download of downloads) {
+            const fileName = `${executionId}-${download.action}-${download.name}`
+            const downloaded = await this._download(download.link.href, path.join(outputDirectory, fileName), {
+                action: download.action,
+                name: download.name,
+                type: download.link.type
+            })
+            const contents = fs.readFileSync(downloaded.path)
+            artifacts.push({
+                ...downloaded,
+                path: fileName,
+                size: contents.length,
+                sha256: crypto.createHash('sha256').update(contents).digest('hex')
+            })
+        }
+
+        const manifest = {
+            programId,
+            pipelineId,
+            executionId,
+            artifactsVersion: execution.artifactsVersion,
+            downloadedAt: new Date().toISOString(),
+            artifacts
+        }
+        fs.writeFileSync(path.join(outputDirectory, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`)
+        return manifest
     }
 
     async _getLogFileSizeInitialSize(url) {
@@ -428,19 +1102,57 @@ class Client {
             method: 'HEAD'
         };
         const res = await fetch(url, options)
-        if (!res.ok) throw new Error(`Could not get initial size of ${url}`)
+        if (!res.ok) throw await errorFromResponse(res, `Could not get initial size of ${url}`)
         return res.headers.get("content-length");
     }
 
     async tailLog(programId, environmentId, service, name, writeStream) {
-        let environments = await this.listEnvironments(programId)
-        let environment = environments.find(e => e.id === environmentId);
-        if (!environment) {
-            throw new Error(`Could not find environment ${environmentId} for program ${programId}`)
+        await this.tailLogs(programId, [{ environmentId, service, name }], () => writeStream)
+    }
+
+    /**
+     * Tails several logs at once. Each log is followed independently, including the switch to the
+     * next day's log around UTC midnight.
+     * @param {object[]} sources the environmentId, service and name of each log. A service of all stands
+     * for every log of the environment which can be tailed
+     * @param {function} writeStreamFor returns the stream to write a log to, given its environmentId, service and name
+     */
+    async tailLogs(programId, sources, writeStreamFor) {
+        const environments = await this.listEnvironments(programId)
+        const logs = _.flatMap(sources, source => {
+            const environment = environments.find(e => e.id === source.environmentId)
+            if (!environment) {
+                throw new NotFoundError(`Could not find environment ${source.environmentId} for program ${programId}`)
+            }
+            if (source.service === 'all') {
+                return (environment.availableLogOptions || []).map(option => ({ environment, service: option.service, name: option.name, optional: true }))
+            }
+            return [{ environment, service: source.service, name: source.name }]
+        })
+
+        // find every log before following any, so that a log which cannot be tailed fails straight away
+        const tails = await Promise.all(logs.map(async log => {
+            try {
+                const tailingSasUrl = await this._getTailingSasUrl(programId, log.environment, log.service, log.name)
+                const contentLength = await this._getLogFileSizeInitialSize(tailingSasUrl)
+                return { ...log, tailingSasUrl, contentLength }
+            } catch (error) {
+                if (log.optional) {
+                    debug(`not tailing ${log.service} ${log.name} of environment ${log.environment.id}: ${error.message}`)
+                    return null
+                }
+                throw error
+            }
+        })).then(tails => tails.filter(tail => tail))
+
+        if (tails.length === 0) {
+            throw new NotFoundError(`No logs for tailing available in ${sources.map(source => source.environmentId).join(', ')} for program ${programId}`)
         }
-        let tailingSasUrl = await this._getTailingSasUrl(programId, environment, service, name);
-        let contentLength = await this._getLogFileSizeInitialSize(tailingSasUrl);
-        await this._getLiveStream(programId, environment, service, name, tailingSasUrl, contentLength, writeStream);
+
+        await Promise.all(tails.map(tail => {
+            const writeStream = writeStreamFor({ environmentId: tail.environment.id, service: tail.service, name: tail.name })
+            return this._getLiveStream(programId, tail.environment, tail.service, tail.name, tail.tailingSasUrl, tail.contentLength, writeStream)
+        }))
     }
 
     async _getLiveStream (programId, environment, service, name, tailingSasUrl, currentStartLimit, writeStream) {
@@ -453,7 +1165,8 @@ class Client {
             let res = await fetch(tailingSasUrl, options);
             if (res.status === 206) {
                 let contentLength = res.headers.get("content-length");
-                res.body.pipe(writeStream);
+                // the write stream outlives each response, e.g. when it filters the log
+                res.body.pipe(writeStream, { end: false });
                 currentStartLimit =  parseInt(currentStartLimit) + parseInt(contentLength);
             } else if (res.status === 416) {
                 await sleep(2000);
@@ -472,9 +1185,9 @@ class Client {
                     }
                 }
             } else if (res.status === 404) {
-                throw new Error(`Logs not found! ${res.url} (${res.status} ${res.statusText})`)
+                throw await errorFromResponse(res, `Logs not found! ${res.url} (${res.status} ${res.statusText})`)
             } else {
-                throw new Error(`Cannot get tail logs: ${res.url} (${res.status} ${res.statusText})`)
+                throw await errorFromResponse(res, `Cannot get tail logs: ${res.url} (${res.status} ${res.statusText})`)
             }
         }
     }
@@ -488,10 +1201,10 @@ class Client {
             if (tailLinks && tailLinks.length > 0) {
                 return tailLinks[0].href;
             } else {
-                throw new Error(`No logs for tailing available in ${environment.id} for program ${programId}`)
+                throw new NotFoundError(`No logs for tailing available in ${environment.id} for program ${programId}`)
             }
         } else {
-            throw new Error(`No logs available in ${environment.id} for program ${programId}`)
+            throw new NotFoundError(`No logs available in ${environment.id} for program ${programId}`)
         }
     }
 
@@ -499,12 +1212,12 @@ class Client {
         const pipelines = await this.listPipelines(programId)
         const pipeline = pipelines.find(p => p.id === pipelineId)
         if (!pipeline) {
-            throw new Error(`Cannot delete pipeline. Pipeline ${pipelineId} does not exist.`)
+            throw new NotFoundError(`Cannot delete pipeline. Pipeline ${pipelineId} does not exist.`)
         }
 
-        return this.delete(pipeline.link(rels.self).href).then((res) => {
+        return this.delete(pipeline.link(rels.self).href).then(async (res) => {
             if (res.ok) return {}
-            else throw new Error(`Cannot delete pipeline: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot delete pipeline: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -512,31 +1225,31 @@ class Client {
         const pipelines = await this.listPipelines(programId)
         const pipeline = pipelines.find(p => p.id === pipelineId)
         if (!pipeline) {
-            throw new Error(`Cannot update pipeline. Pipeline ${pipelineId} does not exist.`)
+            throw new NotFoundError(`Cannot update pipeline. Pipeline ${pipelineId} does not exist.`)
         }
 
-        const patch = {
-            phases: []
-        }
+        return this._patchPipeline(programId, pipeline, buildPipelinePatch(pipeline, changes))
+    }
 
-        if (changes.branch || changes.repositoryId) {
-            const buildPhase = pipeline.phases.find(phase => phase.type === "BUILD")
-            if (!buildPhase) {
-                throw new Error(`Pipeline ${pipelineId} does not appear to have a build phase`)
-            }
-            const newBuildPhase = _.clone(buildPhase);
-            if (changes.branch) {
-                newBuildPhase.branch = changes.branch
-            }
-            if (changes.repositoryId) {
-                newBuildPhase.repositoryId = changes.repositoryId
-            }
-            patch.phases.push(newBuildPhase)
+    async patchPipeline(programId, pipelineId, patch) {
+        const pipelines = await this.listPipelines(programId)
+        const pipeline = pipelines.find(p => p.id === pipelineId)
+        if (!pipeline) {
+            throw new NotFoundError(`Cannot update pipeline. Pipeline ${pipelineId} does not exist.`)
         }
+        return this._patchPipeline(programId, pipeline, patch)
+    }
+
+    async _patchPipeline(programId, pipeline, patch) {
+        // only the build phases whose branch or repository changes need checking
+        await this._checkBuildPhases(programId, (patch.phases || []).filter(phase => {
+            const current = (pipeline.phases || []).find(p => p.name === phase.name) || {}
+            return phase.branch !== current.branch || String(phase.repositoryId) !== String(current.repositoryId)
+        }))
 
-        return this.patch(pipeline.link(rels.self).href, patch).then((res) => {
+        return this.patch(pipeline.link(rels.self).href, patch).then(async (res) => {
             if (res.ok) return res.json()
-            else throw new Error(`Cannot update pipeline: ${res.url} (${res.status} ${res.statusText})`)
+            else throw await errorFromResponse(res, `Cannot update pipeline: ${res.url} (${res.status} ${res.statusText})`)
         })
     }
 
@@ -544,7 +1257,7 @@ class Client {
         let environments = await this.listEnvironments(programId)
         let environment = environments.find(e => e.id === environmentId);
         if (!environment) {
-            throw new Error(`Could not find environment ${environmentId} for program ${programId}`)
+            throw new NotFoundError(`Could not find environment ${environmentId} for program ${programId}`)
         }
 
         let link = environment.link("http://ns.adobe.com/adobecloud/rel/developerConsole")
@@ -557,7 +1270,7 @@ class Client {
         if (link) {
             return link.href
         } else {
-            throw new Error(`Environment ${environmentId} does not appear to support Developer Console.`)
+            throw new NotFoundError(`Environment ${environmentId} does not appear to support Developer Console.`)
         }
     }
 }
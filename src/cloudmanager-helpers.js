@@ -11,6 +11,11 @@ governing permissions and limitations under the License.
 */
 
 const Config = require('@adobe/aio-lib-core-config')
+const jwtAuth = require('@adobe/aio-cli-plugin-jwt-auth')
+const os = require('os')
+const path = require('path')
+const _ = require('lodash')
+const moment = require('moment')
 const constants = require('./constants')
 
 function toJson(item) {
@@ -30,6 +35,67 @@ function getWaitingStep(execution) {
     return (execution && execution._embedded && execution._embedded.stepStates && execution._embedded.stepStates.filter(ss => ss.status === "WAITING")[0]) || {}
 }
 
+function formatAction(stepState) {
+    if (stepState.action === 'deploy') {
+        return `${_.startCase(stepState.environmentType)} ${_.startCase(stepState.action)}`
+    } else {
+        return _.startCase(stepState.action)
+    }
+}
+
+function formatMetricName(name) {
+    return _.startCase(name.replace('sqale', 'maintainability'))
+}
+
+function formatTime(property) {
+    return (object) => object[property] ? moment(object[property]).format('LLL') : ''
+}
+
+/**
+ * Collects every value given for a single-value flag which may be repeated, e.g. -f a -f b, as the
+ * parser only keeps the last one. Unlike a multiple flag, this does not take the arguments after it.
+ * @param {object[]} raw the raw tokens returned by parse
+ * @param {string} name the name of the flag
+ * @returns {string[]} the values in the order given
+ */
+function getFlagValues(raw, name) {
+    return raw.filter(token => token.type === 'flag' && token.flag === name).map(token => token.input)
+}
+
+/**
+ * Lists the links of a HAL resource, Cloud Manager's own link relations without their common prefix, e.g. logs.
+ * @param {object} links the _links of the resource
+ * @returns {object[]} the rel and href of each link
+ */
+function listLinks(links) {
+    return _.flatMap(Object.entries(links || {}), ([rel, link]) => _.castArray(link).map(({ href }) => ({
+        rel: rel.replace(/^http:\/\/ns\.adobe\.com\/adobecloud\/rel\//, ''),
+        href
+    })))
+}
+
+function formatDuration(startedAt, finishedAt) {
+    return startedAt && finishedAt ?
+        humanizeDuration(moment(finishedAt).diff(startedAt)) :
+        ''
+}
+
+function humanizeDuration(milliseconds) {
+    return moment.duration(milliseconds).humanize()
+}
+
+function parseDate(flagName, value) {
+    const date = moment(value, moment.ISO_8601, true)
+    if (!date.isValid()) {
+        throw new Error(`${flagName} should be an ISO 8601 date or time. Value provided was ${value}`)
+    }
+    return date
+}
+
+function getFailedStep(execution) {
+    return (execution && execution._embedded && execution._embedded.stepStates && execution._embedded.stepStates.find(ss => ss.status === "FAILED" || ss.status === "ERROR")) || null
+}
+
 /**
  * Returns true if the {date} is +-5 minutes of UTC midnight time
  * @param {date} date
@@ -77,6 +143,156 @@ async function getBaseUrl() {
     return (configStr && toJson(configStr).base_url) || 'https://cloudmanager.adobe.io'
 }
 
+function isLocalUrl(url) {
+    const { hostname } = new URL(url)
+    return hostname === 'localhost' || hostname === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(hostname)
+}
+
+// an unsigned token for the mock server, identifying a local user
+const localAccessToken = `${[{ alg: 'none' }, { user_id: 'local' }].map(part => Buffer.from(JSON.stringify(part)).toString('base64')).join('.')}.`
+
+/**
+ * Returns an access token for the Cloud Manager API. When the base URL is a local address, as it is
+ * for the mock server, which accepts any token, none is requested so that the CLI can be used offline.
+ * @param {string} passphrase the passphrase for the private key
+ */
+async function getAccessToken(passphrase) {
+    if (isLocalUrl(await getBaseUrl())) {
+        return localAccessToken
+    }
+    return jwtAuth.accessToken(passphrase)
+}
+
+/**
+ * Returns who an access token was issued to, the user_id of its payload, which for a service
+ * account is its technical account, or else its client_id.
+ * @param {string} accessToken the access token, a JWT
+ */
+function getAccessTokenUser(accessToken) {
+    let payload
+    try {
+        payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64').toString())
+    } catch (e) {
+        payload = {}
+    }
+    const user = payload.user_id || payload.client_id
+    if (!user) {
+        throw new Error('The access token does not identify a user')
+    }
+    return user
+}
+
+/**
+ * Returns the path of the approval audit log, either the cloudmanager.audit_log config value
+ * or audit.log in the .aio-cloudmanager directory of the user's home directory.
+ */
+async function getAuditLogPath() {
+    const configStr = await Config.get('cloudmanager')
+
+    return (configStr && toJson(configStr).audit_log) || path.join(os.homedir(), '.aio-cloudmanager', 'audit.log')
+}
+
+/**
+ * Returns the quality gate metrics which must never be overridden, from the cloudmanager.override_deny_list
+ * config value. It can be set either as an array or a comma-separated list of metric names, which may
+ * contain * as a wildcard.
+ */
+async function getOverrideDenyList() {
+    const configStr = await Config.get('cloudmanager')
+    let denyList = (configStr && toJson(configStr).override_deny_list) || []
+    if (typeof denyList === 'string') {
+        denyList = denyList.split(',')
+    }
+    return denyList.map(entry => entry.trim()).filter(entry => entry !== '')
+}
+
+/**
+ * Returns true if the metric matches an entry of the deny list.
+ * @param {object} metric the metric
+ * @param {string[]} denyList the deny list, as returned by getOverrideDenyList
+ */
+function isOverrideDenied(metric, denyList) {
+    return denyList.some(entry => new RegExp(`^${_.escapeRegExp(entry).replace(/\\\*/g, '.*')}$`).test(metric.kpi))
+}
+
+/**
+ * Returns the production deployment window from the cloudmanager.deployment_window config value,
+ * or null if there is none. The window has a start and end time (HH:mm, in UTC) and optionally
+ * the days of the week it starts on, e.g. { days: 'Sat,Sun', start: '22:00', end: '04:00' }.
+ */
+async function getDeploymentWindow() {
+    const configStr = await Config.get('cloudmanager')
+    const window = configStr && toJson(configStr).deployment_window
+    if (!window) {
+        return null
+    }
+    const parsed = toJson(window)
+    const days = typeof parsed.days === 'string' ? parsed.days.split(',') : (parsed.days || [])
+    return {
+        days: days.map(day => day.trim()).filter(day => day !== ''),
+        start: parsed.start,
+        end: parsed.end
+    }
+}
+
+function parseWindowTime(value) {
+    const time = moment.utc(value, 'HH:mm', true)
+    if (!time.isValid()) {
+        throw new Error(`cloudmanager.deployment_window times should be in the format HH:mm. Value provided was ${value}`)
+    }
+    return time.hours() * 60 + time.minutes()
+}
+
+/**
+ * Returns true if the time is within the deployment window. A window whose end time is not after
+ * its start time ends on the next day.
+ * @param {object} time the time, as a moment
+ * @param {object} window the window, as returned by getDeploymentWindow
+ */
+function isWithinDeploymentWindow(time, window) {
+    const start = parseWindowTime(window.start)
+    let end = parseWindowTime(window.end)
+    if (end <= start) {
+        end += 24 * 60
+    }
+    const days = window.days.map(day => day.toLowerCase().substring(0, 3))
+    const utc = moment.utc(time)
+    // the window containing the time may have started on the previous day
+    return [0, 1].some(daysBefore => {
+        const day = utc.clone().startOf('day').subtract(daysBefore, 'days')
+        if (days.length > 0 && !days.includes(day.format('ddd').toLowerCase())) {
+            return false
+        }
+        const minutes = utc.diff(day, 'minutes', true)
+        return minutes >= start && minutes < end
+    })
+}
+
+function formatDeploymentWindow(window) {
+    return `${window.days.length > 0 ? `${window.days.join(',')} ` : ''}${window.start}-${window.end} UTC`
+}
+
+/**
+ * Returns the HTTP retry policy, using the values of the cloudmanager config key
+ * (max_retries, retry_delay, max_retry_delay and request_timeout) where set to a number.
+ * Delays and timeouts are in milliseconds.
+ */
+async function getRetryPolicy() {
+    const configStr = await Config.get('cloudmanager')
+    const config = (configStr && toJson(configStr)) || {}
+
+    return _.mapValues({
+        maxRetries: config.max_retries,
+        retryDelay: config.retry_delay,
+        maxRetryDelay: config.max_retry_delay,
+        requestTimeout: config.request_timeout
+    }, (value, key) => {
+        // unset and invalid values, such as "abc", fall back to the default instead of disabling retries
+        const number = value === null || value === '' ? NaN : Number(value)
+        return Number.isFinite(number) ? number : constants.defaultRetryPolicy[key]
+    })
+}
+
 async function getProgramId(flags) {
     const programId = flags.programId || await Config.get(constants.config.programId)
     if (!programId) {
@@ -85,18 +301,77 @@ async function getProgramId(flags) {
     return programId
 }
 
+/**
+ * Returns the options for cli.table based on the output format flags
+ * @param {object} flags the parsed command flags
+ * @param {function} printLine the function used to print each line
+ */
+function tableOptions(flags, printLine) {
+    let output
+    if (flags.json) {
+        output = 'json'
+    } else if (flags.yaml) {
+        output = 'yaml'
+    } else if (flags.csv) {
+        output = 'csv'
+    }
+    return {
+        printLine,
+        output,
+        columns: flags.columns,
+        sort: flags.sort
+    }
+}
+
 async function sleep(msec) {
     return new Promise(resolve => setTimeout(resolve, msec));
 }
 
+/**
+ * Maps items with an async function, calling it for at most concurrency items at a time.
+ * @returns {Promise<Array>} the results, in the order of the items
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+    const results = new Array(items.length)
+    let next = 0
+    const work = async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await mapper(items[index], index)
+        }
+    }
+    await Promise.all(_.range(Math.min(Math.max(concurrency, 1), items.length)).map(work))
+    return results
+}
+
 
 module.exports = {
+    formatAction,
+    formatDeploymentWindow,
+    formatDuration,
+    formatMetricName,
+    formatTime,
+    getAccessToken,
+    getAccessTokenUser,
     getBaseUrl,
     getApiKey,
+    getAuditLogPath,
     getOrgId,
+    getOverrideDenyList,
     getCurrentStep,
+    getDeploymentWindow,
+    getFailedStep,
+    getFlagValues,
     getProgramId,
+    getRetryPolicy,
     getWaitingStep,
+    humanizeDuration,
+    isOverrideDenied,
+    isWithinDeploymentWindow,
     isWithinFiveMinutesOfUTCMidnight,
-    sleep
+    listLinks,
+    mapWithConcurrency,
+    parseDate,
+    sleep,
+    tableOptions
 }
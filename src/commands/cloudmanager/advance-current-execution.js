@@ -10,18 +10,21 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getOverrideDenyList, getProgramId, isOverrideDenied } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
-async function _advanceCurrentExecution (programId, pipelineId, passphrase) {
+async function _advanceCurrentExecution (programId, pipelineId, selectMetrics, passphrase) {
   const apiKey = await getApiKey()
   const accessToken = await getAccessToken(passphrase)
   const orgId = await getOrgId()
-  return new Client(orgId, accessToken, apiKey).advanceCurrentExecution(programId, pipelineId)
+  return new Client(orgId, accessToken, apiKey).advanceCurrentExecution(programId, pipelineId, selectMetrics)
+}
+
+function formatMetric (metric) {
+  return `${metric.kpi} (expected ${metric.comparator ? `${metric.comparator} ` : ''}${metric.expectedValue}, actual ${metric.actualValue})`
 }
 
 class AdvanceCurrentExecutionCommand extends Command {
@@ -30,24 +33,78 @@ class AdvanceCurrentExecutionCommand extends Command {
 
     const programId = await getProgramId(flags)
 
+    const denyList = await getOverrideDenyList()
+
     let result
+    let overridden
+
+    const selectMetrics = async (failedMetrics) => {
+      overridden = await this.selectMetrics(failedMetrics, denyList, flags)
+      return overridden
+    }
 
     cli.action.start("advancing execution")
 
     try {
-      result = await this.advanceCurrentExecution(programId, args.pipelineId, flags.passphrase)
+      result = await this.advanceCurrentExecution(programId, args.pipelineId, selectMetrics, flags.passphrase)
     } catch (error) {
       cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
       return
     }
 
     cli.action.stop('advanced')
 
+    if (overridden) {
+      this.log(`overrode ${overridden.length} metric${overridden.length === 1 ? '' : 's'}:`)
+      overridden.forEach(metric => this.log(`  ${formatMetric(metric)}`))
+    }
+
     return result
   }
 
-  async advanceCurrentExecution (programId, pipelineId, passphrase = null) {
-    return _advanceCurrentExecution(programId, pipelineId, passphrase)
+  /**
+   * Chooses which of the failed metrics of a quality gate to override, either those named by the
+   * metric flag, those confirmed interactively or, by default, all of them. Metrics matching the
+   * deny list are never overridden.
+   */
+  async selectMetrics (failedMetrics, denyList, flags) {
+    const denied = failedMetrics.filter(metric => isOverrideDenied(metric, denyList))
+
+    let selected
+    if (flags.metric) {
+      selected = flags.metric.map(kpi => {
+        const metric = failedMetrics.find(candidate => candidate.kpi === kpi)
+        if (!metric) {
+          throw new Error(`Metric ${kpi} has not failed. Failed metrics are ${failedMetrics.map(candidate => candidate.kpi).join(', ') || 'none'}`)
+        }
+        return metric
+      })
+    } else if (flags.interactive) {
+      denied.forEach(metric => this.log(`${formatMetric(metric)} cannot be overridden`))
+      selected = []
+      for (const metric of failedMetrics.filter(candidate => !denied.includes(candidate))) {
+        if (await cli.confirm(`Override ${formatMetric(metric)}? (y/n)`)) {
+          selected.push(metric)
+        }
+      }
+      if (selected.length === 0) {
+        throw new Error('No metrics were selected to override')
+      }
+      return selected
+    } else {
+      selected = failedMetrics
+    }
+
+    const refused = selected.filter(metric => denied.includes(metric))
+    if (refused.length > 0) {
+      throw new Error(`Metrics ${refused.map(metric => metric.kpi).join(', ')} cannot be overridden as they match the override deny list`)
+    }
+    return selected
+  }
+
+  async advanceCurrentExecution (programId, pipelineId, selectMetrics, passphrase = null) {
+    return _advanceCurrentExecution(programId, pipelineId, selectMetrics, passphrase)
   }
 }
 
@@ -55,7 +112,9 @@ AdvanceCurrentExecutionCommand.description = 'advance current pipeline execution
 
 AdvanceCurrentExecutionCommand.flags = {
   ...commonFlags.global,
-  ...commonFlags.programId
+  ...commonFlags.programId,
+  metric: flags.string({ description: 'the name of a failed metric to override, e.g. coverage. can be specified more than once. by default, all failed important metrics are overridden', multiple: true, exclusive: ['interactive'] }),
+  interactive: flags.boolean({ char: 'i', description: 'confirm each failed metric to override', exclusive: ['metric'] })
 }
 
 AdvanceCurrentExecutionCommand.args = [
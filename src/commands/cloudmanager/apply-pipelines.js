@@ -0,0 +1,130 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { cli } = require('cli-ux')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { diffPipeline, readDefinitionFile, validatePipelinesFile } = require('../../pipeline-definition')
+const { NotFoundError } = require('../../errors')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listPipelines (programId, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).listPipelines(programId)
+}
+
+async function _patchPipeline (programId, pipelineId, patch, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).patchPipeline(programId, pipelineId, patch)
+}
+
+function formatValue (value) {
+  return value === undefined ? '(not set)' : JSON.stringify(value)
+}
+
+class ApplyPipelinesCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(ApplyPipelinesCommand)
+
+    const programId = await getProgramId(flags)
+
+    let contents
+
+    try {
+      contents = readDefinitionFile(args.file)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    const problems = validatePipelinesFile(contents)
+    if (problems.length > 0) {
+      this.error(`Invalid pipelines file ${args.file}:\n  ${problems.join('\n  ')}`)
+    }
+    if (contents.programId !== undefined && String(contents.programId) !== String(programId)) {
+      this.error(`${args.file} contains the pipelines of program ${contents.programId}, not ${programId}`)
+    }
+
+    let changes
+
+    try {
+      const pipelines = await this.listPipelines(programId, flags.passphrase)
+      changes = contents.pipelines.map(definition => {
+        const pipeline = pipelines.find(p => p.id === String(definition.id))
+        if (!pipeline) {
+          throw new NotFoundError(`Pipeline ${definition.id} does not exist. New pipelines can be created with create-pipeline.`)
+        }
+        return {
+          id: pipeline.id,
+          name: pipeline.name,
+          ...diffPipeline(pipeline.original(), definition)
+        }
+      }).filter(change => change.patch)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    if (changes.length === 0) {
+      this.log('pipelines are up to date')
+      return changes
+    }
+
+    changes.forEach(change => {
+      this.log(`pipeline ${change.id} (${change.name}):`)
+      change.differences.forEach(difference => this.log(`  ${difference.path}: ${formatValue(difference.from)} -> ${formatValue(difference.to)}`))
+    })
+
+    if (flags.dryRun) {
+      return changes
+    }
+
+    for (const change of changes) {
+      cli.action.start(`updating pipeline ${change.id}`)
+      try {
+        await this.patchPipeline(programId, change.id, change.patch, flags.passphrase)
+        cli.action.stop(`updated pipeline ID ${change.id}`)
+      } catch (error) {
+        cli.action.stop(error.message)
+        this.exit(error.exitCode || 2)
+        return
+      }
+    }
+
+    return changes
+  }
+
+  async listPipelines (programId, passphrase = null) {
+    return _listPipelines(programId, passphrase)
+  }
+
+  async patchPipeline (programId, pipelineId, patch, passphrase = null) {
+    return _patchPipeline(programId, pipelineId, patch, passphrase)
+  }
+}
+
+ApplyPipelinesCommand.description = 'update the pipelines of a program to match a file written by export-pipelines. only the fields present in the file are changed'
+
+ApplyPipelinesCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  dryRun: flags.boolean({ description: 'print the differences without changing any pipelines' })
+}
+
+ApplyPipelinesCommand.args = [
+  {name: 'file', required: true, description: "the pipelines file"}
+]
+
+module.exports = ApplyPipelinesCommand
@@ -0,0 +1,165 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { formatAction, formatTime, getAccessToken, getAccessTokenUser, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { appendAuditEntry } = require('../../audit-log')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _createClient (passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey)
+}
+
+async function _getUser (passphrase) {
+  return getAccessTokenUser(await getAccessToken(passphrase))
+}
+
+async function _getPendingApproval (programId, pipelineId, passphrase) {
+  const client = await _createClient(passphrase)
+  return client.getPendingApproval(programId, pipelineId)
+}
+
+async function _decideApproval (programId, pipelineId, executionId, approved, passphrase) {
+  const client = await _createClient(passphrase)
+  return client.decideApproval(programId, pipelineId, executionId, approved)
+}
+
+function countMetrics (metrics, predicate) {
+  return metrics.filter(predicate).length
+}
+
+/**
+ * Approves the approval step of the current execution of a pipeline. RejectCommand
+ * extends this class, the only difference being the decision sent. The decision is
+ * recorded in the audit log before it is sent, followed by a second entry if sending it fails.
+ */
+class ApproveCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(this.constructor)
+    const approved = this.constructor.approved
+
+    const programId = await getProgramId(flags)
+
+    if (flags.message.trim() === '') {
+      this.error('A message explaining the decision is required')
+    }
+
+    let user
+    let pending
+
+    try {
+      user = await this.getUser(flags.passphrase)
+      pending = await this.getPendingApproval(programId, args.pipelineId, flags.passphrase)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    const { execution, step, commit, qualityGates } = pending
+
+    this.log(`Execution ${execution.id} of pipeline ${args.pipelineId} has been waiting for approval to deploy to ${step.environmentType} (${step.environment}) since ${formatTime('startedAt')(step)}`)
+    this.log(`Artifacts version ${commit.artifactsVersion || 'unknown'} built from branch ${commit.branch || 'unknown'} of repository ${commit.repository || 'unknown'}${commit.commitId ? ` at commit ${commit.commitId}` : ''}`)
+    this.log('')
+
+    cli.table(qualityGates, {
+      step: {
+        header: 'Quality Gate',
+        get: item => formatAction(item)
+      },
+      passed: {
+        header: 'Passed',
+        get: item => countMetrics(item.metrics, metric => metric.passed)
+      },
+      failed: {
+        header: 'Failed',
+        get: item => countMetrics(item.metrics, metric => !metric.passed && !metric.override)
+      },
+      overridden: {
+        header: 'Overridden',
+        get: item => countMetrics(item.metrics, metric => !metric.passed && metric.override)
+      }
+    }, tableOptions(flags, this.log))
+    this.log('')
+
+    if (!flags.yes && !await cli.confirm(`${approved ? 'Approve' : 'Reject'} execution ${execution.id}? (y/n)`)) {
+      this.error(`Execution ${execution.id} was not ${approved ? 'approved' : 'rejected'}`)
+    }
+
+    const entry = {
+      user,
+      orgId: await getOrgId(),
+      programId,
+      pipelineId: args.pipelineId,
+      executionId: execution.id,
+      stepId: step.stepId,
+      environment: step.environment
+    }
+    const written = await appendAuditEntry({
+      ...entry,
+      decision: approved ? 'approved' : 'rejected',
+      message: flags.message
+    })
+
+    cli.action.start(`${approved ? 'approving' : 'rejecting'} execution ${execution.id}`)
+
+    try {
+      await this.decideApproval(programId, args.pipelineId, execution.id, approved, flags.passphrase)
+    } catch (error) {
+      await appendAuditEntry({
+        ...entry,
+        decision: approved ? 'approval failed' : 'rejection failed',
+        message: error.message
+      })
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    cli.action.stop(`${approved ? 'approved' : 'rejected'} execution ${execution.id}`)
+
+    return written
+  }
+
+  async getUser (passphrase = null) {
+    return _getUser(passphrase)
+  }
+
+  async getPendingApproval (programId, pipelineId, passphrase = null) {
+    return _getPendingApproval(programId, pipelineId, passphrase)
+  }
+
+  async decideApproval (programId, pipelineId, executionId, approved, passphrase = null) {
+    return _decideApproval(programId, pipelineId, executionId, approved, passphrase)
+  }
+}
+
+ApproveCommand.approved = true
+
+ApproveCommand.description = 'approve the current execution of a pipeline which is waiting for approval, recording the decision in the local audit log'
+
+ApproveCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  ...commonFlags.outputFormat,
+  message: flags.string({ char: 'm', description: 'the justification for the decision, recorded in the audit log', required: true }),
+  yes: flags.boolean({ char: 'y', description: 'send the decision without asking for confirmation' })
+}
+
+ApproveCommand.args = [
+  {name: 'pipelineId', required: true, description: "the pipeline id"}
+]
+
+module.exports = ApproveCommand
@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -38,6 +37,7 @@ class CancelCurrentExecutionCommand extends Command {
       result = await this.cancelCurrentExecution(programId, args.pipelineId, flags.passphrase)
     } catch (error) {
       cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
       return
     }
 
@@ -0,0 +1,138 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { Command } = require('@oclif/command')
+const { formatMetricName, getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { changes, compareQualityGates } = require('../../quality-gate-comparison')
+const { cli } = require('cli-ux')
+const chalk = require('chalk')
+const _ = require('lodash')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _getAllQualityGateResults(programId, pipelineId, executionId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).getAllQualityGateResults(programId, pipelineId, executionId)
+}
+
+function formatValue(value) {
+    return value === undefined ? '' : String(value)
+}
+
+function formatDelta(delta) {
+    return delta === undefined || delta === 0 ? '' : `${delta > 0 ? '+' : ''}${delta}`
+}
+
+function formatThreshold(item) {
+    if (item.thresholdBefore !== undefined && item.thresholdAfter !== undefined && item.thresholdBefore !== item.thresholdAfter) {
+        return `${item.thresholdBefore} -> ${item.thresholdAfter}`
+    }
+    return formatValue(item.thresholdAfter === undefined ? item.thresholdBefore : item.thresholdAfter)
+}
+
+function highlightChange(change) {
+    if (change === changes.regression) {
+        return chalk.red.bold(change)
+    } else if (change === changes.fixed) {
+        return chalk.green(change)
+    } else if (change === changes.thresholdChanged) {
+        return chalk.yellow(change)
+    }
+    return change
+}
+
+class CompareQualityGatesCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(CompareQualityGatesCommand)
+
+        const programId = await getProgramId(flags)
+
+        let before
+        let after
+
+        try {
+            before = await this.getAllQualityGateResults(programId, args.pipelineId, args.executionA, flags.passphrase)
+            after = await this.getAllQualityGateResults(programId, args.pipelineId, args.executionB, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        const result = compareQualityGates(before, after)
+
+        const formatted = flags.json || flags.yaml || flags.csv
+        if (!formatted) {
+            const counts = _.countBy(result, 'change')
+            this.log(`Execution ${args.executionA} -> ${args.executionB}: ${counts[changes.regression] || 0} regressions, ${counts[changes.fixed] || 0} fixed, ${counts[changes.thresholdChanged] || 0} threshold changes`)
+            this.log('')
+        }
+
+        cli.table(result, {
+            gate: {
+                header: 'Quality Gate',
+                get: item => _.startCase(item.gate)
+            },
+            kpi: {
+                header: 'Metric',
+                get: item => formatMetricName(item.kpi)
+            },
+            severity: {
+                header: 'Severity',
+                get: item => _.upperFirst(item.severity)
+            },
+            before: {
+                header: 'Before',
+                get: item => formatValue(item.before)
+            },
+            after: {
+                header: 'After',
+                get: item => formatValue(item.after)
+            },
+            delta: {
+                header: 'Delta',
+                get: item => formatDelta(item.delta)
+            },
+            threshold: {
+                header: 'Threshold',
+                get: formatThreshold
+            },
+            change: {
+                header: 'Change',
+                get: item => formatted ? item.change : highlightChange(item.change)
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async getAllQualityGateResults(programId, pipelineId, executionId, passphrase = null) {
+        return _getAllQualityGateResults(programId, pipelineId, executionId, passphrase)
+    }
+}
+
+CompareQualityGatesCommand.description = 'compare the quality gate results of two executions of a pipeline, showing regressions, fixes and threshold changes'
+
+CompareQualityGatesCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+CompareQualityGatesCommand.args = [
+    {name: 'pipelineId', required: true, description: "the pipeline id"},
+    {name: 'executionA', required: true, description: "the id of the earlier execution, e.g. the last successful one"},
+    {name: 'executionB', required: true, description: "the id of the later execution"}
+]
+
+module.exports = CompareQualityGatesCommand
@@ -0,0 +1,74 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _createEnvironment (programId, definition, passphrase) {
+  const orgId = await getOrgId()
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  return new Client(orgId, accessToken, apiKey).createEnvironment(programId, definition)
+}
+
+class CreateEnvironmentCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(CreateEnvironmentCommand)
+
+    const programId = await getProgramId(flags)
+
+    const definition = {
+      name: args.name,
+      type: flags.type,
+      region: flags.region,
+      description: flags.description
+    }
+
+    let result
+
+    cli.action.start("creating environment")
+
+    try {
+      result = await this.createEnvironment(programId, definition, flags.passphrase)
+      cli.action.stop(`created environment ID ${result.id}${result.status ? `, which is ${result.status}` : ''}`)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    return result
+  }
+
+  async createEnvironment (programId, definition, passphrase = null) {
+    return _createEnvironment(programId, definition, passphrase)
+  }
+}
+
+CreateEnvironmentCommand.description = 'create an environment in a Cloud Manager program'
+
+CreateEnvironmentCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  type: flags.string({ char: 't', required: true, options: ['dev', 'stage', 'prod'], description: 'the type of the environment' }),
+  region: flags.string({ required: true, description: 'the region to create the environment in, e.g. va7' }),
+  description: flags.string({ char: 'd', description: 'the description of the environment' })
+}
+
+CreateEnvironmentCommand.args = [
+  {name: 'name', required: true, description: "the name of the environment"}
+]
+
+module.exports = CreateEnvironmentCommand
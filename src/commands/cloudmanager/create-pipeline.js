@@ -0,0 +1,78 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { readDefinitionFile, toPipelineBody, validatePipelineDefinition } = require('../../pipeline-definition')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _createPipeline (programId, definition, passphrase) {
+  const orgId = await getOrgId()
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  return new Client(orgId, accessToken, apiKey).createPipeline(programId, definition)
+}
+
+class CreatePipelineCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(CreatePipelineCommand)
+
+    const programId = await getProgramId(flags)
+
+    let definition
+
+    try {
+      definition = readDefinitionFile(args.file)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    const problems = validatePipelineDefinition(definition)
+    if (problems.length > 0) {
+      this.error(`Invalid pipeline definition ${args.file}:\n  ${problems.join('\n  ')}`)
+    }
+
+    let result
+
+    cli.action.start("creating pipeline")
+
+    try {
+      result = await this.createPipeline(programId, toPipelineBody(definition), flags.passphrase)
+      cli.action.stop(`created pipeline ID ${result.id}`)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    return result
+  }
+
+  async createPipeline (programId, definition, passphrase = null) {
+    return _createPipeline(programId, definition, passphrase)
+  }
+}
+
+CreatePipelineCommand.description = 'create pipeline from a JSON or YAML pipeline definition file'
+
+CreatePipelineCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId
+}
+
+CreatePipelineCommand.args = [
+  {name: 'file', required: true, description: "the pipeline definition file"}
+]
+
+module.exports = CreatePipelineCommand
@@ -0,0 +1,65 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _deleteEnvironmentVariable (programId, environmentId, name, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).deleteEnvironmentVariable(programId, environmentId, name)
+}
+
+class DeleteEnvironmentVariableCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(DeleteEnvironmentVariableCommand)
+
+    const programId = await getProgramId(flags)
+
+    let result
+
+    cli.action.start("deleting variable")
+
+    try {
+      result = await this.deleteEnvironmentVariable(programId, args.environmentId, args.name, flags.passphrase)
+      cli.action.stop(`deleted variable ${args.name} of environment ${args.environmentId}`)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    return result
+  }
+
+  async deleteEnvironmentVariable (programId, environmentId, name, passphrase = null) {
+    return _deleteEnvironmentVariable(programId, environmentId, name, passphrase)
+  }
+}
+
+DeleteEnvironmentVariableCommand.description = 'deletes a variable or secret of an environment in a Cloud Manager program'
+
+DeleteEnvironmentVariableCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId
+}
+
+DeleteEnvironmentVariableCommand.args = [
+  {name: 'environmentId', required: true, description: "the environment id"},
+  {name: 'name', required: true, description: "the name of the variable"}
+]
+
+module.exports = DeleteEnvironmentVariableCommand
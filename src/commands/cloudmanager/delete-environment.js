@@ -0,0 +1,90 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _getEnvironment (programId, environmentId, passphrase) {
+  const orgId = await getOrgId()
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  return new Client(orgId, accessToken, apiKey).getEnvironment(programId, environmentId)
+}
+
+async function _deleteEnvironment (programId, environmentId, passphrase) {
+  const orgId = await getOrgId()
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  return new Client(orgId, accessToken, apiKey).deleteEnvironment(programId, environmentId)
+}
+
+class DeleteEnvironmentCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(DeleteEnvironmentCommand)
+
+    const programId = await getProgramId(flags)
+
+    let environment
+
+    try {
+      environment = await this.getEnvironment(programId, args.environmentId, flags.passphrase)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    // deleting an environment cannot be undone, so its name has to be typed, or given with --confirm in scripts
+    const name = flags.confirm !== undefined ? flags.confirm : await cli.prompt(`Type the name of environment ${args.environmentId} (${environment.name}) to delete it`)
+    if (name !== environment.name) {
+      this.error(`${name} is not the name of environment ${args.environmentId}, which is ${environment.name}. Nothing was deleted`)
+    }
+
+    let result
+
+    cli.action.start("deleting environment")
+
+    try {
+      result = await this.deleteEnvironment(programId, args.environmentId, flags.passphrase)
+      cli.action.stop(`deleted environment ID ${args.environmentId}`)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    return result
+  }
+
+  async getEnvironment (programId, environmentId, passphrase = null) {
+    return _getEnvironment(programId, environmentId, passphrase)
+  }
+
+  async deleteEnvironment (programId, environmentId, passphrase = null) {
+    return _deleteEnvironment(programId, environmentId, passphrase)
+  }
+}
+
+DeleteEnvironmentCommand.description = 'delete an environment, after typing its name to confirm'
+
+DeleteEnvironmentCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  confirm: flags.string({ description: 'the name of the environment, to delete it without being asked for it' })
+}
+
+DeleteEnvironmentCommand.args = [
+  {name: 'environmentId', required: true, description: "the environment id"}
+]
+
+module.exports = DeleteEnvironmentCommand
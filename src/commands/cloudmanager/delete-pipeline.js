@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -39,6 +38,7 @@ class DeletePipelineCommand extends Command {
       cli.action.stop(`deleted pipeline ID ${args.pipelineId}`)
     } catch (error) {
       cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
       return
     }
 
@@ -0,0 +1,104 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { changes, diffEnvironmentVariables } = require('../../environment-variables')
+const { cli } = require('cli-ux')
+const chalk = require('chalk')
+const _ = require('lodash')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _getEnvironmentVariables(programId, environmentId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).getEnvironmentVariables(programId, environmentId)
+}
+
+function highlightChange(change) {
+    if (change === changes.added) {
+        return chalk.green(change)
+    } else if (change === changes.removed) {
+        return chalk.red(change)
+    } else if (change === changes.changed) {
+        return chalk.yellow(change)
+    }
+    return change
+}
+
+class DiffEnvironmentVariablesCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(DiffEnvironmentVariablesCommand)
+
+        const programId = await getProgramId(flags)
+
+        let variablesA
+        let variablesB
+
+        try {
+            variablesA = await this.getEnvironmentVariables(programId, args.environmentA, flags.passphrase)
+            variablesB = await this.getEnvironmentVariables(programId, args.environmentB, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        const diff = diffEnvironmentVariables(variablesA, variablesB)
+        const result = flags.all ? diff : diff.filter(item => item.change !== changes.unchanged)
+
+        const formatted = flags.json || flags.yaml || flags.csv
+        if (!formatted) {
+            const counts = _.countBy(diff, 'change')
+            this.log(`Environment ${args.environmentA} -> ${args.environmentB}: ${counts[changes.added] || 0} added, ${counts[changes.removed] || 0} removed, ${counts[changes.changed] || 0} changed`)
+            this.log('')
+        }
+
+        cli.table(result, {
+            name: {
+                header: 'Name'
+            },
+            valueA: {
+                header: `Environment ${args.environmentA}`
+            },
+            valueB: {
+                header: `Environment ${args.environmentB}`
+            },
+            change: {
+                header: 'Change',
+                get: item => formatted ? item.change : highlightChange(item.change)
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async getEnvironmentVariables(programId, environmentId, passphrase = null) {
+        return _getEnvironmentVariables(programId, environmentId, passphrase)
+    }
+}
+
+DiffEnvironmentVariablesCommand.description = 'compare the variables of two environments, showing the variables added, removed and changed from the first to the second. the values of secrets are masked, only showing whether they are present'
+
+DiffEnvironmentVariablesCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat,
+    all: flags.boolean({ description: 'also list the variables which are the same in both environments' })
+}
+
+DiffEnvironmentVariablesCommand.args = [
+    {name: 'environmentA', required: true, description: "the id of the first environment, e.g. stage"},
+    {name: 'environmentB', required: true, description: "the id of the second environment, e.g. prod"}
+]
+
+module.exports = DiffEnvironmentVariablesCommand
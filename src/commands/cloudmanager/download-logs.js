@@ -11,18 +11,18 @@ governing permissions and limitations under the License.
 */
 
 const { Command, flags } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { exitCodes } = require('../../constants')
 const { cli } = require('cli-ux')
 const path = require('path')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
-async function _downloadLogs(programId, environmentId, service, logName, days, outputDirectory, passphrase) {
+async function _downloadLogs(programId, environmentId, service, logName, days, outputDirectory, options, passphrase) {
     const apiKey = await getApiKey()
     const accessToken = await getAccessToken(passphrase)
     const orgId = await getOrgId()
-    return new Client(orgId, accessToken, apiKey).downloadLogs(programId, environmentId, service, logName, days, outputDirectory)
+    return new Client(orgId, accessToken, apiKey).downloadLogs(programId, environmentId, service, logName, days, outputDirectory, options)
 }
 
 class DownloadLogs extends Command {
@@ -38,12 +38,19 @@ class DownloadLogs extends Command {
         let result
 
         try {
-            result = await this.downloadLogs(programId, args.environmentId, args.service, args.name, args.days, outputDirectory, flags.passphrase)
+            result = await this.downloadLogs(programId, args.environmentId, args.service, args.name, args.days, outputDirectory, {
+                format: flags.format,
+                keepGzip: flags.keepGzip,
+                concurrency: flags.concurrency
+            }, flags.passphrase)
         } catch (error) {
-            this.error(error.message)
+            this.error(error.message, { exit: error.exitCode })
         }
 
-        cli.action.stop(`downloaded ${result.length} file${result.length > 1 ? 's' : ''} to ${path.resolve(outputDirectory)}`)
+        const failed = result.filter(file => file.status === 'incomplete' || file.status === 'corrupt')
+        const succeeded = result.length - failed.length
+
+        cli.action.stop(`downloaded ${succeeded} file${succeeded !== 1 ? 's' : ''} to ${path.resolve(outputDirectory)}`)
 
         this.log()
 
@@ -52,20 +59,29 @@ class DownloadLogs extends Command {
             name: {},
             index: {},
             date: {},
+            status: {},
+            size: {},
             path: {
                 get: row => path.resolve(row.path)
+            },
+            sha256: {
+                extended: true
             }
-        })
+        }, tableOptions(flags, this.log))
+
+        if (failed.length > 0) {
+            this.error(`${failed.map(file => `${path.basename(file.path)} is ${file.status}: ${file.problem}`).join('\n')}\nRun the command again to resume incomplete and retry corrupt downloads`, { exit: exitCodes.downloadIncomplete })
+        }
 
         return result
     }
 
-    async downloadLogs(programId, environmentId, service, name, days, outputDirectory, passphrase = null) {
-        return _downloadLogs(programId, environmentId, service, name, days, outputDirectory, passphrase)
+    async downloadLogs(programId, environmentId, service, name, days, outputDirectory, options, passphrase = null) {
+        return _downloadLogs(programId, environmentId, service, name, days, outputDirectory, options, passphrase)
     }
 }
 
-DownloadLogs.description = 'lists available logs for an environment in a Cloud Manager program'
+DownloadLogs.description = 'downloads the logs of an environment in a Cloud Manager program for the given number of days'
 
 DownloadLogs.args = [
     {name: 'environmentId', required: true, description: "the environment id"},
@@ -77,7 +93,11 @@ DownloadLogs.args = [
 DownloadLogs.flags = {
     ...commonFlags.global,
     ...commonFlags.programId,
-    outputDirectory: flags.string({ char: 'o', description: "the output directory. If not set, defaults to the current directory."})
+    ...commonFlags.outputFormat,
+    ...commonFlags.logFormat,
+    outputDirectory: flags.string({ char: 'o', description: "the output directory. If not set, defaults to the current directory."}),
+    keepGzip: flags.boolean({ description: "keep the logs gzipped, as .log.gz or .jsonl.gz files", default: false }),
+    concurrency: flags.integer({ description: "the number of logs to download at a time", default: 3 })
 }
 
 module.exports = DownloadLogs
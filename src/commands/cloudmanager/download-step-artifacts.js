@@ -0,0 +1,92 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const path = require('path')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+const qualityGates = ['codeQuality', 'security', 'performance']
+
+async function _downloadStepArtifacts(programId, pipelineId, executionId, actions, outputDirectory, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).downloadStepArtifacts(programId, pipelineId, executionId, actions, outputDirectory)
+}
+
+class DownloadStepArtifacts extends Command {
+    async run() {
+        const { args, flags } = this.parse(DownloadStepArtifacts)
+
+        const programId = await getProgramId(flags)
+
+        const outputDirectory = flags.outputDirectory || "."
+
+        cli.action.start("downloading step artifacts")
+
+        let result
+
+        try {
+            result = await this.downloadStepArtifacts(programId, args.pipelineId, args.executionId, flags.action || qualityGates, outputDirectory, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        const count = result.artifacts.length
+        cli.action.stop(`downloaded ${count} file${count === 1 ? '' : 's'} to ${path.resolve(outputDirectory)}`)
+
+        this.log()
+
+        cli.table(result.artifacts, {
+            action: {
+                header: 'Step'
+            },
+            name: {
+                header: 'Name'
+            },
+            size: {
+                header: 'Size'
+            },
+            path: {
+                header: 'Path',
+                get: row => path.resolve(outputDirectory, row.path)
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async downloadStepArtifacts(programId, pipelineId, executionId, actions, outputDirectory, passphrase = null) {
+        return _downloadStepArtifacts(programId, pipelineId, executionId, actions, outputDirectory, passphrase)
+    }
+}
+
+DownloadStepArtifacts.description = 'download the reports of the quality gates of an execution, e.g. the code quality issues, with a manifest.json describing them'
+
+DownloadStepArtifacts.args = [
+    {name: 'pipelineId', required: true, description: "the pipeline id"},
+    {name: 'executionId', required: true, description: "the execution id"}
+]
+
+DownloadStepArtifacts.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat,
+    action: flags.string({ description: 'the quality gate to download the reports of. can be specified more than once. if not set, downloads the reports of all quality gates', options: qualityGates, multiple: true }),
+    outputDirectory: flags.string({ char: 'o', description: "the output directory. If not set, defaults to the current directory."})
+}
+
+module.exports = DownloadStepArtifacts
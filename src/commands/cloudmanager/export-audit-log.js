@@ -0,0 +1,78 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { formatTime, tableOptions } = require('../../cloudmanager-helpers')
+const { readAuditLog } = require('../../audit-log')
+const { cli } = require('cli-ux')
+const commonFlags = require('../../common-flags')
+
+class ExportAuditLogCommand extends Command {
+    async run() {
+        const { flags } = this.parse(ExportAuditLogCommand)
+
+        let result
+
+        try {
+            result = await this.readAuditLog()
+        } catch (error) {
+            this.error(error.message)
+        }
+
+        if (flags.pipelineId) {
+            result = result.filter(entry => entry.pipelineId === flags.pipelineId)
+        }
+
+        cli.table(result, {
+            timestamp: {
+                header: 'Time',
+                get: flags.json || flags.yaml || flags.csv ? item => item.timestamp : formatTime('timestamp')
+            },
+            user: {
+                header: 'User'
+            },
+            programId: {
+                header: 'Program Id'
+            },
+            pipelineId: {
+                header: 'Pipeline Id'
+            },
+            executionId: {
+                header: 'Execution Id'
+            },
+            stepId: {
+                header: 'Step Id'
+            },
+            decision: {
+                header: 'Decision'
+            },
+            message: {
+                header: 'Message'
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async readAuditLog() {
+        return readAuditLog()
+    }
+}
+
+ExportAuditLogCommand.description = 'export the approval decisions recorded in the local audit log'
+
+ExportAuditLogCommand.flags = {
+    ...commonFlags.outputFormat,
+    pipelineId: flags.string({ description: 'only export decisions for this pipeline' })
+}
+
+module.exports = ExportAuditLogCommand
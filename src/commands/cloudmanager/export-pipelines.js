@@ -0,0 +1,76 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const fs = require('fs')
+const yaml = require('js-yaml')
+const { cli } = require('cli-ux')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { toPipelineDefinition } = require('../../pipeline-definition')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listPipelines (programId, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).listPipelines(programId)
+}
+
+class ExportPipelinesCommand extends Command {
+  async run () {
+    const { flags } = this.parse(ExportPipelinesCommand)
+
+    const programId = await getProgramId(flags)
+
+    if (flags.output) {
+      cli.action.start(`exporting pipelines to ${flags.output}`)
+    }
+
+    let pipelines
+
+    try {
+      pipelines = await this.listPipelines(programId, flags.passphrase)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    const result = {
+      programId,
+      pipelines: pipelines.map(pipeline => toPipelineDefinition(pipeline.original()))
+    }
+    const contents = yaml.safeDump(result)
+
+    if (flags.output) {
+      fs.writeFileSync(flags.output, contents)
+      cli.action.stop(`exported ${result.pipelines.length} pipelines`)
+    } else {
+      this.log(contents)
+    }
+
+    return result
+  }
+
+  async listPipelines (programId, passphrase = null) {
+    return _listPipelines(programId, passphrase)
+  }
+}
+
+ExportPipelinesCommand.description = 'export the pipelines of a program to a YAML file which can be applied with apply-pipelines'
+
+ExportPipelinesCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  output: flags.string({ char: 'o', description: "the output file. If not set, uses standard output."})
+}
+
+module.exports = ExportPipelinesCommand
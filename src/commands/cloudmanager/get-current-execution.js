@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId, getCurrentStep } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, getCurrentStep, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -35,7 +34,7 @@ class GetCurrentExecutionCommand extends Command {
     try {
       result = await this.getCurrentExecution(programId, args.pipelineId, flags.passphrase)
     } catch (error) {
-      this.error(error.message)
+      this.error(error.message, { exit: error.exitCode })
     }
 
     cli.table([result], {
@@ -53,9 +52,7 @@ class GetCurrentExecutionCommand extends Command {
         header: "Current Step Status",
         get: item => getCurrentStep(item).status
       }
-    }, {
-      printLine: this.log
-    })
+    }, tableOptions(flags, this.log))
 
     return result
   }
@@ -69,7 +66,8 @@ GetCurrentExecutionCommand.description = 'get pipeline execution'
 
 GetCurrentExecutionCommand.flags = {
   ...commonFlags.global,
-  ...commonFlags.programId
+  ...commonFlags.programId,
+  ...commonFlags.outputFormat
 }
 
 GetCurrentExecutionCommand.args = [
@@ -0,0 +1,97 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, listLinks, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const yaml = require('js-yaml')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _getEnvironment(programId, environmentId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).getEnvironment(programId, environmentId)
+}
+
+class GetEnvironmentCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(GetEnvironmentCommand)
+
+        const programId = await getProgramId(flags)
+
+        let environment
+
+        try {
+            environment = await this.getEnvironment(programId, args.environmentId, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        const result = environment.original()
+        const logOptions = result.availableLogOptions || []
+
+        if (flags.json) {
+            this.log(JSON.stringify(result, null, 2))
+            return result
+        } else if (flags.yaml) {
+            this.log(yaml.safeDump(result))
+            return result
+        }
+
+        if (!flags.csv) {
+            this.log(`Environment ${result.id}: ${result.name}${result.description ? ` (${result.description})` : ''}`)
+            this.log(`Type: ${result.type}`)
+            this.log(`Status: ${result.status || 'unknown'}`)
+            this.log(`Region: ${result.region || 'unknown'}`)
+            this.log(`Namespace: ${result.namespace || 'none'}`)
+            this.log(`Cluster: ${result.cluster || 'none'}`)
+            this.log('Links:')
+            listLinks(result._links).forEach(({ rel, href }) => this.log(`  ${rel}: ${href}`))
+            this.log('')
+        }
+
+        if (logOptions.length > 0) {
+            cli.table(logOptions, {
+                service: {
+                    header: 'Service'
+                },
+                name: {
+                    header: 'Log Name'
+                }
+            }, tableOptions(flags, this.log))
+        } else if (!flags.csv) {
+            this.log(`No log options are available for environment ${result.id}`)
+        }
+
+        return result
+    }
+
+    async getEnvironment(programId, environmentId, passphrase = null) {
+        return _getEnvironment(programId, environmentId, passphrase)
+    }
+}
+
+GetEnvironmentCommand.description = 'shows an environment of a Cloud Manager program, with its status, namespace, cluster, links and available log options'
+
+GetEnvironmentCommand.args = [
+    {name: 'environmentId', required: true, description: "the environment id"}
+]
+
+GetEnvironmentCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+module.exports = GetEnvironmentCommand
@@ -11,12 +11,10 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { formatAction, formatDuration, formatTime, getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const _ = require("lodash")
 const halfred = require('halfred')
-const moment = require("moment")
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
@@ -27,24 +25,6 @@ async function _getExecution (programId, pipelineId, executionId, passphrase) {
   return new Client(orgId, accessToken, apiKey).getExecution(programId, pipelineId, executionId)
 }
 
-function formatAction (stepState) {
-    if (stepState.action === 'deploy') {
-        return `${_.startCase(stepState.environmentType)} ${_.startCase(stepState.action)}`
-    } else {
-        return _.startCase(stepState.action)
-    }
-}
-
-function formatTime (property) {
-    return (stepState) => stepState[property] ? moment(stepState[property]).format('LLL') : ''
-}
-
-function formatDuration (stepState) {
-    return stepState.startedAt && stepState.finishedAt ?
-        moment.duration(moment(stepState.finishedAt).diff(stepState.startedAt)).humanize() :
-        ''
-}
-
 class GetExecutionStepDetails extends Command {
   async run () {
     const { args, flags } = this.parse(GetExecutionStepDetails)
@@ -56,7 +36,7 @@ class GetExecutionStepDetails extends Command {
     try {
       result = await this.getExecution(programId, args.pipelineId, args.executionId, flags.passphrase)
     } catch (error) {
-      this.error(error.message)
+      this.error(error.message, { exit: error.exitCode })
     }
 
     if (result) {
@@ -87,11 +67,9 @@ class GetExecutionStepDetails extends Command {
             },
             duration: {
                 header: 'Duration',
-                get: formatDuration
+                get: (stepState) => formatDuration(stepState.startedAt, stepState.finishedAt)
             }
-          }, {
-            printLine: this.log
-          })
+          }, tableOptions(flags, this.log))
 
         return stepStates
     }
@@ -108,7 +86,8 @@ GetExecutionStepDetails.description = 'get execution step details'
 
 GetExecutionStepDetails.flags = {
   ...commonFlags.global,
-  ...commonFlags.programId
+  ...commonFlags.programId,
+  ...commonFlags.outputFormat
 }
 
 GetExecutionStepDetails.args = [
@@ -13,8 +13,7 @@ governing permissions and limitations under the License.
 const { Command, flags } = require('@oclif/command')
 const fs = require("fs")
 const { cli } = require('cli-ux')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
@@ -42,7 +41,7 @@ class GetExecutionStepLogs extends Command {
     try {
       result = await this.getExecutionStepLog(programId, args.pipelineId, args.executionId, args.action, outputStream, flags.passphrase)
     } catch (error) {
-      this.error(error.message)
+      this.error(error.message, { exit: error.exitCode })
     }
 
     if (flags.output) {
@@ -0,0 +1,103 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { formatTime, getAccessToken, getApiKey, getOrgId, getProgramId, listLinks, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const yaml = require('js-yaml')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+const programTypes = {
+    aem_managed_services: 'AEM Managed Services',
+    aem_cloud_service: 'AEM as a Cloud Service'
+}
+
+async function _getProgramDetails(programId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).getProgramDetails(programId)
+}
+
+function formatCount(count) {
+    return count === undefined ? 'not available' : count
+}
+
+class GetProgramCommand extends Command {
+    async run() {
+        const { flags } = this.parse(GetProgramCommand)
+
+        const programId = await getProgramId(flags)
+
+        let result
+
+        try {
+            result = await this.getProgramDetails(programId, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        if (flags.json) {
+            this.log(JSON.stringify(result, null, 2))
+            return result
+        } else if (flags.yaml) {
+            this.log(yaml.safeDump(result))
+            return result
+        }
+
+        if (!flags.csv) {
+            this.log(`Program ${result.id}: ${result.name}`)
+            this.log(`Enabled: ${result.enabled ? 'yes' : 'no'}`)
+            this.log(`Tenant: ${result.tenantId || 'unknown'}`)
+            this.log(`Type: ${result.type ? programTypes[result.type] || result.type : 'unknown'}`)
+            this.log(`Created: ${formatTime('createdAt')(result) || 'unknown'}`)
+            this.log(`Environments: ${formatCount(result.environmentsCount)}`)
+            this.log(`Pipelines: ${formatCount(result.pipelinesCount)}`)
+            this.log('')
+        }
+
+        // any other properties of the program, so that nothing it exposes is left out
+        const properties = Object.entries(result)
+            .filter(([name]) => !['id', 'name', 'enabled', 'tenantId', 'type', 'createdAt', 'environmentsCount', 'pipelinesCount', '_links'].includes(name))
+            .map(([name, value]) => ({ name, value: typeof value === 'object' ? JSON.stringify(value) : String(value) }))
+        if (properties.length > 0 && !flags.csv) {
+            properties.forEach(({ name, value }) => this.log(`${name}: ${value}`))
+            this.log('')
+        }
+
+        cli.table(listLinks(result._links), {
+            rel: {
+                header: 'Link'
+            },
+            href: {
+                header: 'Href'
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async getProgramDetails(programId, passphrase = null) {
+        return _getProgramDetails(programId, passphrase)
+    }
+}
+
+GetProgramCommand.description = 'shows a program with its tenant, type, creation date, the number of its environments and pipelines and all its links'
+
+GetProgramCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+module.exports = GetProgramCommand
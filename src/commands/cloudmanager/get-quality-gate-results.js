@@ -10,11 +10,12 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { Command, flags } = require('@oclif/command')
+const { formatMetricName, getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { exporters } = require('../../quality-gate-exporters')
 const { cli } = require('cli-ux')
 const _ = require("lodash")
+const fs = require('fs')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
@@ -25,10 +26,6 @@ async function _getQualityGateResults (programId, pipelineId, executionId, actio
   return new Client(orgId, accessToken, apiKey).getQualityGateResults(programId, pipelineId, executionId, action)
 }
 
-function formatMetricName(name) {
-    return _.startCase(name.replace('sqale', 'maintainability'))
-}
-
 class GetQualityGateResults extends Command {
   async run () {
     const { args, flags } = this.parse(GetQualityGateResults)
@@ -40,7 +37,7 @@ class GetQualityGateResults extends Command {
     try {
       result = await this.getQualityGateResults(programId, args.pipelineId, args.executionId, args.action, flags.passphrase)
     } catch (error) {
-      this.error(error.message)
+      this.error(error.message, { exit: error.exitCode })
     }
 
     result = result.metrics
@@ -51,6 +48,17 @@ class GetQualityGateResults extends Command {
 
     result = _.sortBy(result, "severity")
 
+    if (flags.format) {
+      const contents = exporters[flags.format](result, { pipelineId: args.pipelineId, executionId: args.executionId, action: args.action })
+      if (flags.output) {
+        fs.writeFileSync(flags.output, contents)
+        this.log(`wrote ${result.length} metrics to ${flags.output}`)
+      } else {
+        this.log(contents)
+      }
+      return result
+    }
+
     cli.table(result, {
       severity: {
         header: "Severity",
@@ -70,9 +78,7 @@ class GetQualityGateResults extends Command {
         header: "Passed?",
         get: item => item.passed ? "Yes" : "No"
       }
-    }, {
-      printLine: this.log
-    })
+    }, tableOptions(flags, this.log))
 
     return result
   }
@@ -86,7 +92,10 @@ GetQualityGateResults.description = 'get quality gate results'
 
 GetQualityGateResults.flags = {
   ...commonFlags.global,
-  ...commonFlags.programId
+  ...commonFlags.programId,
+  ...commonFlags.outputFormat,
+  format: flags.string({ description: 'export the results as a JUnit XML report or SARIF log', options: Object.keys(exporters), exclusive: ['json', 'yaml', 'csv'] }),
+  output: flags.string({ char: 'o', description: "the output file for --format. If not set, uses standard output.", dependsOn: ['format'] })
 }
 
 GetQualityGateResults.args = [
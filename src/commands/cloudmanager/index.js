@@ -25,21 +25,38 @@ CloudManagerCommand.description = 'interact with the Cloud Manager API to list,
 CloudManagerCommand.examples = [
     '$ aio cloudmanager:list-programs',
     '$ aio cloudmanager:list-programs --enabledonly',
+    '$ aio cloudmanager:get-program --programId=PROGRAM_ID',
 
     '$ aio cloudmanager:list-pipelines',
     '$ aio cloudmanager:list-pipelines --programId=PROGRAM_ID',
+    '$ aio cloudmanager:list-pipelines --programId=PROGRAM_ID --csv --columns="Pipeline Id,status" --sort=status',
 
     '$ aio cloudmanager:start-execution PIPELINE_ID',
     '$ aio cloudmanager:start-execution --programId=PROGRAM_ID PIPELINE_ID',
+    '$ aio cloudmanager:start-execution --wait --timeout=3600 PIPELINE_ID',
 
     '$ aio cloudmanager:list-current-executions',
     '$ aio cloudmanager:list-current-executions --programId=PROGRAM_ID',
 
+    '$ aio cloudmanager:list-executions PIPELINE_ID',
+    '$ aio cloudmanager:list-executions PIPELINE_ID --status=FAILED --since=2019-09-01 --limit=5',
+
+    '$ aio cloudmanager:pipeline-stats PIPELINE_ID',
+    '$ aio cloudmanager:pipeline-stats PIPELINE_ID --since=2019-09-01 --until=2019-09-14 --json',
+
     '$ aio cloudmanager:get-current-execution PIPELINE_ID',
     '$ aio cloudmanager:get-current-execution --programId=PROGRAM_ID PIPELINE_ID',
 
     '$ aio cloudmanager:get-quality-gate-results PIPELINE_ID [codeQuality|security|performance]',
     '$ aio cloudmanager:get-quality-gate-results --programId=PROGRAM_ID PIPELINE_ID [codeQuality|security|performance]',
+    '$ aio cloudmanager:get-quality-gate-results PIPELINE_ID EXECUTION_ID codeQuality --format=junit --output=quality-gate.xml',
+    '$ aio cloudmanager:get-quality-gate-results PIPELINE_ID EXECUTION_ID security --format=sarif --output=security.sarif',
+
+    '$ aio cloudmanager:compare-quality-gates PIPELINE_ID EXECUTION_ID_A EXECUTION_ID_B',
+    '$ aio cloudmanager:compare-quality-gates PIPELINE_ID EXECUTION_ID_A EXECUTION_ID_B --csv',
+
+    '$ aio cloudmanager:download-step-artifacts PIPELINE_ID EXECUTION_ID',
+    '$ aio cloudmanager:download-step-artifacts PIPELINE_ID EXECUTION_ID --action=codeQuality --outputDirectory=reports',
 
     '$ aio cloudmanager:get-execution-step-details PIPELINE_ID EXECUTION_ID',
     '$ aio cloudmanager:get-execution-step-details --programId=PROGRAM_ID PIPELINE_ID EXECUTION_ID',
@@ -52,15 +69,48 @@ CloudManagerCommand.examples = [
 
     '$ aio cloudmanager:advance-current-execution PIPELINE_ID',
     '$ aio cloudmanager:advance-current-execution --programId=PROGRAM_ID PIPELINE_ID',
+    '$ aio cloudmanager:advance-current-execution PIPELINE_ID --metric=coverage --metric=skipped_tests',
+    '$ aio cloudmanager:advance-current-execution PIPELINE_ID --interactive',
+
+    '$ aio cloudmanager:approve PIPELINE_ID --message="Verified on stage"',
+    '$ aio cloudmanager:reject --programId=PROGRAM_ID PIPELINE_ID --message="Failing checkout on stage"',
+    '$ aio cloudmanager:export-audit-log --csv',
+
+    '$ aio cloudmanager:schedule-deployment PIPELINE_ID 2019-09-14T22:30:00Z',
+    '$ aio cloudmanager:schedule-deployment PIPELINE_ID now',
+    '$ aio cloudmanager:unschedule-deployment PIPELINE_ID',
 
     '$ aio cloudmanager:delete-pipeline PIPELINE_ID',
     '$ aio cloudmanager:delete-pipeline --programId=PROGRAM_ID PIPELINE_ID',
 
+    '$ aio cloudmanager:list-repositories',
+    '$ aio cloudmanager:list-branches REPOSITORY_ID',
     '$ aio cloudmanager:update-pipeline PIPELINE_ID --branch=NEW_BRANCH',
     '$ aio cloudmanager:update-pipeline --programId=PROGRAM_ID PIPELINE_ID --branch=NEW_BRANCH',
+    '$ aio cloudmanager:update-pipeline PIPELINE_ID --trigger=MANUAL --prodDeploymentMode=scheduled --no-cseOversight',
+    '$ aio cloudmanager:update-pipeline PIPELINE_ID --phaseProperty=DEPLOY:stage.environmentId=NEW_ENVIRONMENT_ID',
+
+    '$ aio cloudmanager:create-pipeline pipeline.yaml',
+    '$ aio cloudmanager:create-pipeline --programId=PROGRAM_ID pipeline.json',
+
+    '$ aio cloudmanager:export-pipelines --output=pipelines.yaml',
+    '$ aio cloudmanager:apply-pipelines --dryRun pipelines.yaml',
+    '$ aio cloudmanager:apply-pipelines pipelines.yaml',
 
     '$ aio cloudmanager:list-environments',
     '$ aio cloudmanager:list-environments --programId=PROGRAM_ID',
+    '$ aio cloudmanager:get-environment ENVIRONMENT_ID',
+    '$ aio cloudmanager:create-environment NAME --type=dev --region=va7 --description="feature environment"',
+    '$ aio cloudmanager:delete-environment ENVIRONMENT_ID',
+
+    '$ aio cloudmanager:list-environment-variables ENVIRONMENT_ID',
+    '$ aio cloudmanager:set-environment-variables ENVIRONMENT_ID --variable=NAME=VALUE --delete=OTHER_NAME',
+    '$ aio cloudmanager:set-environment-variables ENVIRONMENT_ID --secret=NAME < secret.txt',
+    '$ aio cloudmanager:set-environment-variables ENVIRONMENT_ID --file=variables.env --secretsFile=secrets.env',
+    '$ aio cloudmanager:delete-environment-variable ENVIRONMENT_ID NAME',
+    '$ aio cloudmanager:diff-environment-variables ENVIRONMENT_ID ENVIRONMENT_ID',
+    '$ aio cloudmanager:sync-environment-variables SOURCE_ENVIRONMENT_ID TARGET_ENVIRONMENT_ID --variable=API_* --dryRun',
+    '$ aio cloudmanager:sync-environment-variables SOURCE_ENVIRONMENT_ID TARGET_ENVIRONMENT_ID --all',
 
     '$ aio cloudmanager:list-available-log-options ENVIRONMENT_ID',
     '$ aio cloudmanager:list-available-log-options --programId=PROGRAM_ID ENVIRONMENT_ID',
@@ -68,9 +118,18 @@ CloudManagerCommand.examples = [
     '$ aio cloudmanager:download-logs ENVIRONMENT_ID SERVICE NAME',
     '$ aio cloudmanager:download-logs ENVIRONMENT_ID SERVICE NAME DAYS',
     '$ aio cloudmanager:download-logs --programId=PROGRAM_ID ENVIRONMENT_ID SERVICE NAME DAYS',
+    '$ aio cloudmanager:download-logs ENVIRONMENT_ID SERVICE NAME DAYS --format=jsonl',
+    '$ aio cloudmanager:download-logs ENVIRONMENT_ID SERVICE NAME DAYS --keepGzip --concurrency=2',
 
     '$ aio cloudmanager:tail-log ENVIRONMENT_ID SERVICE NAME',
     '$ aio cloudmanager:tail-log --programId=PROGRAM_ID ENVIRONMENT_ID SERVICE NAME',
+    '$ aio cloudmanager:tail-log ENVIRONMENT_ID SERVICE NAME --filter=level=WARN --filter=logger=com.example',
+    '$ aio cloudmanager:tail-log ENVIRONMENT_ID SERVICE NAME --format=jsonl',
+    '$ aio cloudmanager:tail-log ENVIRONMENT_ID SERVICE NAME ENVIRONMENT_ID SERVICE NAME',
+    '$ aio cloudmanager:tail-log ENVIRONMENT_ID all',
+
+    '$ aio cloudmanager:search-logs --file=FILE --file=FILE --filter=level=ERROR --filter=since=1h',
+    '$ aio cloudmanager:search-logs --file=FILE --file=FILE --filter=path=/content/site --filter=regex=PATTERN',
   ]
 
 CloudManagerCommand.flags = commonFlags.global
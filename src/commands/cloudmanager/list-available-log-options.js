@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -35,7 +34,7 @@ class ListAvailableLogOptionsCommand extends Command {
         try {
             result = await this.listAvailableLogOptions(programId, args.environmentId, flags.passphrase)
         } catch (error) {
-            this.error(error.message)
+            this.error(error.message, { exit: error.exitCode })
         }
 
         if (result.length > 0) {
@@ -46,9 +45,7 @@ class ListAvailableLogOptionsCommand extends Command {
                 },
                 service: {},
                 name: {}
-            }, {
-                    printLine: this.log
-                })
+            }, tableOptions(flags, this.log))
         } else {
             cli.info(`No log options are available for environmentId ${args.environmentId}`)
         }
@@ -69,7 +66,8 @@ ListAvailableLogOptionsCommand.args = [
 
 ListAvailableLogOptionsCommand.flags = {
     ...commonFlags.global,
-    ...commonFlags.programId
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
 }
 
 module.exports = ListAvailableLogOptionsCommand
@@ -0,0 +1,70 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listBranches(programId, repositoryId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).listBranches(programId, repositoryId)
+}
+
+class ListBranchesCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(ListBranchesCommand)
+
+        const programId = await getProgramId(flags)
+
+        let result
+
+        try {
+            result = await this.listBranches(programId, args.repositoryId, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        cli.table(result, {
+            repositoryId: {
+                header: "Repository Id",
+                get: () => args.repositoryId
+            },
+            name: {
+                header: "Branch"
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async listBranches(programId, repositoryId, passphrase = null) {
+        return _listBranches(programId, repositoryId, passphrase)
+    }
+}
+
+ListBranchesCommand.description = 'lists the branches of a git repository of a Cloud Manager program'
+
+ListBranchesCommand.args = [
+    {name: 'repositoryId', required: true, description: "the repository id"}
+]
+
+ListBranchesCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+module.exports = ListBranchesCommand
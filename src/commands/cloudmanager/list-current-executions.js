@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId, getCurrentStep } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, getCurrentStep, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -39,7 +38,7 @@ class ListCurrentExecutionsCommand extends Command {
         try {
           result = await this.listCurrentExecutions(programId, flags.passphrase)
         } catch (error) {
-          this.error(error.message)
+          this.error(error.message, { exit: error.exitCode })
         }
 
         cli.table(result, {
@@ -57,9 +56,7 @@ class ListCurrentExecutionsCommand extends Command {
             header: "Current Step Status",
             get: item => getCurrentStep(item).status
           }
-        }, {
-          printLine: this.log
-        })
+        }, tableOptions(flags, this.log))
 
         return result
     }
@@ -73,7 +70,8 @@ ListCurrentExecutionsCommand.description = 'list running pipeline executions'
 
 ListCurrentExecutionsCommand.flags = {
     ...commonFlags.global,
-    ...commonFlags.programId
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
 }
 
 module.exports = ListCurrentExecutionsCommand
@@ -0,0 +1,73 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listEnvironmentVariables(programId, environmentId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).getEnvironmentVariables(programId, environmentId)
+}
+
+class ListEnvironmentVariablesCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(ListEnvironmentVariablesCommand)
+
+        const programId = await getProgramId(flags)
+
+        let result
+
+        try {
+            result = await this.listEnvironmentVariables(programId, args.environmentId, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        cli.table(result, {
+            name: {
+                header: "Name"
+            },
+            type: {
+                header: "Type"
+            },
+            value: {
+                header: "Value",
+                get: item => item.type === 'secretString' ? '****' : item.value
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async listEnvironmentVariables(programId, environmentId, passphrase = null) {
+        return _listEnvironmentVariables(programId, environmentId, passphrase)
+    }
+}
+
+ListEnvironmentVariablesCommand.description = 'lists the variables of an environment in a Cloud Manager program. the values of secrets are not shown'
+
+ListEnvironmentVariablesCommand.args = [
+    {name: 'environmentId', required: true, description: "the environment id"}
+]
+
+ListEnvironmentVariablesCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+module.exports = ListEnvironmentVariablesCommand
@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -35,7 +34,7 @@ class ListEnvironmentsCommand extends Command {
         try {
             result = await this.listEnvironments(programId, flags.passphrase)
         } catch (error) {
-            this.error(error.message)
+            this.error(error.message, { exit: error.exitCode })
         }
 
         cli.table(result, {
@@ -48,9 +47,7 @@ class ListEnvironmentsCommand extends Command {
                 header: "Description",
                 get: item => item.description ? item.description : ""
               }
-        }, {
-                printLine: this.log
-            })
+        }, tableOptions(flags, this.log))
 
         return result
     }
@@ -64,7 +61,8 @@ ListEnvironmentsCommand.description = 'lists environments available in a Cloud M
 
 ListEnvironmentsCommand.flags = {
     ...commonFlags.global,
-    ...commonFlags.programId
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
 }
 
 module.exports = ListEnvironmentsCommand
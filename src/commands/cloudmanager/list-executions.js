@@ -0,0 +1,110 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { formatAction, formatDuration, formatTime, getAccessToken, getApiKey, getFailedStep, getOrgId, getProgramId, parseDate, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const _ = require('lodash')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listExecutions(programId, pipelineId, filters, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).listExecutions(programId, pipelineId, filters)
+}
+
+class ListExecutionsCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(ListExecutionsCommand)
+
+        const programId = await getProgramId(flags)
+
+        let filters
+
+        try {
+            filters = {
+                status: flags.status,
+                trigger: flags.trigger,
+                user: flags.user,
+                since: flags.since && parseDate('since', flags.since),
+                until: flags.until && parseDate('until', flags.until),
+                limit: flags.limit
+            }
+        } catch (error) {
+            this.error(error.message)
+        }
+
+        let result
+
+        try {
+            result = await this.listExecutions(programId, args.pipelineId, filters, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        cli.table(result, {
+            id: {
+                header: "Execution Id"
+            },
+            status: {
+                header: "Status",
+                get: item => _.startCase(_.toLower(item.status))
+            },
+            trigger: {
+                header: "Trigger"
+            },
+            user: {
+                header: "Started By"
+            },
+            createdAt: {
+                header: "Started At",
+                get: formatTime('createdAt')
+            },
+            duration: {
+                header: "Duration",
+                get: item => formatDuration(item.createdAt, item.finishedAt)
+            },
+            failedStep: {
+                header: "Failed Step",
+                get: item => getFailedStep(item) ? formatAction(getFailedStep(item)) : ''
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async listExecutions(programId, pipelineId, filters, passphrase = null) {
+        return _listExecutions(programId, pipelineId, filters, passphrase)
+    }
+}
+
+ListExecutionsCommand.description = 'list the executions of a pipeline, in the order the API returns them'
+
+ListExecutionsCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat,
+    status: flags.string({ description: 'only list executions with this status', options: ['NOT_STARTED', 'RUNNING', 'CANCELLING', 'CANCELLED', 'FINISHED', 'ERROR', 'FAILED'] }),
+    trigger: flags.string({ description: 'only list executions started by this trigger', options: ['ON_COMMIT', 'MANUAL', 'SCHEDULE', 'PUSH_UPGRADES'] }),
+    user: flags.string({ description: 'only list executions started by this user' }),
+    since: flags.string({ description: 'only list executions started at or after this ISO 8601 date or time' }),
+    until: flags.string({ description: 'only list executions started at or before this ISO 8601 date or time' }),
+    limit: flags.integer({ description: 'the maximum number of executions to list. use 0 to list all executions', default: 20 })
+}
+
+ListExecutionsCommand.args = [
+    {name: 'pipelineId', required: true, description: "the pipeline id"}
+]
+
+module.exports = ListExecutionsCommand
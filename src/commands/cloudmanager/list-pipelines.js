@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
@@ -35,7 +34,7 @@ class ListPipelinesCommand extends Command {
         try {
             result = await this.listPipelines(programId, flags.passphrase)
         } catch (error) {
-            this.error(error.message)
+            this.error(error.message, { exit: error.exitCode })
         }
 
         cli.table(result, {
@@ -44,9 +43,7 @@ class ListPipelinesCommand extends Command {
             },
             name: {},
             status: {}
-        }, {
-                printLine: this.log
-            })
+        }, tableOptions(flags, this.log))
 
         return result
     }
@@ -60,7 +57,8 @@ ListPipelinesCommand.description = 'lists pipelines available in a Cloud Manager
 
 ListPipelinesCommand.flags = {
     ...commonFlags.global,
-    ...commonFlags.programId
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
 }
 
 module.exports = ListPipelinesCommand
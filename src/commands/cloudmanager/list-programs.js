@@ -11,8 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { Command, flags } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, tableOptions } = require('../../cloudmanager-helpers')
 const Client = require('../../client')
 const { cli } = require('cli-ux')
 const commonFlags = require('../../common-flags')
@@ -32,7 +31,7 @@ class ListProgramsCommand extends Command {
         try {
             result = await this.listPrograms(flags.passphrase)
         } catch (error) {
-            this.error(error.message)
+            this.error(error.message, { exit: error.exitCode })
         }
 
         if (flags.enabledonly) {
@@ -45,9 +44,7 @@ class ListProgramsCommand extends Command {
             },
             name: {},
             enabled: {}
-        }, {
-                printLine: this.log
-            })
+        }, tableOptions(flags, this.log))
 
         return result
     }
@@ -61,6 +58,7 @@ ListProgramsCommand.description = 'lists programs available in Cloud Manager'
 
 ListProgramsCommand.flags = {
     ...commonFlags.global,
+    ...commonFlags.outputFormat,
     enabledonly: flags.boolean({ char: 'e', description: 'only output Cloud Manager-enabled programs' })
 }
 
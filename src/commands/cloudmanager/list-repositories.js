@@ -0,0 +1,69 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, tableOptions } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listRepositories(programId, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).listRepositories(programId)
+}
+
+class ListRepositoriesCommand extends Command {
+    async run() {
+        const { flags } = this.parse(ListRepositoriesCommand)
+
+        const programId = await getProgramId(flags)
+
+        let result
+
+        try {
+            result = await this.listRepositories(programId, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        cli.table(result, {
+            id: {
+                header: "Repository Id"
+            },
+            repo: {
+                header: "Name"
+            },
+            description: {
+                header: "Description",
+                get: item => item.description ? item.description : ""
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async listRepositories(programId, passphrase = null) {
+        return _listRepositories(programId, passphrase)
+    }
+}
+
+ListRepositoriesCommand.description = 'lists the git repositories of a Cloud Manager program, which pipelines build from'
+
+ListRepositoriesCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat
+}
+
+module.exports = ListRepositoriesCommand
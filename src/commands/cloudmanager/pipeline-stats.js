@@ -0,0 +1,130 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId, humanizeDuration, parseDate, tableOptions } = require('../../cloudmanager-helpers')
+const { computePipelineStats } = require('../../pipeline-stats')
+const { cli } = require('cli-ux')
+const yaml = require('js-yaml')
+const moment = require('moment')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _listExecutions(programId, pipelineId, filters, passphrase) {
+    const apiKey = await getApiKey()
+    const accessToken = await getAccessToken(passphrase)
+    const orgId = await getOrgId()
+    return new Client(orgId, accessToken, apiKey).listExecutions(programId, pipelineId, filters)
+}
+
+function formatRate(rate) {
+    return rate === null ? 'n/a' : `${Math.round(rate * 100)}%`
+}
+
+function formatMilliseconds(milliseconds) {
+    return milliseconds === null ? '' : humanizeDuration(milliseconds)
+}
+
+class PipelineStatsCommand extends Command {
+    async run() {
+        const { args, flags } = this.parse(PipelineStatsCommand)
+
+        const programId = await getProgramId(flags)
+
+        let since
+        let until
+
+        try {
+            since = flags.since ? parseDate('since', flags.since) : moment().subtract(flags.days, 'days')
+            until = flags.until ? parseDate('until', flags.until) : moment()
+        } catch (error) {
+            this.error(error.message)
+        }
+
+        let executions
+
+        try {
+            executions = await this.listExecutions(programId, args.pipelineId, { since, until }, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
+        const result = {
+            pipelineId: args.pipelineId,
+            since: since.toISOString(),
+            until: until.toISOString(),
+            ...computePipelineStats(executions)
+        }
+
+        if (flags.json) {
+            this.log(JSON.stringify(result, null, 2))
+            return result
+        } else if (flags.yaml) {
+            this.log(yaml.safeDump(result))
+            return result
+        }
+
+        if (!flags.csv) {
+            this.log(`Pipeline ${result.pipelineId} from ${since.format('LLL')} to ${until.format('LLL')}`)
+            this.log(`Executions: ${result.executions} (${result.succeeded} succeeded, ${result.failed} failed, ${result.cancelled} cancelled)`)
+            this.log(`Success rate: ${formatRate(result.successRate)}`)
+            this.log(`Failure rate: ${formatRate(result.failureRate)}`)
+            this.log(`Duration of successful executions: mean ${formatMilliseconds(result.duration.mean) || 'n/a'}, p95 ${formatMilliseconds(result.duration.p95) || 'n/a'}`)
+            this.log(`Most common failing step: ${result.mostCommonFailingStep ? `${result.mostCommonFailingStep.step} (${result.mostCommonFailingStep.failures} failures)` : 'none'}`)
+            this.log(`Approval wait time: mean ${formatMilliseconds(result.approvalWait.mean) || 'n/a'}, p95 ${formatMilliseconds(result.approvalWait.p95) || 'n/a'} (${result.approvalWait.count} approvals)`)
+            this.log('')
+        }
+
+        cli.table(result.steps, {
+            step: {
+                header: 'Step'
+            },
+            runs: {
+                header: 'Runs'
+            },
+            failures: {
+                header: 'Failures'
+            },
+            mean: {
+                header: 'Mean Duration',
+                get: item => formatMilliseconds(item.mean)
+            },
+            p95: {
+                header: 'P95 Duration',
+                get: item => formatMilliseconds(item.p95)
+            }
+        }, tableOptions(flags, this.log))
+
+        return result
+    }
+
+    async listExecutions(programId, pipelineId, filters, passphrase = null) {
+        return _listExecutions(programId, pipelineId, filters, passphrase)
+    }
+}
+
+PipelineStatsCommand.description = 'report success and failure rates, step durations and approval wait times for the executions of a pipeline'
+
+PipelineStatsCommand.flags = {
+    ...commonFlags.global,
+    ...commonFlags.programId,
+    ...commonFlags.outputFormat,
+    days: flags.integer({ description: 'the number of days to report on, if since is not set', default: 30 }),
+    since: flags.string({ description: 'only include executions started at or after this ISO 8601 date or time' }),
+    until: flags.string({ description: 'only include executions started at or before this ISO 8601 date or time' })
+}
+
+PipelineStatsCommand.args = [
+    {name: 'pipelineId', required: true, description: "the pipeline id"}
+]
+
+module.exports = PipelineStatsCommand
@@ -0,0 +1,86 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { Command } = require('@oclif/command')
+const { formatDeploymentWindow, getAccessToken, getApiKey, getDeploymentWindow, getOrgId, getProgramId, isWithinDeploymentWindow, parseDate } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const moment = require('moment')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _scheduleDeployment (programId, pipelineId, scheduledAt, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).scheduleDeployment(programId, pipelineId, scheduledAt)
+}
+
+class ScheduleDeploymentCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(ScheduleDeploymentCommand)
+
+    const programId = await getProgramId(flags)
+
+    const now = moment()
+    const scheduledAt = args.time === 'now' ? now : parseDate('time', args.time)
+
+    // allow for the time it takes to type the command
+    if (scheduledAt.isBefore(now.clone().subtract(1, 'minute'))) {
+      this.error(`Cannot schedule a deployment in the past. Value provided was ${args.time}`)
+    }
+
+    const window = await getDeploymentWindow()
+    if (window && !isWithinDeploymentWindow(scheduledAt, window)) {
+      this.error(`${scheduledAt.toISOString()} is outside of the deployment window (${formatDeploymentWindow(window)})`)
+    }
+
+    let result
+
+    cli.action.start("scheduling deployment")
+
+    try {
+      result = await this.scheduleDeployment(programId, args.pipelineId, scheduledAt.toISOString(), flags.passphrase)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    const previous = result.details && result.details.scheduledAt
+    if (previous) {
+      cli.action.stop(`rescheduled deployment of execution ${result.executionId} from ${moment(previous).toISOString()} to ${scheduledAt.toISOString()}`)
+    } else {
+      cli.action.stop(`scheduled deployment of execution ${result.executionId} for ${scheduledAt.toISOString()}`)
+    }
+
+    return result
+  }
+
+  async scheduleDeployment (programId, pipelineId, scheduledAt, passphrase = null) {
+    return _scheduleDeployment(programId, pipelineId, scheduledAt, passphrase)
+  }
+}
+
+ScheduleDeploymentCommand.description = 'schedule, or reschedule, the production deployment of the current execution of a pipeline which is waiting to be scheduled'
+
+ScheduleDeploymentCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId
+}
+
+ScheduleDeploymentCommand.args = [
+  {name: 'pipelineId', required: true, description: "the pipeline id"},
+  {name: 'time', required: true, description: "the ISO 8601 date and time to deploy at, or 'now'"}
+]
+
+module.exports = ScheduleDeploymentCommand
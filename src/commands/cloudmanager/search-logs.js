@@ -0,0 +1,92 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const chalk = require('chalk')
+const fs = require('fs')
+const readline = require('readline')
+const zlib = require('zlib')
+const { getFlagValues } = require('../../cloudmanager-helpers')
+const { highlightLogEntry, matchesLogFilter, parseLogFilter } = require('../../log-filter')
+const { LogParser } = require('../../log-parser')
+const commonFlags = require('../../common-flags')
+
+function _searchLog(file, filter) {
+    return new Promise((resolve, reject) => {
+        const fileStream = fs.createReadStream(file)
+        const input = file.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream
+        const parser = new LogParser()
+        const matches = []
+        const collect = entries => entries.forEach(entry => {
+            if (entry.format && matchesLogFilter(entry, filter)) {
+                matches.push(entry)
+            }
+        })
+        const fail = error => reject(new Error(`Could not read ${file}: ${error.message}`))
+
+        fileStream.on('error', fail)
+        input.on('error', fail)
+        readline.createInterface({ input, crlfDelay: Infinity })
+            .on('error', fail)
+            .on('line', line => collect(parser.push(line)))
+            .on('close', () => {
+                collect(parser.flush())
+                resolve(matches)
+            })
+    })
+}
+
+class SearchLogs extends Command {
+    async run() {
+        const { flags, raw } = this.parse(SearchLogs)
+
+        let filter
+
+        try {
+            filter = parseLogFilter(getFlagValues(raw, 'filter'))
+        } catch (error) {
+            this.error(error.message)
+        }
+
+        const result = []
+
+        for (const file of flags.file) {
+            let entries
+
+            try {
+                entries = await this.searchLog(file, filter)
+            } catch (error) {
+                this.error(error.message)
+            }
+
+            entries.forEach(entry => {
+                this.log(`${flags.file.length > 1 ? `${chalk.magenta(file)}:` : ''}${highlightLogEntry(entry, filter)}`)
+                result.push({ file, ...entry })
+            })
+        }
+
+        return result
+    }
+
+    async searchLog(file, filter) {
+        return _searchLog(file, filter)
+    }
+}
+
+SearchLogs.description = 'searches downloaded AEM, httpd and dispatcher logs, printing the entries matching the filters'
+
+SearchLogs.flags = {
+    file: flags.string({ multiple: true, required: true, description: 'the log file(s) to search, which may be gzipped' }),
+    ...commonFlags.logFilter
+}
+
+module.exports = SearchLogs
@@ -0,0 +1,137 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { parseVariable, readVariablesFile, validateVariables } = require('../../environment-variables')
+const { cli } = require('cli-ux')
+const fs = require('fs')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _setEnvironmentVariables (programId, environmentId, variables, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).setEnvironmentVariables(programId, environmentId, variables)
+}
+
+function readStream (stream) {
+  return new Promise((resolve, reject) => {
+    let text = ''
+    stream.setEncoding('utf8')
+    stream.on('data', chunk => { text += chunk })
+    stream.on('end', () => resolve(text))
+    stream.on('error', reject)
+  })
+}
+
+function readSecretFile (spec) {
+  const { name, value: file } = parseVariable(spec)
+  try {
+    return { name, value: fs.readFileSync(file, 'utf8').replace(/\r?\n$/, ''), type: 'secretString' }
+  } catch (error) {
+    throw new Error(`Cannot read secret ${name} from ${file}: ${error.message}`)
+  }
+}
+
+class SetEnvironmentVariablesCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(SetEnvironmentVariablesCommand)
+
+    const programId = await getProgramId(flags)
+
+    let variables
+
+    try {
+      variables = await this.collectVariables(flags)
+    } catch (error) {
+      this.error(error.message)
+    }
+
+    if (variables.length === 0) {
+      this.error('No variables given. Use --variable, --secret, --secretFile, --file, --secretsFile or --delete')
+    }
+
+    const problems = validateVariables(variables)
+    if (problems.length > 0) {
+      this.error(`Invalid variables:\n  ${problems.join('\n  ')}`)
+    }
+
+    let result
+
+    cli.action.start("setting variables")
+
+    try {
+      result = await this.setEnvironmentVariables(programId, args.environmentId, variables, flags.passphrase)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    cli.action.stop(`updated ${variables.length} variable${variables.length !== 1 ? 's' : ''} of environment ${args.environmentId}`)
+
+    return result
+  }
+
+  // secret values never come from the command line, which would leave them in the shell history
+  async collectVariables (flags) {
+    let variables = []
+    if (flags.file) {
+      variables = variables.concat(readVariablesFile(flags.file))
+    }
+    if (flags.secretsFile) {
+      variables = variables.concat(readVariablesFile(flags.secretsFile, 'secretString'))
+    }
+    variables = variables.concat((flags.variable || []).map(spec => ({ ...parseVariable(spec), type: 'string' })))
+    variables = variables.concat((flags.secretFile || []).map(readSecretFile))
+    if (flags.secret) {
+      const values = (await this.readStdin()).split(/\r?\n/)
+      if (values.length <= flags.secret.length && values[values.length - 1] === '') {
+        values.pop()
+      }
+      if (values.length < flags.secret.length) {
+        throw new Error(`Expected the values of ${flags.secret.join(', ')} on stdin, one per line, but got ${values.length} line${values.length !== 1 ? 's' : ''}`)
+      }
+      variables = variables.concat(flags.secret.map((name, index) => ({ name, value: values[index], type: 'secretString' })))
+    }
+    return variables.concat((flags.delete || []).map(name => ({ name })))
+  }
+
+  async readStdin () {
+    return readStream(process.stdin)
+  }
+
+  async setEnvironmentVariables (programId, environmentId, variables, passphrase = null) {
+    return _setEnvironmentVariables(programId, environmentId, variables, passphrase)
+  }
+}
+
+SetEnvironmentVariablesCommand.description = 'sets variables and secrets of an environment in a Cloud Manager program, leaving its other variables as they are'
+
+SetEnvironmentVariablesCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  variable: flags.string({ char: 'v', description: "a variable to set, as NAME=value. may be repeated", multiple: true }),
+  secret: flags.string({ char: 's', description: "the name of a secret to set, the value of which is read from stdin, one line per secret in the order given. may be repeated", multiple: true }),
+  secretFile: flags.string({ description: "a secret to set to the contents of a file, as NAME=FILE. may be repeated", multiple: true }),
+  file: flags.string({ char: 'f', description: "a dotenv or JSON file of variables to set" }),
+  secretsFile: flags.string({ description: "a dotenv or JSON file of secrets to set" }),
+  delete: flags.string({ char: 'd', description: "the name of a variable to delete. may be repeated", multiple: true })
+}
+
+SetEnvironmentVariablesCommand.args = [
+  {name: 'environmentId', required: true, description: "the environment id"}
+]
+
+module.exports = SetEnvironmentVariablesCommand
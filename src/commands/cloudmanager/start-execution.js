@@ -10,12 +10,14 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-const { Command } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { Command, flags } = require('@oclif/command')
+const { formatAction, getAccessToken, getApiKey, getOrgId, getProgramId, sleep } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
+const _ = require('lodash')
+const halfred = require('halfred')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
+const { exitCodes } = require('../../constants')
 
 async function _startExecution (programId, pipelineId, passphrase) {
   const orgId = await getOrgId()
@@ -24,12 +26,33 @@ async function _startExecution (programId, pipelineId, passphrase) {
   return new Client(orgId, accessToken, apiKey).startExecution(programId, pipelineId)
 }
 
+async function _getExecution (programId, pipelineId, executionId, passphrase) {
+  const orgId = await getOrgId()
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  return new Client(orgId, accessToken, apiKey).getExecution(programId, pipelineId, executionId)
+}
+
+const waitingMessages = {
+  approval: 'waiting for approval',
+  schedule: 'waiting for its scheduled deployment',
+  managed: 'waiting for the managed deployment step'
+}
+
+function formatStatus (status) {
+  return _.startCase(status.toLowerCase())
+}
+
 class StartExecutionCommand extends Command {
   async run () {
     const { args, flags } = this.parse(StartExecutionCommand)
 
     const programId = await getProgramId(flags)
 
+    if (flags.interval < 1) {
+      this.error(`The interval must be at least 1 second, not ${flags.interval}`)
+    }
+
     let result
 
     cli.action.start("starting execution")
@@ -38,6 +61,7 @@ class StartExecutionCommand extends Command {
       result = await this.startExecution(programId, args.pipelineId, flags.passphrase)
     } catch (error) {
       cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
       return
     }
 
@@ -49,19 +73,86 @@ class StartExecutionCommand extends Command {
         cli.action.stop('started')
     }
 
+    if (flags.wait) {
+      if (!evaluated) {
+        this.error(`Cannot determine execution id from ${result}`)
+      }
+      return this.waitForExecution(programId, args.pipelineId, evaluated[1], flags)
+    }
+
     return result
   }
 
+  async waitForExecution (programId, pipelineId, executionId, flags) {
+    const deadline = flags.timeout ? Date.now() + (flags.timeout * 1000) : null
+    const stepStatuses = {}
+
+    for (;;) {
+      let execution
+
+      try {
+        execution = halfred.parse(await this.getExecution(programId, pipelineId, executionId, flags.passphrase))
+      } catch (error) {
+        this.error(error.message, { exit: error.exitCode })
+      }
+
+      execution.embeddedArray('stepStates').forEach(stepState => {
+        if (stepStatuses[stepState.id] !== stepState.status) {
+          stepStatuses[stepState.id] = stepState.status
+          if (stepState.status !== 'NOT_STARTED') {
+            this.log(`${formatAction(stepState)}: ${formatStatus(stepState.status)}`)
+          }
+        }
+      })
+
+      switch (execution.status) {
+        case 'FINISHED':
+          this.log(`execution ${executionId} finished`)
+          return execution.original()
+        case 'FAILED':
+        case 'ERROR':
+          this.log(`execution ${executionId} failed`)
+          this.exit(exitCodes.executionFailed)
+          break
+        case 'CANCELLED':
+          this.log(`execution ${executionId} was cancelled`)
+          this.exit(exitCodes.executionCancelled)
+          break
+      }
+
+      // these steps wait for a person or a schedule, so polling would not see them finish
+      const waitingStep = execution.embeddedArray('stepStates').find(stepState => waitingMessages[stepState.action] && stepState.status === 'WAITING')
+      if (waitingStep) {
+        this.log(`execution ${executionId} is ${waitingMessages[waitingStep.action]}`)
+        this.exit(exitCodes.executionWaitingForApproval)
+      }
+
+      if (deadline && Date.now() >= deadline) {
+        this.log(`timed out waiting for execution ${executionId}`)
+        this.exit(exitCodes.executionTimeout)
+      }
+
+      await sleep(flags.interval * 1000)
+    }
+  }
+
   async startExecution (programId, pipelineId, passphrase = null) {
     return _startExecution(programId, pipelineId, passphrase)
   }
+
+  async getExecution (programId, pipelineId, executionId, passphrase = null) {
+    return _getExecution(programId, pipelineId, executionId, passphrase)
+  }
 }
 
 StartExecutionCommand.description = 'start pipeline execution'
 
 StartExecutionCommand.flags = {
   ...commonFlags.global,
-  ...commonFlags.programId
+  ...commonFlags.programId,
+  wait: flags.boolean({ char: 'w', description: 'wait for the execution to complete, printing each step state change' }),
+  timeout: flags.integer({ description: 'the maximum number of seconds to wait for the execution. if not specified, waits indefinitely', dependsOn: ['wait'] }),
+  interval: flags.integer({ description: 'the number of seconds between polls of the execution, at least 1', default: 10 })
 }
 
 StartExecutionCommand.args = [
@@ -0,0 +1,122 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const { cli } = require('cli-ux')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { planVariableSync, syncActions } = require('../../environment-variables')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _getEnvironmentVariables (programId, environmentId, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).getEnvironmentVariables(programId, environmentId)
+}
+
+async function _setEnvironmentVariables (programId, environmentId, variables, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).setEnvironmentVariables(programId, environmentId, variables)
+}
+
+function formatValue (value) {
+  return value === 'absent' || value === 'present' ? `(${value})` : JSON.stringify(value)
+}
+
+class SyncEnvironmentVariablesCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(SyncEnvironmentVariablesCommand)
+
+    const programId = await getProgramId(flags)
+
+    if (!flags.variable && !flags.all) {
+      this.error('No variables selected. Use --variable to select variables by name or --all to copy all of them')
+    }
+
+    let source
+    let steps
+
+    try {
+      source = await this.getEnvironmentVariables(programId, args.sourceEnvironmentId, flags.passphrase)
+      const target = await this.getEnvironmentVariables(programId, args.targetEnvironmentId, flags.passphrase)
+      steps = planVariableSync(source, target, flags.variable)
+    } catch (error) {
+      this.error(error.message, { exit: error.exitCode })
+    }
+
+    if (steps.length === 0) {
+      this.error(flags.variable
+        ? `No variables of environment ${args.sourceEnvironmentId} match ${flags.variable.join(', ')}`
+        : `No variables found in environment ${args.sourceEnvironmentId}`)
+    }
+
+    steps.forEach(step => {
+      if (step.action === syncActions.set) {
+        this.log(`  ${step.name}: ${formatValue(step.from)} -> ${formatValue(step.to)}`)
+      } else if (step.action === syncActions.skipped) {
+        this.log(`  ${step.name}: skipped, the values of secrets cannot be read. Set it with set-environment-variables --secret`)
+      }
+    })
+
+    const variables = steps.filter(step => step.action === syncActions.set).map(step => ({ name: step.name, value: step.to, type: step.type }))
+
+    if (variables.length === 0) {
+      this.log(`variables of environment ${args.targetEnvironmentId} are up to date`)
+      return steps
+    }
+
+    if (flags.dryRun) {
+      return steps
+    }
+
+    cli.action.start(`copying variables to environment ${args.targetEnvironmentId}`)
+
+    try {
+      await this.setEnvironmentVariables(programId, args.targetEnvironmentId, variables, flags.passphrase)
+      cli.action.stop(`copied ${variables.length} variable${variables.length !== 1 ? 's' : ''} from environment ${args.sourceEnvironmentId} to environment ${args.targetEnvironmentId}`)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    return steps
+  }
+
+  async getEnvironmentVariables (programId, environmentId, passphrase = null) {
+    return _getEnvironmentVariables(programId, environmentId, passphrase)
+  }
+
+  async setEnvironmentVariables (programId, environmentId, variables, passphrase = null) {
+    return _setEnvironmentVariables(programId, environmentId, variables, passphrase)
+  }
+}
+
+SyncEnvironmentVariablesCommand.description = 'copy variables from one environment to another, leaving the other variables of the target environment as they are. secrets cannot be copied since their values cannot be read'
+
+SyncEnvironmentVariablesCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId,
+  variable: flags.string({ char: 'v', description: "the name of a variable to copy, which may contain * wildcards, e.g. API_*. may be repeated", multiple: true }),
+  all: flags.boolean({ description: "copy all variables" }),
+  dryRun: flags.boolean({ description: 'print the changes without changing any variables' })
+}
+
+SyncEnvironmentVariablesCommand.args = [
+  {name: 'sourceEnvironmentId', required: true, description: "the id of the environment to copy from"},
+  {name: 'targetEnvironmentId', required: true, description: "the id of the environment to copy to"}
+]
+
+module.exports = SyncEnvironmentVariablesCommand
@@ -11,53 +11,122 @@ governing permissions and limitations under the License.
 */
 
 const { Command} = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const chalk = require('chalk')
+const { getAccessToken, getApiKey, getFlagValues, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { LinePrefixStream, LogFilterStream, parseLogFilter } = require('../../log-filter')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
 
-async function _tailLog(programId, environmentId, service, logName, passphrase) {
+const prefixColors = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'red']
+
+function parseSources(argv) {
+    const sources = []
+    for (let i = 0; i < argv.length;) {
+        if (argv[i + 1] === 'all') {
+            sources.push({ environmentId: argv[i], service: 'all' })
+            i += 2
+        } else if (i + 2 < argv.length) {
+            sources.push({ environmentId: argv[i], service: argv[i + 1], name: argv[i + 2] })
+            i += 3
+        } else {
+            throw new Error(`Logs are given as ENVIRONMENT_ID SERVICE NAME or ENVIRONMENT_ID all. Could not understand ${argv.slice(i).join(' ')}`)
+        }
+    }
+    return sources
+}
+
+async function _tailLogs(programId, sources, filter, format, passphrase) {
     const apiKey = await getApiKey()
     const accessToken = await getAccessToken(passphrase)
     const orgId = await getOrgId()
-    await new Client(orgId, accessToken, apiKey).tailLog(programId, environmentId, service, logName, process.stdout)
+    const client = new Client(orgId, accessToken, apiKey)
+
+    // a single log is written as it is, several are merged line by line, prefixed with their source
+    const merged = sources.length > 1 || sources[0].service === 'all'
+    if (!merged && !filter && format !== 'jsonl') {
+        return client.tailLog(programId, sources[0].environmentId, sources[0].service, sources[0].name, process.stdout)
+    }
+    const oneEnvironment = sources.every(source => source.environmentId === sources[0].environmentId)
+
+    const writeStreams = []
+    const writeStreamFor = source => {
+        let writeStream
+        let output
+        if (filter || format === 'jsonl') {
+            writeStream = output = new LogFilterStream(filter, { format, logName: source.name, follow: true, fields: merged ? source : undefined })
+        }
+        if (merged && format !== 'jsonl') {
+            const label = oneEnvironment ? `${source.service}/${source.name}` : `${source.environmentId}/${source.service}/${source.name}`
+            const prefixStream = new LinePrefixStream(`${chalk[prefixColors[writeStreams.length % prefixColors.length]](`[${label}]`)} `)
+            output = output ? output.pipe(prefixStream) : prefixStream
+            writeStream = writeStream || prefixStream
+        }
+        output.pipe(process.stdout, { end: false })
+        writeStreams.push(writeStream)
+        return writeStream
+    }
+
+    await client.tailLogs(programId, sources, writeStreamFor)
+    await Promise.all(writeStreams.map(writeStream => new Promise(resolve => writeStream.end(resolve))))
 }
 
+/**
+ * Tails one or more logs, given as environment id, service and name triples or as an environment
+ * id followed by all for every log of the environment.
+ */
 class TailLog extends Command {
     async run() {
-        const { args, flags } = this.parse(TailLog)
+        const { argv, flags, raw } = this.parse(TailLog)
 
         const programId = await getProgramId(flags)
 
-        let result
+        let sources
+        let filter
 
         try {
-            result = await this.tailLog(programId, args.environmentId, args.service, args.name, flags.passphrase)
+            sources = parseSources(argv)
+            filter = flags.filter && parseLogFilter(getFlagValues(raw, 'filter'))
         } catch (error) {
             this.error(error.message)
         }
 
+        let result
+
+        try {
+            result = await this.tailLogs(programId, sources, filter, flags.format, flags.passphrase)
+        } catch (error) {
+            this.error(error.message, { exit: error.exitCode })
+        }
+
         this.log()
 
         return result
     }
 
     async tailLog(programId, environmentId, service, name, passphrase = null) {
-        return _tailLog(programId, environmentId, service, name, passphrase)
+        return _tailLogs(programId, [{ environmentId, service, name }], undefined, undefined, passphrase)
+    }
+
+    async tailLogs(programId, sources, filter, format, passphrase = null) {
+        return _tailLogs(programId, sources, filter, format, passphrase)
     }
 }
 
-TailLog.description = 'lists available logs for an environment in a Cloud Manager program'
+TailLog.description = 'tails logs of environments in a Cloud Manager program. several logs are merged, each line being prefixed with its log'
+
+TailLog.strict = false
 
 TailLog.args = [
     {name: 'environmentId', required: true, description: "the environment id"},
-    {name: 'service', required: true, description: "the service"},
-    {name: 'name', required: true, description: "the log name"}
+    {name: 'service', required: true, description: "the service, or all for every log of the environment"},
+    {name: 'name', required: false, description: "the log name. more environment ids, services and names may follow"}
 ]
 
 TailLog.flags = {
     ...commonFlags.global,
-    ...commonFlags.programId
+    ...commonFlags.programId,
+    ...commonFlags.logFormat,
+    ...commonFlags.logFilter
 }
 
 TailLog.aliases = ['cloudmanager:tail-logs']
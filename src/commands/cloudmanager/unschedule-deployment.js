@@ -0,0 +1,72 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { Command } = require('@oclif/command')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { cli } = require('cli-ux')
+const moment = require('moment')
+const Client = require('../../client')
+const commonFlags = require('../../common-flags')
+
+async function _unscheduleDeployment (programId, pipelineId, passphrase) {
+  const apiKey = await getApiKey()
+  const accessToken = await getAccessToken(passphrase)
+  const orgId = await getOrgId()
+  return new Client(orgId, accessToken, apiKey).scheduleDeployment(programId, pipelineId, null)
+}
+
+class UnscheduleDeploymentCommand extends Command {
+  async run () {
+    const { args, flags } = this.parse(UnscheduleDeploymentCommand)
+
+    const programId = await getProgramId(flags)
+
+    let result
+
+    cli.action.start("unscheduling deployment")
+
+    try {
+      result = await this.unscheduleDeployment(programId, args.pipelineId, flags.passphrase)
+    } catch (error) {
+      cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
+      return
+    }
+
+    const previous = result.details && result.details.scheduledAt
+    if (previous) {
+      cli.action.stop(`unscheduled deployment of execution ${result.executionId}, which was scheduled for ${moment(previous).toISOString()}`)
+    } else {
+      cli.action.stop(`deployment of execution ${result.executionId} was not scheduled`)
+    }
+
+    return result
+  }
+
+  async unscheduleDeployment (programId, pipelineId, passphrase = null) {
+    return _unscheduleDeployment(programId, pipelineId, passphrase)
+  }
+}
+
+UnscheduleDeploymentCommand.description = 'remove the schedule of the production deployment of the current execution of a pipeline, leaving it waiting to be scheduled'
+
+UnscheduleDeploymentCommand.flags = {
+  ...commonFlags.global,
+  ...commonFlags.programId
+}
+
+UnscheduleDeploymentCommand.args = [
+  {name: 'pipelineId', required: true, description: "the pipeline id"}
+]
+
+module.exports = UnscheduleDeploymentCommand
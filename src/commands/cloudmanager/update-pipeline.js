@@ -11,11 +11,14 @@ governing permissions and limitations under the License.
 */
 
 const { Command, flags } = require('@oclif/command')
-const { accessToken: getAccessToken } = require('@adobe/aio-cli-plugin-jwt-auth')
-const { getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
+const { getAccessToken, getApiKey, getOrgId, getProgramId } = require('../../cloudmanager-helpers')
 const { cli } = require('cli-ux')
 const Client = require('../../client')
 const commonFlags = require('../../common-flags')
+const _ = require('lodash')
+
+// the flags which are passed on as changes to the pipeline
+const pipelineFlags = ['branch', 'repositoryId', 'trigger', 'prodDeploymentMode', 'cseOversight']
 
 async function _updatePipeline (programId, pipelineId, changes, passphrase) {
   const orgId = await getOrgId()
@@ -24,6 +27,18 @@ async function _updatePipeline (programId, pipelineId, changes, passphrase) {
   return new Client(orgId, accessToken, apiKey).updatePipeline(programId, pipelineId, changes)
 }
 
+function parsePhaseProperty (phaseProperty) {
+  const match = /^(.+)\.(\w+)=(.*)$/.exec(phaseProperty)
+  if (!match) {
+    throw new Error(`phaseProperty should be specified as SELECTOR.PROPERTY=VALUE. Value provided was ${phaseProperty}`)
+  }
+  return {
+    selector: match[1],
+    property: match[2],
+    value: match[3]
+  }
+}
+
 class UpdatePipelineCommand extends Command {
   async run () {
     const { args, flags } = this.parse(UpdatePipelineCommand)
@@ -38,8 +53,14 @@ class UpdatePipelineCommand extends Command {
         throw new Error(`tag flag should not be specified with "refs/tags/" prefix. Value provided was ${flags.tag}`)
     }
 
+    const changes = _.pick(flags, pipelineFlags)
+
     if (flags.tag) {
-        flags.branch = `refs/tags/${flags.tag}`
+        changes.branch = `refs/tags/${flags.tag}`
+    }
+
+    if (flags.phaseProperty) {
+        changes.phaseProperties = flags.phaseProperty.map(parsePhaseProperty)
     }
 
     let result
@@ -47,10 +68,11 @@ class UpdatePipelineCommand extends Command {
     cli.action.start("updating pipeline")
 
     try {
-      result = await this.updatePipeline(programId, args.pipelineId, flags, flags.passphrase)
+      result = await this.updatePipeline(programId, args.pipelineId, changes, flags.passphrase)
       cli.action.stop(`updated pipeline ID ${args.pipelineId}`)
     } catch (error) {
       cli.action.stop(error.message)
+      this.exit(error.exitCode || 2)
       return
     }
 
@@ -69,7 +91,11 @@ UpdatePipelineCommand.flags = {
   ...commonFlags.programId,
   branch: flags.string({ description: "the new branch"}),
   tag: flags.string({ description: "the new tag"}),
-  repositoryId: flags.string({ description: "the new repositoryId"})
+  repositoryId: flags.string({ description: "the new repositoryId"}),
+  trigger: flags.string({ description: "the new trigger", options: ['ON_COMMIT', 'MANUAL'] }),
+  prodDeploymentMode: flags.string({ description: "whether production deployments need a manual approval or are scheduled. scheduling keeps the approval setting of the phase", options: ['manual', 'scheduled'] }),
+  cseOversight: flags.boolean({ description: "whether production deployments are overseen by a CSE", allowNo: true }),
+  phaseProperty: flags.string({ description: "set a phase property, as SELECTOR.PROPERTY=VALUE. SELECTOR is a phase name, a phase type or a phase type and environment type, e.g. DEPLOY:stage.environmentId=3", multiple: true })
 }
 
 UpdatePipelineCommand.args = [
@@ -17,5 +17,18 @@ module.exports = {
     },
     programId: {
         programId: flags.string({ char: 'p', description: "the programId. if not specified, defaults to 'cloudmanager_programid' config value"})
+    },
+    outputFormat: {
+        json: flags.boolean({ description: 'output in json format', exclusive: ['yaml', 'csv'] }),
+        yaml: flags.boolean({ description: 'output in yaml format', exclusive: ['json', 'csv'] }),
+        csv: flags.boolean({ description: 'output in csv format', exclusive: ['json', 'yaml'] }),
+        columns: flags.string({ description: 'only output the provided columns, as a comma-separated list of column headers' }),
+        sort: flags.string({ description: "the column header(s) to sort by, comma-separated. prepend '-' for descending order" })
+    },
+    logFormat: {
+        format: flags.string({ options: ['text', 'jsonl'], default: 'text', description: 'the format of the log. jsonl parses it into a JSON object per entry, with stack traces folded into the message' })
+    },
+    logFilter: {
+        filter: flags.string({ char: 'f', description: 'only output log entries matching the filter, given as name=value. names are level (the minimum level), logger, since, until (ISO 8601 or a duration ago, like 15m), regex and path. may be repeated' })
     }
 }
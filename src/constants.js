@@ -16,17 +16,42 @@ module.exports = {
         self: 'self',
         pipelines: 'http://ns.adobe.com/adobecloud/rel/pipelines',
         execution: 'http://ns.adobe.com/adobecloud/rel/execution',
+        executions: 'http://ns.adobe.com/adobecloud/rel/executions',
+        next: 'next',
         metrics: 'http://ns.adobe.com/adobecloud/rel/pipeline/metrics',
         cancel: 'http://ns.adobe.com/adobecloud/rel/pipeline/cancel',
         advance: 'http://ns.adobe.com/adobecloud/rel/pipeline/advance',
         executionId: 'http://ns.adobe.com/adobecloud/rel/execution/id',
         environments: 'http://ns.adobe.com/adobecloud/rel/environments',
         stepLogs: 'http://ns.adobe.com/adobecloud/rel/pipeline/logs',
+        stepReport: 'http://ns.adobe.com/adobecloud/rel/pipeline/report',
         logs: 'http://ns.adobe.com/adobecloud/rel/logs',
         logsDownload: 'http://ns.adobe.com/adobecloud/rel/logs/download',
-        logsTail: 'http://ns.adobe.com/adobecloud/rel/logs/tail'
+        logsTail: 'http://ns.adobe.com/adobecloud/rel/logs/tail',
+        variables: 'http://ns.adobe.com/adobecloud/rel/variables',
+        repositories: 'http://ns.adobe.com/adobecloud/rel/repositories',
+        branches: 'http://ns.adobe.com/adobecloud/rel/branches'
     },
     config: {
         programId: 'cloudmanager_programid'
+    },
+    defaultRetryPolicy: {
+        maxRetries: 3,
+        retryDelay: 1000,
+        maxRetryDelay: 30000,
+        requestTimeout: 60000
+    },
+    exitCodes: {
+        executionFailed: 3,
+        executionCancelled: 4,
+        executionWaitingForApproval: 5,
+        executionTimeout: 6,
+        downloadIncomplete: 7,
+        apiError: 10,
+        unauthorized: 11,
+        forbidden: 12,
+        notFound: 13,
+        conflict: 14,
+        serverError: 15
     }
 }
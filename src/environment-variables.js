@@ -0,0 +1,226 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs')
+const _ = require('lodash')
+
+const variableTypes = ['string', 'secretString']
+const namePattern = /^[a-zA-Z_][a-zA-Z_0-9]*$/
+
+const changes = {
+    added: 'added',
+    removed: 'removed',
+    changed: 'changed',
+    unchanged: 'unchanged'
+}
+
+const syncActions = {
+    set: 'set',
+    unchanged: 'unchanged',
+    skipped: 'skipped'
+}
+
+function unquote(value) {
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+        return value.slice(1, -1).replace(/\\(.)/g, (escape, character) => character === 'n' ? '\n' : character)
+    }
+    if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+        return value.slice(1, -1)
+    }
+    // unquoted values end at a comment
+    return value.replace(/\s+#.*$/, '')
+}
+
+/**
+ * Parses variables in the dotenv format, one NAME=value per line. Values may be quoted, double
+ * quoted values supporting escapes such as \n. Blank lines, comments and export prefixes are ignored.
+ * @param {string} contents the contents of the file
+ * @returns {object[]} the variables, each with its name and value
+ */
+function parseDotenv(contents) {
+    const variables = []
+    contents.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim()
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            return
+        }
+        const match = trimmed.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/)
+        if (!match) {
+            throw new Error(`line ${index + 1} is not of the form NAME=value`)
+        }
+        variables.push({ name: match[1], value: unquote(match[2]) })
+    })
+    return variables
+}
+
+function fromJson(json) {
+    if (Array.isArray(json)) {
+        return json.map(variable => _.pick(variable, ['name', 'value', 'type']))
+    }
+    if (_.isPlainObject(json)) {
+        return Object.keys(json).map(name => ({ name, value: _.isString(json[name]) ? json[name] : JSON.stringify(json[name]) }))
+    }
+    throw new Error('the file should hold an object of names and values or an array of variables')
+}
+
+/**
+ * Reads variables from a dotenv or JSON file. A JSON file holds either an object of names and
+ * values or an array of variables with a name, value and type.
+ * @param {string} file the path to the file
+ * @param {string} type the type of the variables which do not have one, string or secretString
+ * @returns {object[]} the variables
+ */
+function readVariablesFile(file, type = 'string') {
+    let contents
+    try {
+        contents = fs.readFileSync(file, 'utf8')
+    } catch (error) {
+        throw new Error(`Cannot read variables file ${file}: ${error.message}`)
+    }
+    try {
+        const variables = file.endsWith('.json') || /^\s*[[{]/.test(contents) ? fromJson(JSON.parse(contents)) : parseDotenv(contents)
+        return variables.map(variable => ({ type, ...variable }))
+    } catch (error) {
+        throw new Error(`Cannot parse variables file ${file}: ${error.message}`)
+    }
+}
+
+/**
+ * Parses a variable given as NAME=value.
+ * @param {string} spec the variable
+ * @returns {object} the name and value
+ */
+function parseVariable(spec) {
+    const index = spec.indexOf('=')
+    if (index <= 0) {
+        throw new Error(`Variables are given as NAME=value. Could not understand ${spec}`)
+    }
+    return { name: spec.substring(0, index), value: spec.substring(index + 1) }
+}
+
+/**
+ * Checks variables before they are set.
+ * @param {object[]} variables the variables, those without a value being deleted
+ * @returns {string[]} the problems found, empty if the variables are valid
+ */
+function validateVariables(variables) {
+    const problems = []
+    variables.forEach(variable => {
+        if (!_.isString(variable.name) || !namePattern.test(variable.name)) {
+            problems.push(`${variable.name} is not a valid variable name. Names consist of letters, digits and underscores and do not start with a digit`)
+            return
+        }
+        if (variable.type !== undefined && !variableTypes.includes(variable.type)) {
+            problems.push(`${variable.name} has an unknown type ${variable.type}. Types are ${variableTypes.join(', ')}`)
+        }
+        if (variable.value !== undefined && !_.isString(variable.value)) {
+            problems.push(`${variable.name} should have a string value`)
+        }
+    })
+    _.uniq(variables.map(variable => variable.name).filter((name, index, names) => names.indexOf(name) !== index)).forEach(name => {
+        problems.push(`${name} is given more than once`)
+    })
+    return problems
+}
+
+function isSecret(variable) {
+    return variable.type === 'secretString'
+}
+
+// the values of secrets are not returned by Cloud Manager and are never shown anyway
+function maskedValue(variable) {
+    if (!variable) {
+        return 'absent'
+    }
+    return isSecret(variable) ? 'present' : variable.value
+}
+
+/**
+ * Compares the variables of two environments. Secrets are only compared by whether they are
+ * present, their values being masked.
+ * @param {object[]} variablesA the variables of the first environment, as returned by Client.getEnvironmentVariables
+ * @param {object[]} variablesB the variables of the second environment
+ * @returns {object[]} a comparison per variable, by name: added (only in B), removed (only in A), changed or unchanged
+ */
+function diffEnvironmentVariables(variablesA, variablesB) {
+    const a = _.keyBy(variablesA, 'name')
+    const b = _.keyBy(variablesB, 'name')
+    return _.uniq(Object.keys(a).concat(Object.keys(b))).sort().map(name => {
+        const before = a[name]
+        const after = b[name]
+        let change
+        if (!before) {
+            change = changes.added
+        } else if (!after) {
+            change = changes.removed
+        } else if (before.type !== after.type || (!isSecret(before) && before.value !== after.value)) {
+            change = changes.changed
+        } else {
+            change = changes.unchanged
+        }
+        return {
+            name,
+            typeA: before && before.type,
+            typeB: after && after.type,
+            valueA: maskedValue(before),
+            valueB: maskedValue(after),
+            change
+        }
+    })
+}
+
+function toPattern(name) {
+    return new RegExp(`^${_.escapeRegExp(name).replace(/\\\*/g, '.*')}$`)
+}
+
+/**
+ * Works out how to copy variables from one environment to another. Secrets are skipped since
+ * their values cannot be read.
+ * @param {object[]} source the variables of the environment to copy from
+ * @param {object[]} target the variables of the environment to copy to
+ * @param {string[]} names the names of the variables to copy, which may contain * wildcards. all variables if not given
+ * @returns {object[]} a step per variable of the source matching the names, with its action: set, unchanged or skipped
+ */
+function planVariableSync(source, target, names) {
+    const patterns = (names || ['*']).map(toPattern)
+    const existing = _.keyBy(target, 'name')
+    return source.filter(variable => patterns.some(pattern => pattern.test(variable.name))).map(variable => {
+        const current = existing[variable.name]
+        let action
+        if (isSecret(variable)) {
+            action = syncActions.skipped
+        } else if (current && current.type === variable.type && current.value === variable.value) {
+            action = syncActions.unchanged
+        } else {
+            action = syncActions.set
+        }
+        return {
+            name: variable.name,
+            type: variable.type,
+            from: maskedValue(current),
+            to: maskedValue(variable),
+            action
+        }
+    })
+}
+
+module.exports = {
+    changes,
+    syncActions,
+    variableTypes,
+    diffEnvironmentVariables,
+    planVariableSync,
+    parseDotenv,
+    parseVariable,
+    readVariablesFile,
+    validateVariables
+}
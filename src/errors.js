@@ -0,0 +1,123 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { exitCodes } = require('./constants')
+
+/**
+ * Base class for errors returned by (or on behalf of) the Cloud Manager API.
+ */
+class CloudManagerError extends Error {
+    constructor(message, { status, url, code, body } = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = status
+        this.url = url
+        this.code = code
+        this.body = body
+    }
+
+    get exitCode() {
+        return exitCodes.apiError
+    }
+}
+
+class UnauthorizedError extends CloudManagerError {
+    get exitCode() {
+        return exitCodes.unauthorized
+    }
+}
+
+class ForbiddenError extends CloudManagerError {
+    get exitCode() {
+        return exitCodes.forbidden
+    }
+}
+
+class NotFoundError extends CloudManagerError {
+    get exitCode() {
+        return exitCodes.notFound
+    }
+}
+
+class ConflictError extends CloudManagerError {
+    get exitCode() {
+        return exitCodes.conflict
+    }
+}
+
+class AlreadyRunningError extends ConflictError {
+}
+
+class ServerError extends CloudManagerError {
+    get exitCode() {
+        return exitCodes.serverError
+    }
+}
+
+function errorClassForStatus(status) {
+    if (status === 401) {
+        return UnauthorizedError
+    } else if (status === 403) {
+        return ForbiddenError
+    } else if (status === 404) {
+        return NotFoundError
+    } else if (status === 409 || status === 412) {
+        return ConflictError
+    } else if (status >= 500) {
+        return ServerError
+    } else {
+        return CloudManagerError
+    }
+}
+
+async function parseBody(res) {
+    try {
+        const text = await res.text()
+        try {
+            return JSON.parse(text)
+        } catch (e) {
+            return text || undefined
+        }
+    } catch (e) {
+        return undefined
+    }
+}
+
+/**
+ * Creates the error for a failed response, including the parsed response body and the
+ * Cloud Manager error code if the body contains one.
+ * @param {Response} res the failed response
+ * @param {string} message the error message
+ * @param {function} ErrorClass the error class to use. if not specified, it is chosen based on the response status
+ */
+async function errorFromResponse(res, message, ErrorClass) {
+    const body = await parseBody(res)
+    const code = body && typeof body === 'object' ? (body.errorCode || body.code || body.type) : undefined
+    const Clazz = ErrorClass || errorClassForStatus(res.status)
+    return new Clazz(message, {
+        status: res.status,
+        url: res.url,
+        code,
+        body
+    })
+}
+
+module.exports = {
+    AlreadyRunningError,
+    CloudManagerError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+    ServerError,
+    UnauthorizedError,
+    errorFromResponse
+}
@@ -11,41 +11,90 @@ governing permissions and limitations under the License.
 */
 
 const ListProgramsCommand = require('./commands/cloudmanager/list-programs')
+const GetProgramCommand = require('./commands/cloudmanager/get-program')
 const ListPipelinesCommand = require('./commands/cloudmanager/list-pipelines')
+const ListRepositoriesCommand = require('./commands/cloudmanager/list-repositories')
+const ListBranchesCommand = require('./commands/cloudmanager/list-branches')
 const StartExecutionCommand = require('./commands/cloudmanager/start-execution')
 const GetCurrentExecution = require('./commands/cloudmanager/get-current-execution')
 const ListCurrentExecutions = require('./commands/cloudmanager/list-current-executions')
+const ListExecutions = require('./commands/cloudmanager/list-executions')
+const PipelineStats = require('./commands/cloudmanager/pipeline-stats')
 const GetQualityGateResults = require('./commands/cloudmanager/get-quality-gate-results')
+const CompareQualityGates = require('./commands/cloudmanager/compare-quality-gates')
 const CloudManagerCommand = require('./commands/cloudmanager')
 const CancelCurrentExecution = require('./commands/cloudmanager/cancel-current-execution')
 const AdvanceCurrentExecution = require('./commands/cloudmanager/advance-current-execution')
+const Approve = require('./commands/cloudmanager/approve')
+const Reject = require('./commands/cloudmanager/reject')
+const ExportAuditLog = require('./commands/cloudmanager/export-audit-log')
+const ScheduleDeployment = require('./commands/cloudmanager/schedule-deployment')
+const UnscheduleDeployment = require('./commands/cloudmanager/unschedule-deployment')
 const ListEnvironments = require('./commands/cloudmanager/list-environments')
+const GetEnvironment = require('./commands/cloudmanager/get-environment')
+const CreateEnvironment = require('./commands/cloudmanager/create-environment')
+const DeleteEnvironment = require('./commands/cloudmanager/delete-environment')
+const ListEnvironmentVariables = require('./commands/cloudmanager/list-environment-variables')
+const SetEnvironmentVariables = require('./commands/cloudmanager/set-environment-variables')
+const DeleteEnvironmentVariable = require('./commands/cloudmanager/delete-environment-variable')
+const DiffEnvironmentVariables = require('./commands/cloudmanager/diff-environment-variables')
+const SyncEnvironmentVariables = require('./commands/cloudmanager/sync-environment-variables')
 const GetExecutionStepDetails = require('./commands/cloudmanager/get-execution-step-details')
 const GetExecutionStepLog = require('./commands/cloudmanager/get-execution-step-log')
 const ListAvailableLogOptions = require('./commands/cloudmanager/list-available-log-options')
 const DownloadLogs = require('./commands/cloudmanager/download-logs')
+const DownloadStepArtifacts = require('./commands/cloudmanager/download-step-artifacts')
 const TailLog = require('./commands/cloudmanager/tail-log')
+const SearchLogs = require('./commands/cloudmanager/search-logs')
 const DeletePipeline = require('./commands/cloudmanager/delete-pipeline')
 const UpdatePipeline = require('./commands/cloudmanager/update-pipeline')
+const CreatePipeline = require('./commands/cloudmanager/create-pipeline')
+const ExportPipelines = require('./commands/cloudmanager/export-pipelines')
+const ApplyPipelines = require('./commands/cloudmanager/apply-pipelines')
 const OpenDeveloperConsole = require('./commands/cloudmanager/open-developer-console')
 
 module.exports = {
   'aaa': CloudManagerCommand, // needs to be first alphabetically
   'list-programs': new ListProgramsCommand().listPrograms,
+  'get-program': new GetProgramCommand().getProgramDetails,
   'list-pipelines': new ListPipelinesCommand().listPipelines,
+  'list-repositories': new ListRepositoriesCommand().listRepositories,
+  'list-branches': new ListBranchesCommand().listBranches,
   'start-execution': new StartExecutionCommand().startExecution,
   'get-current-execution': new GetCurrentExecution().getCurrentExecution,
   'list-current-executions': new ListCurrentExecutions().listCurrentExecutions,
+  'list-executions': new ListExecutions().listExecutions,
+  'pipeline-stats': new PipelineStats().listExecutions,
   'get-quality-gate-results': new GetQualityGateResults().getQualityGateResults,
+  'compare-quality-gates': new CompareQualityGates().getAllQualityGateResults,
   'cancel-current-execution': new CancelCurrentExecution().cancelCurrentExecution,
   'advance-current-execution': new AdvanceCurrentExecution().advanceCurrentExecution,
+  'approve': new Approve().decideApproval,
+  'reject': new Reject().decideApproval,
+  'export-audit-log': new ExportAuditLog().readAuditLog,
+  'schedule-deployment': new ScheduleDeployment().scheduleDeployment,
+  'unschedule-deployment': new UnscheduleDeployment().unscheduleDeployment,
   'list-environments': new ListEnvironments().listEnvironments,
+  'get-environment': new GetEnvironment().getEnvironment,
+  'create-environment': new CreateEnvironment().createEnvironment,
+  'delete-environment': new DeleteEnvironment().deleteEnvironment,
+  'list-environment-variables': new ListEnvironmentVariables().listEnvironmentVariables,
+  'set-environment-variables': new SetEnvironmentVariables().setEnvironmentVariables,
+  'delete-environment-variable': new DeleteEnvironmentVariable().deleteEnvironmentVariable,
+  'diff-environment-variables': new DiffEnvironmentVariables().getEnvironmentVariables,
+  'sync-environment-variables': new SyncEnvironmentVariables().setEnvironmentVariables,
   'get-execution-step-details': new GetExecutionStepDetails().getExecution,
   'get-execution-step-log': new GetExecutionStepLog().getExecutionStepLog,
   'list-available-log-options': new ListAvailableLogOptions().listAvailableLogOptions,
   'download-logs': new DownloadLogs().downloadLogs,
+  'download-step-artifacts': new DownloadStepArtifacts().downloadStepArtifacts,
   'tail-log': new TailLog().tailLog,
+  'tail-logs': new TailLog().tailLogs,
+  'search-logs': new SearchLogs().searchLog,
   'delete-pipeline': new DeletePipeline().deletePipeline,
   'update-pipeline': new UpdatePipeline().updatePipeline,
+  'create-pipeline': new CreatePipeline().createPipeline,
+  'export-pipelines': new ExportPipelines().listPipelines,
+  'apply-pipelines': new ApplyPipelines().patchPipeline,
   'open-developer-console': new OpenDeveloperConsole().getDeveloperConsoleUrl
 }
@@ -0,0 +1,249 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const _ = require('lodash')
+const chalk = require('chalk')
+const moment = require('moment')
+const { StringDecoder } = require('string_decoder')
+const { Transform } = require('stream')
+const { parseDate } = require('./cloudmanager-helpers')
+const { levels, toJsonLine, LogParser } = require('./log-parser')
+
+const filterNames = ['level', 'logger', 'since', 'until', 'regex', 'path']
+
+const durationUnits = {
+    s: 'seconds',
+    m: 'minutes',
+    h: 'hours',
+    d: 'days'
+}
+
+function wildcard(pattern) {
+    return new RegExp(`^${_.escapeRegExp(pattern).replace(/\\\*/g, '.*')}$`)
+}
+
+// a time is either absolute or a duration before now, e.g. 15m or 2h
+function parseTime(name, value, now) {
+    const duration = value.match(/^(\d+)([smhd])$/)
+    if (duration) {
+        return moment(now).subtract(Number(duration[1]), durationUnits[duration[2]])
+    }
+    return parseDate(name, value)
+}
+
+function toRegExp(value) {
+    try {
+        return new RegExp(value, 'g')
+    } catch (error) {
+        throw new Error(`Filter regex is not a valid regular expression: ${error.message}`)
+    }
+}
+
+/**
+ * Parses log filters given as name=value pairs. Filters of the same name are combined,
+ * loggers and paths matching any of the values and messages all of the regular expressions.
+ * @param {string[]} specs the filters, e.g. level=WARN, logger=com.example.*, since=15m, until=2019-09-10T12:00:00Z,
+ * regex=NullPointerException or path=/content/*
+ * @param {number} now the current time, for relative times
+ * @returns {object} the filter
+ */
+function parseLogFilter(specs = [], now = Date.now()) {
+    const filter = { loggers: [], paths: [], regexes: [] }
+    specs.forEach(spec => {
+        const index = spec.indexOf('=')
+        const name = index > 0 ? spec.substring(0, index) : spec
+        const value = index > 0 ? spec.substring(index + 1) : ''
+        if (!filterNames.includes(name)) {
+            throw new Error(`Unknown filter ${spec}. Filters are given as name=value, the names being ${filterNames.join(', ')}`)
+        }
+        if (value === '') {
+            throw new Error(`Filter ${name} needs a value`)
+        }
+        switch (name) {
+            case 'level':
+                if (!levels.includes(value.toUpperCase())) {
+                    throw new Error(`Unknown level ${value}. Levels are ${levels.join(', ')}`)
+                }
+                filter.level = value.toUpperCase()
+                break
+            case 'logger':
+                // a plain logger name also matches the loggers of its subpackages and inner classes
+                filter.loggers.push(value.includes('*') ? wildcard(value) : new RegExp(`^${_.escapeRegExp(value)}([.$].*)?$`))
+                break
+            case 'since':
+            case 'until':
+                filter[name] = parseTime(name, value, now)
+                break
+            case 'regex':
+                filter.regexes.push(toRegExp(value))
+                break
+            case 'path':
+                // a plain path also matches the paths below it
+                filter.paths.push(value.includes('*') ? wildcard(value) : new RegExp(`^${_.escapeRegExp(value.replace(/\/$/, ''))}([/.].*)?$`))
+                break
+        }
+    })
+    return filter
+}
+
+function isEmptyLogFilter(filter) {
+    return !filter.level && !filter.since && !filter.until && filter.loggers.length === 0 && filter.paths.length === 0 && filter.regexes.length === 0
+}
+
+/**
+ * Tests an entry against a filter. Entries without the field a filter applies to, e.g.
+ * access log entries which have no level, do not match it.
+ * @param {object} entry the entry, as returned by the log parser
+ * @param {object} filter the filter, as returned by parseLogFilter
+ * @returns {boolean} true if the entry matches every part of the filter
+ */
+function matchesLogFilter(entry, filter) {
+    if (filter.level && !(entry.level && levels.indexOf(entry.level) >= levels.indexOf(filter.level))) {
+        return false
+    }
+    if (filter.loggers.length > 0 && !(entry.logger && filter.loggers.some(logger => logger.test(entry.logger)))) {
+        return false
+    }
+    if ((filter.since || filter.until) && !entry.timestamp) {
+        return false
+    }
+    if (filter.since && moment(entry.timestamp).isBefore(filter.since)) {
+        return false
+    }
+    if (filter.until && moment(entry.timestamp).isAfter(filter.until)) {
+        return false
+    }
+    if (filter.paths.length > 0 && !(entry.path && filter.paths.some(path => path.test(entry.path)))) {
+        return false
+    }
+    return filter.regexes.every(regex => entry.raw.search(regex) >= 0)
+}
+
+/**
+ * Highlights the parts of an entry which matched the filter: the text matching its regular
+ * expressions and the matched logger and path.
+ * @param {object} entry the entry
+ * @param {object} filter the filter
+ * @returns {string} the text of the entry
+ */
+function highlightLogEntry(entry, filter) {
+    const literals = []
+    if (filter.loggers.length > 0 && entry.logger) {
+        literals.push(entry.logger)
+    }
+    if (filter.paths.length > 0 && entry.path) {
+        literals.push(entry.path)
+    }
+    const patterns = filter.regexes.map(regex => regex.source).concat(literals.map(_.escapeRegExp))
+    if (patterns.length === 0) {
+        return entry.raw
+    }
+    return entry.raw.replace(new RegExp(patterns.map(pattern => `(?:${pattern})`).join('|'), 'g'), text => text === '' ? text : chalk.red.bold(text))
+}
+
+// how long an entry of a followed log is held back for further lines, e.g. the rest of a stack trace
+const flushDelay = 500
+
+/**
+ * A stream which parses the log written to it and passes on the entries matching a filter,
+ * either as their text, highlighted, or as JSON lines. When following a log, the entry in
+ * progress is passed on once nothing has been written for a moment. Lines continuing an entry
+ * after that are passed on as text if that entry matched, or as JSON lines of their own.
+ */
+class LogFilterStream extends Transform {
+    /**
+     * @param {object} filter the filter, as returned by parseLogFilter, or null to pass on every entry
+     * @param {object} options the output format, text or jsonl, the name of the log, if known,
+     * whether the log is followed and fields to add to each JSON line, e.g. to tell logs apart
+     */
+    constructor(filter, { format = 'text', logName, follow = false, fields } = {}) {
+        super()
+        this.filter = filter || parseLogFilter()
+        this.format = format
+        this.follow = follow
+        this.fields = fields
+        this.parser = new LogParser(logName)
+        // characters can be split across chunks
+        this.decoder = new StringDecoder('utf8')
+        this.remainder = ''
+        // lines before the first entry, e.g. when tailing starts in a stack trace, only pass an empty filter
+        this.matched = isEmptyLogFilter(this.filter)
+    }
+
+    _transform(chunk, encoding, callback) {
+        clearTimeout(this.timeout)
+        const lines = (this.remainder + this.decoder.write(chunk)).split(/\r?\n/)
+        this.remainder = lines.pop()
+        _.flatMap(lines, line => this.parser.push(line)).forEach(entry => this._pushEntry(entry))
+        if (this.follow) {
+            this.timeout = setTimeout(() => this.parser.flush().forEach(entry => this._pushEntry(entry)), flushDelay)
+            this.timeout.unref()
+        }
+        callback()
+    }
+
+    _flush(callback) {
+        clearTimeout(this.timeout)
+        this.remainder += this.decoder.end()
+        const entries = this.remainder !== '' ? this.parser.push(this.remainder) : []
+        entries.concat(this.parser.flush()).forEach(entry => this._pushEntry(entry))
+        callback()
+    }
+
+    _pushEntry(entry) {
+        if (entry.format) {
+            this.matched = matchesLogFilter(entry, this.filter)
+        }
+        if (this.matched) {
+            this.push(`${this.format === 'jsonl' ? toJsonLine({ ...entry, ...this.fields }) : highlightLogEntry(entry, this.filter)}\n`)
+        }
+    }
+}
+
+/**
+ * A stream which prefixes every line written to it, holding back incomplete lines so that
+ * the lines of several streams can be merged.
+ */
+class LinePrefixStream extends Transform {
+    constructor(prefix) {
+        super()
+        this.prefix = prefix
+        this.decoder = new StringDecoder('utf8')
+        this.remainder = ''
+    }
+
+    _transform(chunk, encoding, callback) {
+        const lines = (this.remainder + this.decoder.write(chunk)).split('\n')
+        this.remainder = lines.pop()
+        if (lines.length > 0) {
+            this.push(lines.map(line => `${this.prefix}${line}\n`).join(''))
+        }
+        callback()
+    }
+
+    _flush(callback) {
+        this.remainder += this.decoder.end()
+        if (this.remainder !== '') {
+            this.push(`${this.prefix}${this.remainder}\n`)
+        }
+        callback()
+    }
+}
+
+module.exports = {
+    filterNames,
+    highlightLogEntry,
+    LinePrefixStream,
+    LogFilterStream,
+    matchesLogFilter,
+    parseLogFilter
+}
@@ -0,0 +1,269 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const _ = require('lodash')
+const moment = require('moment')
+
+const levels = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR']
+
+const dispatcherLevels = {
+    T: 'TRACE',
+    D: 'DEBUG',
+    I: 'INFO',
+    W: 'WARN',
+    E: 'ERROR'
+}
+
+const httpdLevels = {
+    emerg: 'ERROR',
+    alert: 'ERROR',
+    crit: 'ERROR',
+    error: 'ERROR',
+    warn: 'WARN',
+    notice: 'INFO',
+    info: 'INFO',
+    debug: 'DEBUG'
+}
+
+const accessTimeFormat = 'DD/MMM/YYYY:HH:mm:ss ZZ'
+const accessTime = '\\d{2}/\\w{3}/\\d{4}:\\d{2}:\\d{2}:\\d{2} [+-]\\d{4}'
+
+// thread names may contain one level of brackets, e.g. [127.0.0.1 [1568102400000] GET /content/site.html HTTP/1.1]
+const errorPattern = /^(\d{2}\.\d{2}\.\d{4} \d{2}:\d{2}:\d{2}\.\d{3})(?: \[([^\]]+)\])? \*(\w+)\* \[((?:[^[\]]|\[[^\]]*\])*)\] (\S+) ?(.*)$/
+const requestPattern = new RegExp(`^(${accessTime}) \\[(\\d+)\\] (->|<-) (.*?)(?: \\[([^\\]]+)\\])?$`)
+const accessPattern = new RegExp(`^(\\S+) (\\S+) (\\S+) \\[?(${accessTime})\\]? "([^"]*)" (\\d{3}) (\\S+)(?: "([^"]*)" "([^"]*)")?`)
+// some dispatcher versions only log the time of day, which is not enough for a timestamp
+const dispatcherPattern = new RegExp(`^\\[(${accessTime}|\\d{2}:\\d{2}:\\d{2})\\] \\[(\\w+)\\] \\[([^\\]]*)\\] (.*)$`)
+// Cloud Manager environments log the time like the access log, plain Apache httpd like Thu Sep 10 10:05:12.123456 2019
+const httpdErrorPattern = /^\[([^\]]+)\] \[(?:([\w.-]+):)?(\w+)\] \[([^\]]*)\](?: \[client ([^\]]+)\])? (.*)$/
+
+function toTimestamp(time, format) {
+    return moment.utc(time, format, true).toISOString()
+}
+
+// the process is logged as [pid 1:tid 2], where Cloud Manager environments log the pod instead
+function processOrPod(value) {
+    return value.startsWith('pid ') ? { thread: value } : { pod: value }
+}
+
+function parseRequestLine(request) {
+    const [method, url, protocol] = request.split(' ')
+    return {
+        method,
+        path: url && url.split('?')[0],
+        protocol
+    }
+}
+
+function parseError(match) {
+    const [, time, pod, level, thread, logger, message] = match
+    return {
+        format: 'error',
+        // the error log is written in the server's time zone, which is UTC for Cloud Manager environments
+        timestamp: toTimestamp(time, 'DD.MM.YYYY HH:mm:ss.SSS'),
+        pod,
+        level: level.toUpperCase(),
+        thread,
+        logger,
+        message
+    }
+}
+
+function parseRequest(match, requests) {
+    const [, time, requestId, direction, message, pod] = match
+    const entry = {
+        format: 'request',
+        timestamp: toTimestamp(time, accessTimeFormat),
+        pod,
+        requestId,
+        message
+    }
+    if (direction === '->') {
+        const request = parseRequestLine(message)
+        requests[requestId] = request
+        return { ...entry, method: request.method, path: request.path }
+    }
+    // responses only carry the request id, so the path comes from the matching request
+    const request = requests[requestId] || {}
+    delete requests[requestId]
+    const [status, contentType, duration] = message.split(' ')
+    return { ...entry, method: request.method, path: request.path, status: Number(status), contentType, duration }
+}
+
+function parseAccess(match) {
+    const [, host, , user, time, request, status, size, referer, userAgent] = match
+    const { method, path } = parseRequestLine(request)
+    return {
+        format: 'access',
+        timestamp: toTimestamp(time, accessTimeFormat),
+        host,
+        user: user === '-' ? undefined : user,
+        method,
+        path,
+        status: Number(status),
+        size: size === '-' ? undefined : Number(size),
+        referer,
+        userAgent,
+        message: request
+    }
+}
+
+function parseDispatcher(match) {
+    const [, time, level, pod, message] = match
+    const request = message.match(/^"(\w+) ([^"]*)" (\d{3})?/)
+    return {
+        format: 'dispatcher',
+        timestamp: time.length > 8 ? toTimestamp(time, accessTimeFormat) : undefined,
+        level: dispatcherLevels[level[0]],
+        ...processOrPod(pod),
+        method: request ? request[1] : undefined,
+        path: request ? parseRequestLine(`${request[1]} ${request[2]}`).path : undefined,
+        status: request && request[3] ? Number(request[3]) : undefined,
+        message
+    }
+}
+
+function parseHttpdError(match) {
+    const [, time, module, level, process, client, message] = match
+    const timestamp = moment.utc(time, [accessTimeFormat, 'ddd MMM DD HH:mm:ss.SSSSSS YYYY'], true)
+    return {
+        format: 'httpderror',
+        timestamp: timestamp.isValid() ? timestamp.toISOString() : undefined,
+        level: level.startsWith('trace') ? 'TRACE' : httpdLevels[level],
+        ...processOrPod(process),
+        logger: module,
+        client,
+        message
+    }
+}
+
+// in the order they are tried, e.g. dispatcher log lines would also pass for httpd error log lines
+const formats = {
+    error: { pattern: errorPattern, parse: parseError },
+    request: { pattern: requestPattern, parse: parseRequest },
+    dispatcher: { pattern: dispatcherPattern, parse: parseDispatcher },
+    httpderror: { pattern: httpdErrorPattern, parse: parseHttpdError },
+    access: { pattern: accessPattern, parse: parseAccess }
+}
+
+// the format of each of the logs listed by list-available-log-options
+const logFormats = {
+    aemerror: 'error',
+    aemrequest: 'request',
+    aemaccess: 'access',
+    httpderror: 'httpderror',
+    httpdaccess: 'access',
+    aemdispatcher: 'dispatcher',
+    dispatcher: 'dispatcher'
+}
+
+// the format of the log is tried first, though logs may be mixed, e.g. a dispatcher log also holds httpd errors
+function formatsOf(logName) {
+    const format = formats[logFormats[logName]]
+    return format ? [format].concat(Object.values(formats).filter(other => other !== format)) : Object.values(formats)
+}
+
+/**
+ * Parses the first line of a log entry in any of the AEM error, request and access log formats,
+ * the httpd error and access log formats or the dispatcher log format.
+ * @param {string} line the line
+ * @param {object} requests the requests logged so far, by id, used to find the path of request log responses
+ * @param {string} logName the name of the log, e.g. aemerror, to try its format first
+ * @returns {object} the entry, or undefined if the line does not start an entry (e.g. it is part of a stack trace)
+ */
+function parseLine(line, requests = {}, logName) {
+    for (const format of formatsOf(logName)) {
+        const match = line.match(format.pattern)
+        if (match) {
+            return _.omitBy({ ...format.parse(match, requests), raw: line }, _.isUndefined)
+        }
+    }
+    return undefined
+}
+
+/**
+ * Groups the lines of a log into entries, folding lines which do not start an entry,
+ * such as stack traces, into the message of the preceding one.
+ */
+class LogParser {
+    /**
+     * @param {string} logName the name of the log, if known, to try its format first. The format is detected line by line
+     */
+    constructor(logName) {
+        this.logName = logName
+        this.requests = {}
+        this.entry = undefined
+    }
+
+    /**
+     * @param {string} line the next line of the log
+     * @returns {object[]} the entries completed by this line. A line which continues an entry
+     * that has already been flushed is returned as an entry of its own, without a format.
+     */
+    push(line) {
+        const entry = parseLine(line, this.requests, this.logName)
+        if (entry) {
+            const completed = this.flush()
+            this.entry = entry
+            return completed
+        } else if (this.entry) {
+            this.entry.message = this.entry.message ? `${this.entry.message}\n${line}` : line
+            this.entry.raw = `${this.entry.raw}\n${line}`
+            return []
+        }
+        return [{ message: line, raw: line }]
+    }
+
+    /**
+     * @returns {object[]} the entry in progress, if any
+     */
+    flush() {
+        const entry = this.entry
+        this.entry = undefined
+        return entry ? [entry] : []
+    }
+}
+
+/**
+ * Parses a whole log.
+ * @param {string} text the log
+ * @param {string} logName the name of the log, if known
+ * @returns {object[]} the entries
+ */
+function parseLog(text, logName) {
+    const parser = new LogParser(logName)
+    const lines = text.split(/\r?\n/)
+    if (lines[lines.length - 1] === '') {
+        lines.pop()
+    }
+    return _.flatMap(lines, line => parser.push(line)).concat(parser.flush())
+}
+
+/**
+ * Serializes an entry as a line of JSON, leading with its timestamp, level, thread, logger and
+ * message, the latter including any stack trace.
+ * @param {object} entry the entry
+ * @returns {string} the line, without a line break
+ */
+function toJsonLine(entry) {
+    const { timestamp, level, thread, logger, message } = entry
+    return JSON.stringify(_.omit({ timestamp, level, thread, logger, message, ...entry }, 'raw'))
+}
+
+module.exports = {
+    levels,
+    logFormats,
+    parseLine,
+    parseLog,
+    toJsonLine,
+    LogParser
+}
@@ -0,0 +1,376 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs')
+const yaml = require('js-yaml')
+const _ = require('lodash')
+
+const triggers = ['ON_COMMIT', 'MANUAL']
+const phaseTypes = ['VALIDATE', 'BUILD', 'DEPLOY']
+const environmentTypes = ['dev', 'stage', 'prod']
+const deployOptions = ['approval', 'scheduled', 'cseOversight']
+const phaseProperties = {
+    VALIDATE: ['name'],
+    BUILD: ['name', 'repositoryId', 'branch'],
+    DEPLOY: ['name', 'environmentId', 'environmentType'].concat(deployOptions)
+}
+// scheduling leaves the GoLive approval of the phase as it is
+const prodDeploymentModes = {
+    manual: { approval: true, scheduled: false },
+    scheduled: { scheduled: true }
+}
+// fields which are maintained by Cloud Manager and can't be changed through the API
+const readOnlyFields = ['_links', '_embedded', 'programId', 'status', 'createdAt', 'updatedAt', 'lastStartedAt', 'lastFinishedAt']
+
+/**
+ * Reads a pipeline definition from a JSON or YAML file.
+ * @param {string} file the path to the file
+ */
+function readDefinitionFile(file) {
+    let contents
+    try {
+        contents = fs.readFileSync(file, 'utf8')
+    } catch (error) {
+        throw new Error(`Cannot read pipeline definition ${file}: ${error.message}`)
+    }
+    try {
+        // YAML is a superset of JSON, so this handles both formats
+        return yaml.safeLoad(contents)
+    } catch (error) {
+        throw new Error(`Cannot parse pipeline definition ${file}: ${error.message}`)
+    }
+}
+
+function isId(value) {
+    return (typeof value === 'string' && value.length > 0) || Number.isInteger(value)
+}
+
+function validatePhase(phase, index, problems) {
+    const label = `phases[${index}]`
+    if (!_.isPlainObject(phase)) {
+        problems.push(`${label} must be an object`)
+        return
+    }
+    if (!phaseTypes.includes(phase.type)) {
+        problems.push(`${label}.type must be one of ${phaseTypes.join(', ')}`)
+        return
+    }
+    if (phase.type === 'BUILD') {
+        if (!isId(phase.repositoryId)) {
+            problems.push(`${label}.repositoryId is required for the BUILD phase`)
+        }
+        if (!_.isString(phase.branch) || phase.branch.length === 0) {
+            problems.push(`${label}.branch is required for the BUILD phase`)
+        }
+    } else if (phase.type === 'DEPLOY') {
+        if (!isId(phase.environmentId)) {
+            problems.push(`${label}.environmentId is required for DEPLOY phases`)
+        }
+        if (phase.environmentType !== undefined && !environmentTypes.includes(phase.environmentType)) {
+            problems.push(`${label}.environmentType must be one of ${environmentTypes.join(', ')}`)
+        }
+        deployOptions.forEach(option => {
+            if (phase[option] !== undefined && !_.isBoolean(phase[option])) {
+                problems.push(`${label}.${option} must be true or false`)
+            }
+        })
+    }
+}
+
+/**
+ * Validates a pipeline definition, returning the list of problems found. An empty list means
+ * the definition is valid.
+ * @param {object} definition the pipeline definition
+ */
+function validatePipelineDefinition(definition) {
+    const problems = []
+    if (!_.isPlainObject(definition)) {
+        return ['the pipeline definition must be an object']
+    }
+    if (!_.isString(definition.name) || definition.name.trim().length === 0) {
+        problems.push('name is required')
+    }
+    if (definition.trigger !== undefined && !triggers.includes(definition.trigger)) {
+        problems.push(`trigger must be one of ${triggers.join(', ')}`)
+    }
+    if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+        problems.push('phases must be a non-empty list')
+        return problems
+    }
+
+    definition.phases.forEach((phase, index) => validatePhase(phase, index, problems))
+
+    const types = definition.phases.map(phase => phase && phase.type)
+    const buildIndex = types.indexOf('BUILD')
+    if (buildIndex === -1) {
+        problems.push('a BUILD phase is required')
+    } else if (types.lastIndexOf('BUILD') !== buildIndex) {
+        problems.push('only one BUILD phase is allowed')
+    }
+    if (!types.includes('DEPLOY')) {
+        problems.push('at least one DEPLOY phase is required')
+    } else if (buildIndex !== -1 && types.indexOf('DEPLOY') < buildIndex) {
+        problems.push('DEPLOY phases must come after the BUILD phase')
+    }
+
+    const environmentIds = definition.phases.filter(phase => phase && phase.type === 'DEPLOY' && isId(phase.environmentId)).map(phase => String(phase.environmentId))
+    _.uniq(environmentIds.filter((id, index) => environmentIds.indexOf(id) !== index)).forEach(id => {
+        problems.push(`environment ${id} is deployed to by more than one phase`)
+    })
+
+    return problems
+}
+
+/**
+ * Converts a valid pipeline definition into the request body used to create the pipeline.
+ * @param {object} definition the pipeline definition
+ */
+function toPipelineBody(definition) {
+    const body = {
+        name: definition.name,
+        trigger: definition.trigger || 'MANUAL',
+        phases: definition.phases.map(phase => _.clone(phase))
+    }
+    if (body.phases[0].type !== 'VALIDATE') {
+        body.phases.unshift({ name: 'VALIDATE', type: 'VALIDATE' })
+    }
+    return body
+}
+
+/**
+ * Converts a pipeline returned by the API into the form stored in an exported pipelines file,
+ * i.e. without links and read-only fields.
+ * @param {object} pipeline the pipeline
+ */
+function toPipelineDefinition(pipeline) {
+    const definition = _.omit(pipeline, readOnlyFields)
+    if (definition.phases) {
+        definition.phases = definition.phases.map(phase => _.omit(phase, readOnlyFields))
+    }
+    return definition
+}
+
+/**
+ * Validates a pipelines file as written by the export-pipelines command, returning the list of
+ * problems found.
+ * @param {object} contents the parsed file
+ */
+function validatePipelinesFile(contents) {
+    if (!_.isPlainObject(contents) || !Array.isArray(contents.pipelines)) {
+        return ['the file must contain a list of pipelines']
+    }
+    const problems = []
+    contents.pipelines.forEach((pipeline, index) => {
+        const label = `pipelines[${index}]`
+        if (!_.isPlainObject(pipeline)) {
+            problems.push(`${label} must be an object`)
+            return
+        }
+        if (!isId(pipeline.id)) {
+            problems.push(`${label}.id is required`)
+        }
+        if (pipeline.phases !== undefined) {
+            if (!Array.isArray(pipeline.phases)) {
+                problems.push(`${label}.phases must be a list`)
+            } else {
+                pipeline.phases.forEach((phase, phaseIndex) => {
+                    if (!_.isPlainObject(phase) || !(isId(phase.id) || _.isString(phase.name))) {
+                        problems.push(`${label}.phases[${phaseIndex}] must have an id or a name`)
+                    }
+                })
+            }
+        }
+    })
+    const ids = contents.pipelines.filter(pipeline => pipeline && isId(pipeline.id)).map(pipeline => String(pipeline.id))
+    _.uniq(ids.filter((id, index) => ids.indexOf(id) !== index)).forEach(id => {
+        problems.push(`pipeline ${id} is defined more than once`)
+    })
+    return problems
+}
+
+function findPhase(phases, phase) {
+    if (phase.id !== undefined) {
+        return phases.find(candidate => String(candidate.id) === String(phase.id))
+    }
+    return phases.find(candidate => candidate.name === phase.name)
+}
+
+/**
+ * Compares a live pipeline with its desired definition. Only the fields present in the definition
+ * are compared, so fields missing from the definition are left as they are. Changed phases are
+ * patched as a whole.
+ * @param {object} pipeline the live pipeline
+ * @param {object} definition the desired pipeline definition
+ * @returns {object} the list of differences, each with a path, the live value and the desired value,
+ * and the patch to send to the API. the patch is null if there are no differences
+ */
+function diffPipeline(pipeline, definition) {
+    const differences = []
+    const patch = {}
+
+    const desired = _.omit(definition, readOnlyFields.concat(['id', 'phases']))
+    Object.keys(desired).forEach(key => {
+        if (!_.isEqual(pipeline[key], desired[key])) {
+            differences.push({ path: key, from: pipeline[key], to: desired[key] })
+            patch[key] = desired[key]
+        }
+    })
+
+    const livePhases = pipeline.phases || []
+    ;(definition.phases || []).forEach(phase => {
+        const livePhase = findPhase(livePhases, phase)
+        if (!livePhase) {
+            throw new Error(`Pipeline ${pipeline.id} does not have a phase ${phase.id !== undefined ? phase.id : phase.name}. Phases cannot be added or removed by apply-pipelines.`)
+        }
+        const desiredPhase = _.omit(phase, readOnlyFields)
+        const changedKeys = Object.keys(desiredPhase).filter(key => !_.isEqual(livePhase[key], desiredPhase[key]))
+        if (changedKeys.length > 0) {
+            changedKeys.forEach(key => differences.push({ path: `phases[${livePhase.name}].${key}`, from: livePhase[key], to: desiredPhase[key] }))
+            patch.phases = patch.phases || []
+            patch.phases.push(_.assign(_.omit(livePhase, readOnlyFields), desiredPhase))
+        }
+    })
+
+    return {
+        differences,
+        patch: differences.length > 0 ? patch : null
+    }
+}
+
+/**
+ * Finds the single phase matching a selector, which is either a phase name, a phase type
+ * or a phase type and environment type separated by a colon, e.g. DEPLOY:prod.
+ * @param {object} pipeline the pipeline
+ * @param {string} selector the phase selector
+ */
+function selectPhase(pipeline, selector) {
+    const phases = pipeline.phases || []
+    let matches = phases.filter(phase => phase.name === selector)
+    if (matches.length === 0) {
+        const [type, environmentType] = selector.split(':')
+        matches = phases.filter(phase => phase.type === type.toUpperCase() && (!environmentType || phase.environmentType === environmentType))
+    }
+    if (matches.length === 0) {
+        throw new Error(`Pipeline ${pipeline.id} does not have a phase matching ${selector}`)
+    } else if (matches.length > 1) {
+        throw new Error(`Phase selector ${selector} matches more than one phase of pipeline ${pipeline.id}: ${matches.map(phase => phase.name).join(', ')}`)
+    }
+    return matches[0]
+}
+
+function coercePhaseValue(phase, property, value) {
+    if (deployOptions.includes(property) || _.isBoolean(phase[property])) {
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(`${property} of phase ${phase.name} must be true or false`)
+        }
+        return value === 'true'
+    }
+    if (property === 'environmentType' && !environmentTypes.includes(value)) {
+        throw new Error(`environmentType of phase ${phase.name} must be one of ${environmentTypes.join(', ')}`)
+    }
+    if (_.isNumber(phase[property])) {
+        if (!/^-?\d+(\.\d+)?$/.test(value)) {
+            throw new Error(`${property} of phase ${phase.name} must be a number`)
+        }
+        return Number(value)
+    }
+    return value
+}
+
+/**
+ * Builds the patch for a set of changes to an existing pipeline. Each changed phase is sent in full.
+ * @param {object} pipeline the current pipeline
+ * @param {object} changes the changes. supports branch, repositoryId, trigger, prodDeploymentMode (manual or scheduled),
+ * cseOversight and phaseProperties, a list of {selector, property, value} objects
+ */
+function buildPipelinePatch(pipeline, changes) {
+    const patch = {
+        phases: []
+    }
+    const changedPhases = new Map()
+    const changePhase = (phase, property, value) => {
+        if (!changedPhases.has(phase)) {
+            changedPhases.set(phase, _.omit(_.clone(phase), readOnlyFields))
+        }
+        changedPhases.get(phase)[property] = value
+    }
+
+    if (changes.trigger) {
+        if (!triggers.includes(changes.trigger)) {
+            throw new Error(`trigger must be one of ${triggers.join(', ')}`)
+        }
+        patch.trigger = changes.trigger
+    }
+
+    if (changes.branch || changes.repositoryId) {
+        const buildPhase = (pipeline.phases || []).find(phase => phase.type === "BUILD")
+        if (!buildPhase) {
+            throw new Error(`Pipeline ${pipeline.id} does not appear to have a build phase`)
+        }
+        if (changes.branch) {
+            changePhase(buildPhase, 'branch', changes.branch)
+        }
+        if (changes.repositoryId) {
+            changePhase(buildPhase, 'repositoryId', changes.repositoryId)
+        }
+    }
+
+    if (changes.prodDeploymentMode || _.isBoolean(changes.cseOversight)) {
+        const prodPhase = (pipeline.phases || []).find(phase => phase.type === 'DEPLOY' && phase.environmentType === 'prod')
+        if (!prodPhase) {
+            throw new Error(`Pipeline ${pipeline.id} does not appear to have a production deployment phase`)
+        }
+        if (changes.prodDeploymentMode) {
+            const mode = prodDeploymentModes[changes.prodDeploymentMode]
+            if (!mode) {
+                throw new Error(`prodDeploymentMode must be one of ${Object.keys(prodDeploymentModes).join(', ')}`)
+            }
+            _.forEach(mode, (value, property) => changePhase(prodPhase, property, value))
+        }
+        if (_.isBoolean(changes.cseOversight)) {
+            changePhase(prodPhase, 'cseOversight', changes.cseOversight)
+        }
+    }
+
+    (changes.phaseProperties || []).forEach(({ selector, property, value }) => {
+        const phase = selectPhase(pipeline, selector)
+        if (property === 'type' || property === 'id' || readOnlyFields.includes(property)) {
+            throw new Error(`${property} of phase ${phase.name} cannot be changed`)
+        }
+        const known = _.union(phaseProperties[phase.type] || [], Object.keys(_.omit(phase, readOnlyFields.concat(['id', 'type']))))
+        if (!known.includes(property)) {
+            throw new Error(`Phase ${phase.name} does not have a property ${property}. Known properties are ${known.join(', ')}`)
+        }
+        changePhase(phase, property, coercePhaseValue(phase, property, value))
+    })
+
+    patch.phases = (pipeline.phases || []).filter(phase => changedPhases.has(phase)).map(phase => changedPhases.get(phase))
+
+    const environmentIds = (pipeline.phases || []).map(phase => changedPhases.get(phase) || phase)
+        .filter(phase => phase.type === 'DEPLOY' && isId(phase.environmentId)).map(phase => String(phase.environmentId))
+    const duplicateId = environmentIds.find((id, index) => environmentIds.indexOf(id) !== index)
+    if (duplicateId) {
+        throw new Error(`Environment ${duplicateId} would be deployed to by more than one phase`)
+    }
+
+    return patch
+}
+
+module.exports = {
+    buildPipelinePatch,
+    diffPipeline,
+    readDefinitionFile,
+    toPipelineBody,
+    toPipelineDefinition,
+    validatePipelineDefinition,
+    validatePipelinesFile
+}
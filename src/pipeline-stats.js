@@ -0,0 +1,119 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const _ = require('lodash')
+const moment = require('moment')
+const { formatAction } = require('./cloudmanager-helpers')
+
+const failedStatuses = ['FAILED', 'ERROR']
+const completedStatuses = ['FINISHED'].concat(failedStatuses)
+
+function percentile(sortedValues, p) {
+    return sortedValues[Math.max(Math.ceil(p * sortedValues.length) - 1, 0)]
+}
+
+/**
+ * Summarizes a list of durations in milliseconds.
+ * @param {number[]} durations the durations
+ * @returns {object} the count, mean and 95th percentile. mean and p95 are null if there are no durations
+ */
+function summarizeDurations(durations) {
+    const sorted = _.sortBy(durations)
+    return {
+        count: sorted.length,
+        mean: sorted.length > 0 ? Math.round(_.mean(sorted)) : null,
+        p95: sorted.length > 0 ? percentile(sorted, 0.95) : null
+    }
+}
+
+function stepDuration(stepState, stepStates) {
+    let startedAt = stepState.startedAt
+    // the code quality step doesn't report when it started, but it directly follows the build
+    if (!startedAt && stepState.action === 'codeQuality') {
+        const buildStep = stepStates.find(candidate => candidate.action === 'build')
+        startedAt = buildStep && buildStep.finishedAt
+    }
+    return startedAt && stepState.finishedAt ? moment(stepState.finishedAt).diff(startedAt) : null
+}
+
+function rate(count, total) {
+    return total > 0 ? count / total : null
+}
+
+/**
+ * Computes statistics for a list of pipeline executions.
+ * @param {object[]} executions the executions, including their step states
+ */
+function computePipelineStats(executions) {
+    const completed = executions.filter(execution => completedStatuses.includes(execution.status))
+    const succeeded = completed.filter(execution => execution.status === 'FINISHED')
+    const failed = completed.filter(execution => failedStatuses.includes(execution.status))
+
+    const steps = {}
+    const failingSteps = {}
+    const approvalWaits = []
+
+    executions.forEach(execution => {
+        const stepStates = (execution._embedded && execution._embedded.stepStates) || []
+        stepStates.forEach(stepState => {
+            const step = formatAction(stepState)
+            if (stepState.action === 'approval') {
+                const wait = stepDuration(stepState, stepStates)
+                if (wait !== null) {
+                    approvalWaits.push(wait)
+                }
+                return
+            }
+            if (stepState.status === 'NOT_STARTED') {
+                return
+            }
+            steps[step] = steps[step] || { step, runs: 0, failures: 0, durations: [] }
+            steps[step].runs++
+            if (failedStatuses.includes(stepState.status)) {
+                steps[step].failures++
+                failingSteps[step] = (failingSteps[step] || 0) + 1
+            }
+            const duration = stepDuration(stepState, stepStates)
+            if (duration !== null && stepState.status !== 'RUNNING') {
+                steps[step].durations.push(duration)
+            }
+        })
+    })
+
+    const mostCommonFailingStep = _.maxBy(_.toPairs(failingSteps), ([, count]) => count)
+
+    return {
+        executions: executions.length,
+        completed: completed.length,
+        succeeded: succeeded.length,
+        failed: failed.length,
+        cancelled: executions.filter(execution => execution.status === 'CANCELLED').length,
+        successRate: rate(succeeded.length, completed.length),
+        failureRate: rate(failed.length, completed.length),
+        duration: summarizeDurations(succeeded
+            .filter(execution => execution.createdAt && execution.finishedAt)
+            .map(execution => moment(execution.finishedAt).diff(execution.createdAt))),
+        steps: _.values(steps).map(({ step, runs, failures, durations }) => ({
+            step,
+            runs,
+            failures,
+            ...summarizeDurations(durations)
+        })),
+        mostCommonFailingStep: mostCommonFailingStep ? { step: mostCommonFailingStep[0], failures: mostCommonFailingStep[1] } : null,
+        approvalWait: summarizeDurations(approvalWaits)
+    }
+}
+
+module.exports = {
+    computePipelineStats,
+    summarizeDurations
+}
@@ -0,0 +1,94 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const _ = require('lodash')
+
+const changes = {
+    regression: 'regression',
+    fixed: 'fixed',
+    thresholdChanged: 'threshold changed',
+    valueChanged: 'value changed',
+    added: 'added',
+    removed: 'removed',
+    unchanged: 'unchanged'
+}
+
+function toNumber(value) {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) ? Number(value) : null
+}
+
+function threshold(metric) {
+    return metric ? `${metric.comparator ? `${metric.comparator} ` : ''}${metric.expectedValue}` : undefined
+}
+
+// a kpi can be reported once per severity, e.g. security_rating is both critical and important
+function metricKey(metric) {
+    return `${metric.kpi}/${metric.severity}`
+}
+
+function compareMetric(gate, before, after) {
+    const from = toNumber(before && before.actualValue)
+    const to = toNumber(after && after.actualValue)
+
+    let change
+    if (!before) {
+        change = after.passed ? changes.added : changes.regression
+    } else if (!after) {
+        change = changes.removed
+    } else if (before.passed && !after.passed) {
+        change = changes.regression
+    } else if (!before.passed && after.passed) {
+        change = changes.fixed
+    } else if (threshold(before) !== threshold(after)) {
+        change = changes.thresholdChanged
+    } else if (String(before.actualValue) !== String(after.actualValue)) {
+        change = changes.valueChanged
+    } else {
+        change = changes.unchanged
+    }
+
+    return {
+        gate,
+        kpi: (after || before).kpi,
+        severity: (after || before).severity,
+        before: before ? before.actualValue : undefined,
+        after: after ? after.actualValue : undefined,
+        delta: from !== null && to !== null ? _.round(to - from, 2) : undefined,
+        thresholdBefore: threshold(before),
+        thresholdAfter: threshold(after),
+        passedBefore: before ? before.passed : undefined,
+        passedAfter: after ? after.passed : undefined,
+        change
+    }
+}
+
+/**
+ * Compares the quality gate results of two executions, aligning metrics by gate, kpi and severity.
+ * A metric which passed before and fails after (or is new and fails) is a regression.
+ * @param {object} before the results of the earlier execution, by gate, as returned by Client.getAllQualityGateResults
+ * @param {object} after the results of the later execution, in the same form
+ * @returns {object[]} a comparison per metric, in the order of the gates and the metrics of the later execution
+ */
+function compareQualityGates(before, after) {
+    const gates = _.uniq(Object.keys(after).concat(Object.keys(before)))
+    return _.flatMap(gates, gate => {
+        const metricsBefore = _.keyBy(before[gate] || [], metricKey)
+        const metricsAfter = _.keyBy(after[gate] || [], metricKey)
+        const keys = _.uniq(Object.keys(metricsAfter).concat(Object.keys(metricsBefore)))
+        return keys.map(key => compareMetric(gate, metricsBefore[key], metricsAfter[key]))
+    })
+}
+
+module.exports = {
+    changes,
+    compareQualityGates
+}
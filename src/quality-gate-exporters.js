@@ -0,0 +1,133 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const _ = require('lodash')
+const { formatMetricName } = require('./cloudmanager-helpers')
+const { version } = require('../package.json')
+
+const sarifLevels = {
+    critical: 'error',
+    important: 'warning',
+    informational: 'note'
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+}
+
+function describeMetric(metric) {
+    const expected = metric.comparator ? `${metric.comparator} ${metric.expectedValue}` : metric.expectedValue
+    return `${formatMetricName(metric.kpi)} was ${metric.actualValue}, expected ${expected}${metric.override ? ' (overridden)' : ''}`
+}
+
+function isFailure(metric) {
+    return !metric.passed && metric.severity !== 'informational'
+}
+
+/**
+ * Converts the metrics of a quality gate to a JUnit XML report with a test case per metric.
+ * Failed critical and important metrics are reported as failures.
+ * @param {object[]} metrics the metrics
+ * @param {object} context the pipelineId, executionId and action the metrics belong to
+ * @returns {string} the report
+ */
+function toJUnit(metrics, { pipelineId, executionId, action }) {
+    const name = `cloudmanager.pipeline${pipelineId}.execution${executionId}.${action}`
+    const failures = metrics.filter(isFailure).length
+    const testCases = metrics.map(metric => {
+        const attributes = `classname="${escapeXml(`${name}.${metric.severity}`)}" name="${escapeXml(metric.kpi)}"`
+        if (isFailure(metric)) {
+            return `    <testcase ${attributes}>\n      <failure message="${escapeXml(describeMetric(metric))}" type="${escapeXml(metric.severity)}"/>\n    </testcase>`
+        } else if (!metric.passed) {
+            return `    <testcase ${attributes}>\n      <system-out>${escapeXml(describeMetric(metric))}</system-out>\n    </testcase>`
+        }
+        return `    <testcase ${attributes}/>`
+    })
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${metrics.length}" failures="${failures}">`,
+        `  <testsuite name="${escapeXml(name)}" tests="${metrics.length}" failures="${failures}" errors="0" skipped="0">`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n')
+}
+
+/**
+ * Converts the metrics of a quality gate to a SARIF 2.1.0 log. Every metric is a rule and every
+ * failed metric a result, suppressed if it was overridden.
+ * @param {object[]} metrics the metrics
+ * @param {object} context the pipelineId, executionId and action the metrics belong to
+ * @returns {string} the log
+ */
+function toSarif(metrics, { pipelineId, executionId, action }) {
+    const kpis = _.uniq(metrics.map(metric => metric.kpi))
+    const log = {
+        $schema: 'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Cloud Manager',
+                    version,
+                    informationUri: 'https://github.com/adobe/aio-cli-plugin-cloudmanager',
+                    rules: kpis.map(kpi => ({
+                        id: kpi,
+                        name: _.upperFirst(_.camelCase(kpi)),
+                        shortDescription: {
+                            text: formatMetricName(kpi)
+                        }
+                    }))
+                }
+            },
+            automationDetails: {
+                id: `cloudmanager/pipeline${pipelineId}/${action}/execution${executionId}`
+            },
+            results: metrics.filter(metric => !metric.passed).map(metric => _.omitBy({
+                ruleId: metric.kpi,
+                ruleIndex: kpis.indexOf(metric.kpi),
+                level: sarifLevels[metric.severity] || 'warning',
+                message: {
+                    text: describeMetric(metric)
+                },
+                // metrics apply to the project as a whole, but code scanning needs a location,
+                // so results are reported against the project's root pom.xml
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: {
+                            uri: 'pom.xml'
+                        }
+                    }
+                }],
+                suppressions: metric.override ? [{ kind: 'external', justification: 'Overridden in Cloud Manager' }] : undefined
+            }, _.isUndefined))
+        }]
+    }
+    return `${JSON.stringify(log, null, 2)}\n`
+}
+
+const exporters = {
+    junit: toJUnit,
+    sarif: toSarif
+}
+
+module.exports = {
+    exporters,
+    toJUnit,
+    toSarif
+}
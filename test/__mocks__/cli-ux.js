@@ -18,6 +18,8 @@ module.exports = {
             stop: jest.fn()
         },
         info: jest.fn(),
-        open: jest.fn()
+        open: jest.fn(),
+        confirm: jest.fn(),
+        prompt: jest.fn()
     }
 };
@@ -11,6 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const fs = require("fs")
+const crypto = require("crypto")
 const nodeFetch = jest.requireActual('node-fetch');
 const fetchMock = require('fetch-mock').sandbox();
 const { Readable } = require('stream');
@@ -66,10 +67,25 @@ mockResponseWithOrgId('https://cloudmanager.adobe.io/api/programs', 'good', {
         ]
     }
 })
+let flakyAttempts = 0
+mockResponseWithOrgId('https://cloudmanager.adobe.io/api/programs', 'flaky', () => ++flakyAttempts % 2 === 1 ? 503 : { _embedded: { programs: [] } })
+let throttledAttempts = 0
+mockResponseWithOrgId('https://cloudmanager.adobe.io/api/programs', 'throttled', () => ++throttledAttempts % 2 === 1 ? {
+    status: 429,
+    headers: {
+        'Retry-After': '0'
+    }
+} : { _embedded: { programs: [] } })
+mockResponseWithOrgId('https://cloudmanager.adobe.io/api/programs', 'unavailable', 503)
+mockResponseWithOrgId('https://cloudmanager.adobe.io/api/program/unavailable', 'unavailable', 503)
+
 fetchMock.mock('https://cloudmanager.adobe.io/api/program/4', {
     id: "4",
     name: "test0",
     enabled: true,
+    tenantId: "tenant0",
+    type: "aem_cloud_service",
+    createdAt: "2019-08-01T09:10:11.000+0000",
     _links: {
         self: {
             href: '/api/program/4'
@@ -82,12 +98,22 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/4', {
         }
     }
 })
-fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/pipelines', {
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/pipelines', 'GET', {
     _embedded: {
         pipelines: []
     }
 })
-fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environments', {
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/pipelines', 'POST', (url, opts) => {
+    return {
+        status: 201,
+        body: {
+            ...JSON.parse(opts.body),
+            id: "1",
+            status: "IDLE"
+        }
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/environments', 'GET', {
     "_embedded": {
         "environments": [
             {
@@ -102,6 +128,10 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environments', {
                     },
                     "http://ns.adobe.com/adobecloud/rel/developerConsole" : {
                         "href": "https://github.com/adobe/aio-cli-plugin-cloudmanager"
+                    },
+                    "http://ns.adobe.com/adobecloud/rel/variables": {
+                        "href": "/api/program/4/environment/1/variables",
+                        "templated": false
                     }
                 },
                 "id": "1",
@@ -153,6 +183,10 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environments', {
                     "self": {
                         "href": "/api/program/4/environment/2",
                         "templated": false
+                    },
+                    "http://ns.adobe.com/adobecloud/rel/variables": {
+                        "href": "/api/program/4/environment/2/variables",
+                        "templated": false
                     }
                 },
                 "id": "2",
@@ -182,6 +216,95 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environments', {
     "_totalNumberOfItems": 3
 
 })
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/environments', 'POST', (url, opts) => {
+    const body = JSON.parse(opts.body)
+    if (body.name === 'TestProgram_dev') {
+        return {
+            status: 409,
+            body: {
+                title: 'Environment TestProgram_dev already exists'
+            }
+        }
+    }
+    return {
+        status: 201,
+        body: {
+            ...body,
+            id: "4",
+            programId: "4",
+            status: "creating"
+        }
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/environment/3', 'DELETE', 204)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/4/environment/2', 'DELETE', 412)
+
+function variablesResponse(environmentId, variables) {
+    return {
+        "_embedded": {
+            "variables": variables
+        },
+        "_links": {
+            "self": {
+                "href": `/api/program/4/environment/${environmentId}/variables`
+            }
+        }
+    }
+}
+
+function mockVariables(environmentId, environmentVariables) {
+    const url = `https://cloudmanager.adobe.io/api/program/4/environment/${environmentId}/variables`
+    mockResponseWithMethod(url, 'GET', variablesResponse(environmentId, environmentVariables))
+    // variables without a value are deleted, the others set
+    mockResponseWithMethod(url, 'PATCH', (url, options) => {
+        const patch = JSON.parse(options.body)
+        const untouched = environmentVariables.filter(variable => !patch.some(change => change.name === variable.name))
+        return variablesResponse(environmentId, untouched.concat(patch.filter(change => change.value !== undefined).map(change => change.type === 'secretString' ? _.omit(change, 'value') : change)))
+    })
+}
+
+mockVariables("1", [
+    {
+        "name": "KEY",
+        "value": "value",
+        "type": "string"
+    },
+    {
+        "name": "I_AM_A_SECRET",
+        "type": "secretString"
+    },
+    {
+        "name": "API_URL",
+        "value": "https://api.example.com",
+        "type": "string"
+    },
+    {
+        "name": "API_TIMEOUT",
+        "value": "30",
+        "type": "string"
+    }
+])
+mockVariables("2", [
+    {
+        "name": "KEY",
+        "value": "other value",
+        "type": "string"
+    },
+    {
+        "name": "API_URL",
+        "value": "https://api.example.com",
+        "type": "string"
+    },
+    {
+        "name": "API_KEY",
+        "type": "secretString"
+    },
+    {
+        "name": "STAGE_ONLY",
+        "value": "x",
+        "type": "string"
+    }
+])
 
 fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environment/1/logs?service=author&name=aemerror&days=1', {
     "_links": {
@@ -271,6 +394,8 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/4/environment/1/logs?s
     }
 })
 
+fetchMock.mock(/^https:\/\/cloudmanager\.adobe\.io\/api\/program\/4\/environment\/1\/logs\?service=\w+&name=\w+&days=1$/, 404)
+
 fetchMock.mock("https://cloudmanager.adobe.io/api/program/4/environment/1/logs/download?service=author&name=aemerror&date=2019-09-8", {
     "redirect": "https://filestore/logs/author_aemerror_2019-09-8.log.gz"
 })
@@ -278,13 +403,51 @@ fetchMock.mock("https://cloudmanager.adobe.io/api/program/4/environment/1/logs/d
     "redirect": "https://filestore/logs/author_aemerror_2019-09-7.log.gz"
 })
 
-fetchMock.mock("https://filestore/logs/author_aemerror_2019-09-8.log.gz", () => {
-    return new nodeFetch.Response(fs.createReadStream(__dirname + "/file.log.gz"));
+// serves a gzipped log like the file store: HEAD reports its size and checksum, Range resumes a download
+function mockLogFile(url, file, etag) {
+    fetchMock.mock(url, (requestUrl, options) => {
+        const content = fs.readFileSync(file)
+        const headers = {
+            'content-length': String(content.length),
+            'content-md5': crypto.createHash('md5').update(content).digest('base64'),
+            'etag': etag
+        }
+        const requestHeaders = (options && options.headers) || {}
+        if (options && options.method === 'HEAD') {
+            return { headers }
+        }
+        const range = /^bytes=(\d+)-$/.exec(requestHeaders.Range || '')
+        if (range && (!requestHeaders['If-Range'] || requestHeaders['If-Range'] === etag)) {
+            const start = parseInt(range[1], 10)
+            if (start >= content.length) {
+                return { status: 416 }
+            }
+            return new nodeFetch.Response(Readable.from([content.slice(start)]), {
+                status: 206,
+                headers: { ...headers, 'content-length': String(content.length - start) }
+            })
+        }
+        return new nodeFetch.Response(Readable.from([content]), { headers })
+    })
+}
+
+mockLogFile("https://filestore/logs/author_aemerror_2019-09-8.log.gz", __dirname + "/../fixtures/logs/aemerror-archive.log.gz", '"2019-09-8"')
+mockLogFile("https://filestore/logs/author_aemerror_2019-09-7.log.gz", __dirname + "/../fixtures/logs/aemerror-archive.log.gz", '"2019-09-7"')
+
+fetchMock.mock("https://cloudmanager.adobe.io/api/program/4/environment/2/logs/download?service=publish&name=aemerror&date=2019-09-7", {
+    "redirect": "https://filestore/logs/publish_aemerror_2019-09-7.log.gz"
 })
-fetchMock.mock("https://filestore/logs/author_aemerror_2019-09-7.log.gz", () => {
+// the file is truncated, as if the connection dropped
+fetchMock.mock("https://filestore/logs/publish_aemerror_2019-09-7.log.gz", () => {
     return new nodeFetch.Response(fs.createReadStream(__dirname + "/file.log.gz"));
 })
 
+mockResponseWithMethod('https://filestore/logs/author_aemerror_2019-09-8.log', 'HEAD', {
+    headers: {
+        'content-length': '1024'
+    }
+})
+
 fetchMock.mock('https://cloudmanager.adobe.io/api/program/5', {
     id: "5",
     name: "test1",
@@ -298,9 +461,58 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/5', {
         },
         'http://ns.adobe.com/adobecloud/rel/environments': {
             href: '/api/program/5/environments'
+        },
+        'http://ns.adobe.com/adobecloud/rel/repositories': {
+            href: '/api/program/5/repositories'
+        }
+    }
+})
+function repository(programId, id, repo, description) {
+    return {
+        id,
+        repo,
+        description,
+        _links: {
+            self: {
+                href: `/api/program/${programId}/repository/${id}`
+            },
+            'http://ns.adobe.com/adobecloud/rel/branches': {
+                href: `/api/program/${programId}/repository/${id}/branches`
+            }
         }
     }
+}
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/repositories', 'GET', {
+    _embedded: {
+        repositories: [
+            repository("5", "1", "test1-site", "the site")
+        ]
+    },
+    _links: {
+        next: {
+            href: '/api/program/5/repositories?start=1&limit=1'
+        }
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/repositories?start=1&limit=1', 'GET', {
+    _embedded: {
+        repositories: [
+            repository("5", "4", "test1-dispatcher"),
+            repository("5", "7")
+        ]
+    }
 })
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/repository/1/branches', 'GET', {
+    _embedded: {
+        branches: ['yellow', 'develop', 'master', 'feature/new-header'].map(name => ({ name }))
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/repository/4/branches', 'GET', {
+    _embedded: {
+        branches: [{ name: 'develop' }]
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/repository/7/branches', 'GET', 403)
 const pipeline5 = {
     id: "5",
     name: "test1",
@@ -315,6 +527,21 @@ const pipeline5 = {
             "type": "BUILD",
             "repositoryId": "1",
             "branch": "yellow"
+        },
+        {
+            "name": "DEPLOY_STAGE",
+            "type": "DEPLOY",
+            "environmentId": "2",
+            "environmentType": "stage"
+        },
+        {
+            "name": "DEPLOY_PROD",
+            "type": "DEPLOY",
+            "environmentId": "1",
+            "environmentType": "prod",
+            "approval": true,
+            "scheduled": false,
+            "cseOversight": false
         }
     ],
     _links: {
@@ -330,7 +557,17 @@ const pipeline5 = {
         }
     }
 }
-fetchMock.mock('https://cloudmanager.adobe.io/api/program/5/pipelines', {
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipelines', 'POST', (url, opts) => {
+    return {
+        status: 201,
+        body: {
+            ...JSON.parse(opts.body),
+            id: "8",
+            status: "IDLE"
+        }
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipelines', 'GET', {
     _embedded: {
         pipelines: [
             pipeline5,
@@ -359,6 +596,9 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/5/pipelines', {
                     self: {
                         href: '/api/program/5/pipeline/7'
                     },
+                    'http://ns.adobe.com/adobecloud/rel/executions': {
+                        href: '/api/program/5/pipeline/7/executions'
+                    },
                     'http://ns.adobe.com/adobecloud/rel/execution': {
                         href: '/api/program/5/pipeline/7/execution'
                     },
@@ -378,6 +618,12 @@ mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/5/e
         location: 'https://cloudmanager.adobe.io/api/program/4/pipeline/8555/execution/12742'
     }
 });
+let executionsForPipeline5 = []
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/5/execution/12742', 'GET', () => executionsForPipeline5.length > 1 ? executionsForPipeline5.shift() : executionsForPipeline5[0])
+
+fetchMock.setPipeline5Executions = function(executions) {
+    executionsForPipeline5 = executions
+}
 fetchMock.mock('https://cloudmanager.adobe.io/api/program/5/environments', {
     _embedded: {
         environments: []
@@ -387,11 +633,11 @@ mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/5',
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/5', 'PATCH', (url, opts) => {
     const parsed = JSON.parse(opts.body)
     const newPipeline = _.cloneDeep(pipeline5)
-    const buildPhase = newPipeline.phases.find(phase => phase.type === 'BUILD')
-    buildPhase.branch = parsed.phases[0].branch
-    if (parsed.phases[0].repositoryId) {
-        buildPhase.repositoryId = parsed.phases[0].repositoryId
-    }
+    _.assign(newPipeline, _.omit(parsed, 'phases'))
+    ;(parsed.phases || []).forEach(patchPhase => {
+        const phase = newPipeline.phases.find(phase => phase.name === patchPhase.name)
+        _.assign(phase, patchPhase)
+    })
     return newPipeline
 })
 
@@ -411,10 +657,25 @@ fetchMock.mock('https://cloudmanager.adobe.io/api/program/6', {
         },
         'http://ns.adobe.com/adobecloud/rel/environments': {
             href: '/api/program/6/environments'
+        },
+        'http://ns.adobe.com/adobecloud/rel/repositories': {
+            href: '/api/program/6/repositories'
         }
     }
 })
 fetchMock.mock('https://cloudmanager.adobe.io/api/program/6/pipelines', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/6/repositories', 'GET', {
+    _embedded: {
+        repositories: [
+            repository("6", "1", "test2-site")
+        ]
+    }
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/6/repository/1/branches', 'GET', {
+    _embedded: {
+        branches: [{ name: 'feature/new-header' }]
+    }
+})
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/6/environments', 'GET', 404)
 
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1001', 'GET', require('./data/execution1001.json'))
@@ -424,6 +685,32 @@ mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/e
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1001/phase/4596/step/8493/metrics', 'GET', require('./data/metrics.json'))
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1001/phase/4597/step/8494/metrics', 'GET', {})
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1001/phase/4597/step/8495/metrics', 'GET', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010', 'GET', require('./data/execution1010.json'))
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4596/step/8493/metrics', 'GET', require('./data/metrics-before.json'))
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4597/step/8494/metrics', 'GET', {
+    metrics: [
+        { id: '70001', severity: 'critical', passed: true, override: false, actualValue: 'true', expectedValue: 'true', comparator: 'EQ', kpi: 'security_health_check' }
+    ]
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4597/step/8495/metrics', 'GET', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4596/step/8493/report/issues', 'GET', {
+    redirect: 'https://filestore/reports/1010/issues.csv'
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4596/step/8493/report/1', 'GET', {
+    redirect: 'https://filestore/reports/1010/code-quality.zip'
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4597/step/8495/report/security', 'GET', {
+    redirect: 'https://filestore/reports/1010/security-tests.csv'
+})
+fetchMock.mock('https://filestore/reports/1010/issues.csv', () => {
+    return new nodeFetch.Response(Readable.from(['rule,severity,file\nsquid:S1192,MINOR,core/src/main/java/Foo.java\n']));
+})
+fetchMock.mock('https://filestore/reports/1010/code-quality.zip', () => {
+    return new nodeFetch.Response(Readable.from(['PK']));
+})
+fetchMock.mock('https://filestore/reports/1010/security-tests.csv', () => {
+    return new nodeFetch.Response(Readable.from(['test,passed\nDispatcher Configuration,true\n']));
+})
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1001/phase/4596/step/8493/logs', 'GET', {
     redirect: 'https://somesite.com/log.txt'
 })
@@ -441,10 +728,25 @@ const pipeline7Executions = {
     "1001": require(`./data/execution1001.json`),
     "1005": require('./data/execution1005.json'),
     "1006": require('./data/execution1006.json'),
-    "1007": require('./data/execution1007.json')
+    "1007": require('./data/execution1007.json'),
+    "1008": require('./data/execution1008.json'),
+    "1009": require('./data/execution1009.json')
 }
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution', 'GET', () => pipeline7Executions[executionForPipeline7])
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/executions', 'GET', require('./data/executions-page1.json'))
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/executions?start=3&limit=3', 'GET', require('./data/executions-page2.json'))
 mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1006/phase/4596/step/8493/metrics', 'GET', require('./data/metrics.json'))
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8565/step/15483/metrics', 'GET', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8565/step/15484/metrics', 'GET', require('./data/metrics.json'))
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8566/step/15485/metrics', 'GET', {})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8566/step/15486/metrics', 'GET', {
+    metrics: [
+        { kpi: 'security_health_check', severity: 'critical', passed: true, override: false }
+    ]
+})
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8566/step/15487/metrics', 'GET', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8566/step/15488/metrics', 'GET', 404)
+mockResponseWithMethod('https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1007/phase/8566/step/15489/metrics', 'GET', 404)
 
 fetchMock.setPipeline7Execution = function(id) {
     executionForPipeline7 = id
@@ -469,6 +771,16 @@ fetchMock.mock((url, opts) => url === 'https://cloudmanager.adobe.io/api/program
     202, {
         name: 'advance-1007'
     });
+fetchMock.mock((url, opts) => url === 'https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1008/phase/8567/step/15490/advance' &&
+        opts.method === 'PUT',
+    202, {
+        name: 'schedule-1008'
+    });
+fetchMock.mock((url, opts) => url === 'https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1009/phase/8567/step/15490/advance' &&
+        opts.method === 'PUT',
+    202, {
+        name: 'schedule-1009'
+    });
 fetchMock.mock((url, opts) => url === 'https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1006/phase/4596/step/8493/advance' &&
         opts.method === 'PUT' && JSON.parse(opts.body).metrics.length === 1 && JSON.parse(opts.body).metrics[0].override === true,
     202, {
@@ -0,0 +1,123 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const Client = require('../src/client')
+
+beforeEach(() => {
+    setStore({
+        cloudmanager: JSON.stringify({
+            retry_delay: 1
+        })
+    })
+})
+
+function calls(name) {
+    return fetchMock.calls().filter(call => call.identifier === name)
+}
+
+function callCount(name) {
+    return calls(name).length
+}
+
+test('client - retries transient gateway errors', async () => {
+    expect.assertions(2)
+
+    const before = callCount('https://cloudmanager.adobe.io/api/programs-org-id-flaky')
+    const result = await new Client('flaky', 'token', 'key').listPrograms()
+    expect(result).toEqual([])
+    expect(callCount('https://cloudmanager.adobe.io/api/programs-org-id-flaky') - before).toEqual(2)
+})
+
+test('client - honors Retry-After for throttled requests', async () => {
+    expect.assertions(2)
+
+    const before = callCount('https://cloudmanager.adobe.io/api/programs-org-id-throttled')
+    const result = await new Client('throttled', 'token', 'key').listPrograms()
+    expect(result).toEqual([])
+    expect(callCount('https://cloudmanager.adobe.io/api/programs-org-id-throttled') - before).toEqual(2)
+})
+
+test('client - gives up after max retries', async () => {
+    setStore({
+        cloudmanager: JSON.stringify({
+            retry_delay: 1,
+            max_retries: 2
+        })
+    })
+
+    expect.assertions(2)
+
+    const before = callCount('https://cloudmanager.adobe.io/api/programs-org-id-unavailable')
+    await expect(new Client('unavailable', 'token', 'key').listPrograms()).rejects.toEqual(new Error('Cannot retrieve programs: https://cloudmanager.adobe.io/api/programs (503 Service Unavailable)'))
+    expect(callCount('https://cloudmanager.adobe.io/api/programs-org-id-unavailable') - before).toEqual(3)
+})
+
+test('client - does not retry non-idempotent methods', async () => {
+    expect.assertions(2)
+
+    const before = callCount('https://cloudmanager.adobe.io/api/program/unavailable-org-id-unavailable')
+    const res = await new Client('unavailable', 'token', 'key').patch('/api/program/unavailable', {})
+    expect(res.status).toEqual(503)
+    expect(callCount('https://cloudmanager.adobe.io/api/program/unavailable-org-id-unavailable') - before).toEqual(1)
+})
+
+test('client - sends request id and timeout', async () => {
+    setStore({
+        cloudmanager: JSON.stringify({
+            request_timeout: '5000'
+        })
+    })
+
+    expect.assertions(2)
+
+    await new Client('empty', 'token', 'key').listPrograms()
+    const options = calls('https://cloudmanager.adobe.io/api/programs-org-id-empty').pop()[1]
+    expect(options.headers['x-request-id']).toMatch(/^[0-9a-f]{32}$/)
+    expect(options.timeout).toEqual(5000)
+})
+
+test('client - tails every log of an environment which can be tailed', async () => {
+    const liveStream = jest.spyOn(Client.prototype, '_getLiveStream').mockResolvedValue()
+    const writeStreamFor = jest.fn(() => 'stream')
+
+    expect.assertions(2)
+
+    await new Client('good', 'token', 'key').tailLogs('4', [{ environmentId: '1', service: 'all' }], writeStreamFor)
+    const liveStreamCalls = liveStream.mock.calls
+    liveStream.mockRestore()
+
+    expect(writeStreamFor.mock.calls).toEqual([[{ environmentId: '1', service: 'author', name: 'aemerror' }]])
+    expect(liveStreamCalls[0].slice(2)).toEqual(['author', 'aemerror', 'https://filestore/logs/author_aemerror_2019-09-8.log', '1024', 'stream'])
+})
+
+test('client - tails no logs if one cannot be tailed', async () => {
+    const liveStream = jest.spyOn(Client.prototype, '_getLiveStream').mockResolvedValue()
+
+    expect.assertions(2)
+
+    const result = new Client('good', 'token', 'key').tailLogs('4', [
+        { environmentId: '1', service: 'author', name: 'aemerror' },
+        { environmentId: '1', service: 'publish', name: 'aemerror' }
+    ], () => 'stream')
+    await expect(result).rejects.toEqual(new Error('No logs for tailing available in 1 for program 4'))
+    expect(liveStream).not.toHaveBeenCalled()
+    liveStream.mockRestore()
+})
+
+test('client - tails no logs if an environment has none', async () => {
+    expect.assertions(1)
+
+    const result = new Client('good', 'token', 'key').tailLogs('4', [{ environmentId: '3', service: 'all' }], () => 'stream')
+    await expect(result).rejects.toEqual(new Error('No logs for tailing available in 3 for program 4'))
+})
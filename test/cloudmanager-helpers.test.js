@@ -11,7 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const Config = require('@adobe/aio-lib-core-config')
-const {getApiKey, getOrgId, isWithinFiveMinutesOfUTCMidnight} = require('../src/cloudmanager-helpers')
+const {formatDeploymentWindow, formatDuration, getAccessToken, getAccessTokenUser, getApiKey, getDeploymentWindow, getFailedStep, getOrgId, getOverrideDenyList, getRetryPolicy, isOverrideDenied, isWithinDeploymentWindow, isWithinFiveMinutesOfUTCMidnight, mapWithConcurrency, tableOptions} = require('../src/cloudmanager-helpers')
 
 beforeEach(() => {
     jest.clearAllMocks()
@@ -64,6 +64,23 @@ test('getApiKey', async () => {
     await expect(getOrgId()).resolves.toEqual('...')
   })
 
+  test('getRetryPolicy', async () => {
+    expect.assertions(2)
+
+    // defaults
+    jest.spyOn(Config, 'get').mockImplementation(() => null)
+    await expect(getRetryPolicy()).resolves.toEqual({ maxRetries: 3, retryDelay: 1000, maxRetryDelay: 30000, requestTimeout: 60000 })
+
+    // configured, with values which are not numbers
+    jest.spyOn(Config, 'get').mockImplementation(() => JSON.stringify({
+        max_retries: '5',
+        retry_delay: 'abc',
+        max_retry_delay: '',
+        request_timeout: 0
+    }))
+    await expect(getRetryPolicy()).resolves.toEqual({ maxRetries: 5, retryDelay: 1000, maxRetryDelay: 30000, requestTimeout: 0 })
+  })
+
   test('isWithinFiveMinutesOfUTCMidnight', async () => {
     const utcDate1 = new Date(Date.UTC(2019, 9, 12, 23, 55, 14));
     expect(isWithinFiveMinutesOfUTCMidnight(utcDate1)).toEqual(true)
@@ -74,3 +91,97 @@ test('getApiKey', async () => {
     const utcDate4 = new Date(Date.UTC(2019, 9, 12, 0, 6, 0));
     expect(isWithinFiveMinutesOfUTCMidnight(utcDate4)).toEqual(false)
   })
+
+  test('tableOptions', async () => {
+    const printLine = () => {}
+    expect(tableOptions({}, printLine)).toEqual({ printLine, output: undefined, columns: undefined, sort: undefined })
+    expect(tableOptions({ json: true }, printLine).output).toEqual('json')
+    expect(tableOptions({ yaml: true }, printLine).output).toEqual('yaml')
+    expect(tableOptions({ csv: true, columns: 'id,name', sort: '-id' }, printLine)).toEqual({ printLine, output: 'csv', columns: 'id,name', sort: '-id' })
+  })
+
+  test('getAccessTokenUser', async () => {
+    const token = payload => `eyJhbGciOiJSUzI1NiJ9.${Buffer.from(JSON.stringify(payload)).toString('base64')}.c2lnbmF0dXJl`
+    expect(getAccessTokenUser(token({ user_id: '1234@techacct.adobe.com', client_id: 'abcd' }))).toEqual('1234@techacct.adobe.com')
+    expect(getAccessTokenUser(token({ client_id: 'abcd' }))).toEqual('abcd')
+    expect(() => getAccessTokenUser(token({ type: 'access_token' }))).toThrow('The access token does not identify a user')
+    expect(() => getAccessTokenUser('not-a-jwt')).toThrow('The access token does not identify a user')
+    jest.spyOn(Config, 'get').mockImplementation(() => JSON.stringify({ base_url: 'http://localhost:3000' }))
+    expect(getAccessTokenUser(await getAccessToken())).toEqual('local')
+  })
+
+  test('formatDuration', async () => {
+    expect(formatDuration('2019-09-09T10:00:00.000+0000', '2019-09-09T10:12:00.000+0000')).toEqual('12 minutes')
+    expect(formatDuration('2019-09-09T10:00:00.000+0000', undefined)).toEqual('')
+  })
+
+  test('getFailedStep', async () => {
+    const failed = { action: 'build', status: 'FAILED' }
+    expect(getFailedStep({ _embedded: { stepStates: [{ action: 'validate', status: 'FINISHED' }, failed] } })).toBe(failed)
+    expect(getFailedStep({ _embedded: { stepStates: [{ action: 'validate', status: 'FINISHED' }] } })).toBeNull()
+    expect(getFailedStep({})).toBeNull()
+  })
+
+  test('getOverrideDenyList', async () => {
+    jest.spyOn(Config, 'get').mockImplementation(() => undefined)
+    await expect(getOverrideDenyList()).resolves.toEqual([])
+    jest.spyOn(Config, 'get').mockImplementation(() => JSON.stringify({ override_deny_list: 'security_rating, reliability_*,' }))
+    await expect(getOverrideDenyList()).resolves.toEqual(['security_rating', 'reliability_*'])
+    jest.spyOn(Config, 'get').mockImplementation(() => ({ override_deny_list: ['coverage'] }))
+    await expect(getOverrideDenyList()).resolves.toEqual(['coverage'])
+  })
+
+  test('isOverrideDenied', async () => {
+    expect(isOverrideDenied({ kpi: 'security_rating' }, ['security_*'])).toEqual(true)
+    expect(isOverrideDenied({ kpi: 'security_rating' }, ['security'])).toEqual(false)
+    expect(isOverrideDenied({ kpi: 'coverage' }, ['security_*', 'coverage'])).toEqual(true)
+    expect(isOverrideDenied({ kpi: 'line.coverage' }, ['line_coverage'])).toEqual(false)
+    expect(isOverrideDenied({ kpi: 'coverage' }, [])).toEqual(false)
+  })
+
+  test('getDeploymentWindow', async () => {
+    jest.spyOn(Config, 'get').mockImplementation(() => undefined)
+    await expect(getDeploymentWindow()).resolves.toBeNull()
+    jest.spyOn(Config, 'get').mockImplementation(() => JSON.stringify({ deployment_window: { days: 'Sat, Sun', start: '22:00', end: '04:00' } }))
+    await expect(getDeploymentWindow()).resolves.toEqual({ days: ['Sat', 'Sun'], start: '22:00', end: '04:00' })
+    jest.spyOn(Config, 'get').mockImplementation(() => ({ deployment_window: '{ "start": "01:00", "end": "03:00" }' }))
+    await expect(getDeploymentWindow()).resolves.toEqual({ days: [], start: '01:00', end: '03:00' })
+  })
+
+  test('isWithinDeploymentWindow', async () => {
+    const weekend = { days: ['Sat', 'Sun'], start: '22:00', end: '04:00' }
+    // 2099-01-03 is a Saturday
+    expect(isWithinDeploymentWindow('2099-01-03T22:00:00Z', weekend)).toEqual(true)
+    expect(isWithinDeploymentWindow('2099-01-03T21:59:00Z', weekend)).toEqual(false)
+    expect(isWithinDeploymentWindow('2099-01-05T03:59:00Z', weekend)).toEqual(true)
+    expect(isWithinDeploymentWindow('2099-01-05T04:00:00Z', weekend)).toEqual(false)
+    expect(isWithinDeploymentWindow('2099-01-05T22:30:00Z', weekend)).toEqual(false)
+    expect(isWithinDeploymentWindow('2099-01-05T23:30:00+02:00', weekend)).toEqual(false)
+    expect(isWithinDeploymentWindow('2099-01-04T01:30:00+02:00', weekend)).toEqual(true)
+
+    const daily = { days: [], start: '01:00', end: '03:00' }
+    expect(isWithinDeploymentWindow('2099-01-07T02:00:00Z', daily)).toEqual(true)
+    expect(isWithinDeploymentWindow('2099-01-07T03:00:00Z', daily)).toEqual(false)
+
+    expect(() => isWithinDeploymentWindow('2099-01-07T02:00:00Z', { days: [], start: '1am', end: '03:00' })).toThrow('cloudmanager.deployment_window times should be in the format HH:mm. Value provided was 1am')
+  })
+
+  test('formatDeploymentWindow', async () => {
+    expect(formatDeploymentWindow({ days: ['Sat', 'Sun'], start: '22:00', end: '04:00' })).toEqual('Sat,Sun 22:00-04:00 UTC')
+    expect(formatDeploymentWindow({ days: [], start: '01:00', end: '03:00' })).toEqual('01:00-03:00 UTC')
+  })
+
+  test('mapWithConcurrency', async () => {
+    let running = 0
+    let maxRunning = 0
+    const results = await mapWithConcurrency([30, 10, 20, 0, 10], 2, async (delay, index) => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      running--
+      return index * 2
+    })
+    expect(results).toEqual([0, 2, 4, 6, 8])
+    expect(maxRunning).toEqual(2)
+    await expect(mapWithConcurrency([], 3, async () => 1)).resolves.toEqual([])
+  })
@@ -32,7 +32,7 @@ test('advance-current-execution - missing config', async () => {
 
     let runResult = AdvanceCurrentExecution.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
 })
 
@@ -50,7 +50,7 @@ test('advance-current-execution - bad pipeline', async () => {
 
     let runResult = AdvanceCurrentExecution.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot get execution. Pipeline 10 does not exist.")
 })
 
@@ -69,7 +69,7 @@ test('advance-current-execution - build running', async () => {
 
     let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot find a waiting step for pipeline 7")
 })
 
@@ -110,3 +110,128 @@ test('advance-current-execution - approval waiting', async () => {
     await expect(runResult).resolves.toEqual({})
     await expect(fetchMock.called('advance-1007')).toBe(true)
 })
+
+function setConfig(cloudmanager) {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager': JSON.stringify(cloudmanager || {})
+    })
+}
+
+test('advance-current-execution - code quality waiting prints overridden metrics', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1006")
+    const log = jest.spyOn(AdvanceCurrentExecution.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7"])
+    await expect(runResult).resolves.toEqual({})
+    await expect(log.mock.calls.map(call => call[0])).toEqual([
+        "overrode 1 metric:",
+        "  reliability_rating (expected GTE C, actual D)"
+    ])
+    log.mockRestore()
+    await expect(fetchMock.called('advance-1006')).toBe(true)
+})
+
+test('advance-current-execution - code quality waiting with selected metric', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1006")
+
+    expect.assertions(2)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--metric", "reliability_rating"])
+    await expect(runResult).resolves.toEqual({})
+    await expect(JSON.parse(fetchMock.lastOptions('advance-1006').body).metrics.map(metric => metric.kpi)).toEqual(['reliability_rating'])
+})
+
+test('advance-current-execution - code quality waiting with metric which has not failed', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1006")
+
+    expect.assertions(2)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--metric", "coverage"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Metric coverage has not failed. Failed metrics are reliability_rating")
+})
+
+test('advance-current-execution - code quality waiting with denied metric', async () => {
+    setConfig({
+        override_deny_list: 'security_*, reliability_*'
+    })
+    fetchMock.setPipeline7Execution("1006")
+
+    expect.assertions(2)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Metrics reliability_rating cannot be overridden as they match the override deny list")
+})
+
+test('advance-current-execution - code quality waiting with denied metric selected', async () => {
+    setConfig({
+        override_deny_list: ['reliability_rating']
+    })
+    fetchMock.setPipeline7Execution("1006")
+
+    expect.assertions(2)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--metric", "reliability_rating"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Metrics reliability_rating cannot be overridden as they match the override deny list")
+})
+
+test('advance-current-execution - code quality waiting, interactive', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1006")
+    cli.confirm.mockResolvedValueOnce(true)
+
+    expect.assertions(3)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--interactive"])
+    await expect(runResult).resolves.toEqual({})
+    await expect(cli.confirm.mock.calls[0][0]).toBe("Override reliability_rating (expected GTE C, actual D)? (y/n)")
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("advanced")
+})
+
+test('advance-current-execution - code quality waiting, interactive, nothing confirmed', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1006")
+    cli.confirm.mockResolvedValueOnce(false)
+
+    expect.assertions(2)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "-i"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("No metrics were selected to override")
+})
+
+test('advance-current-execution - code quality waiting, interactive with denied metric', async () => {
+    setConfig({
+        override_deny_list: ['reliability_rating']
+    })
+    fetchMock.setPipeline7Execution("1006")
+    const log = jest.spyOn(AdvanceCurrentExecution.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--interactive"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.confirm.mock.calls.length).toBe(0)
+    await expect(log.mock.calls[0][0]).toBe("reliability_rating (expected GTE C, actual D) cannot be overridden")
+    log.mockRestore()
+})
+
+test('advance-current-execution - metric and interactive are exclusive', async () => {
+    expect.assertions(1)
+
+    let runResult = AdvanceCurrentExecution.run(["--programId", "5", "7", "--interactive", "--metric", "coverage"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("cannot also be provided when using") > 0)
+})
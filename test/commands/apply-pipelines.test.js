@@ -0,0 +1,165 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const path = require('path')
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ApplyPipelinesCommand = require('../../src/commands/cloudmanager/apply-pipelines')
+
+const fixture = name => path.join(__dirname, '../fixtures/pipelines', name)
+
+function setGoodStore() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
+beforeEach(() => {
+    setStore({})
+    jest.restoreAllMocks()
+})
+
+test('apply-pipelines - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run([])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('apply-pipelines - missing file', async () => {
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('does-not-exist.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2 && err.message.indexOf(`Cannot read pipeline definition ${fixture('does-not-exist.yaml')}`) === 0)
+})
+
+test('apply-pipelines - invalid file', async () => {
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error(`Invalid pipelines file ${fixture('pipeline.yaml')}:
+  the file must contain a list of pipelines`))
+})
+
+test('apply-pipelines - wrong program', async () => {
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "4", fixture('program5-pipelines.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error(`${fixture('program5-pipelines.yaml')} contains the pipelines of program 5, not 4`))
+})
+
+test('apply-pipelines - missing config', async () => {
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error('missing config data: jwt-auth'))
+})
+
+test('apply-pipelines - unknown pipeline', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines-unknown-pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13 && err.message === 'Pipeline 99 does not exist. New pipelines can be created with create-pipeline.')
+})
+
+test('apply-pipelines - unknown phase', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines-unknown-phase.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error('Pipeline 5 does not have a phase DEPLOY_DEV. Phases cannot be added or removed by apply-pipelines.'))
+})
+
+test('apply-pipelines - up to date', async () => {
+    setGoodStore()
+
+    const log = jest.spyOn(ApplyPipelinesCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(4)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines-current.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toEqual([])
+    await expect(log.mock.calls).toEqual([['pipelines are up to date']])
+    await expect(cli.action.start.mock.calls.length).toBe(0)
+})
+
+test('apply-pipelines - dry run', async () => {
+    setGoodStore()
+
+    const log = jest.spyOn(ApplyPipelinesCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(4)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", "--dryRun", fixture('program5-pipelines.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject([{
+        id: "5",
+        patch: {
+            trigger: "ON_COMMIT",
+            phases: [{
+                name: "BUILD_1",
+                type: "BUILD",
+                repositoryId: "1",
+                branch: "develop"
+            }]
+        }
+    }])
+    await expect(log.mock.calls).toEqual([
+        ['pipeline 5 (test1):'],
+        ['  trigger: (not set) -> "ON_COMMIT"'],
+        ['  phases[BUILD_1].branch: "yellow" -> "develop"']
+    ])
+    await expect(cli.action.start.mock.calls.length).toBe(0)
+})
+
+test('apply-pipelines - success', async () => {
+    setGoodStore()
+
+    jest.spyOn(ApplyPipelinesCommand.prototype, 'log').mockImplementation(() => {})
+    const patchPipeline = jest.spyOn(ApplyPipelinesCommand.prototype, 'patchPipeline')
+
+    expect.assertions(4)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject([{ id: "5" }])
+    await expect(patchPipeline.mock.calls.length).toBe(1)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("updated pipeline ID 5")
+})
+
+test('apply-pipelines - unknown branch', async () => {
+    setGoodStore()
+
+    jest.spyOn(ApplyPipelinesCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    let runResult = ApplyPipelinesCommand.run(["--programId", "5", fixture('program5-pipelines-unknown-branch.yaml')])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Branch does-not-exist does not exist in repository 1. The branches can be listed with list-branches 1")
+})
@@ -0,0 +1,172 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const Approve = require('../../src/commands/cloudmanager/approve')
+
+const auditLog = path.join(os.tmpdir(), `approve-audit-${process.pid}`, 'audit.log')
+
+function setConfig() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager': JSON.stringify({
+            audit_log: auditLog
+        })
+    })
+}
+
+beforeEach(() => {
+    setStore({})
+    jest.restoreAllMocks()
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+    }
+})
+
+afterAll(() => {
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+        fs.rmdirSync(path.dirname(auditLog))
+    }
+})
+
+test('approve - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = Approve.run([])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('approve - missing message', async () => {
+    expect.assertions(2)
+
+    let runResult = Approve.run(["--programId", "5", "7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing required flag") === 0)
+})
+
+test('approve - blank message', async () => {
+    setConfig()
+
+    expect.assertions(2)
+
+    let runResult = Approve.run(["--programId", "5", "7", "--message", "  "])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error("A message explaining the decision is required"))
+})
+
+test('approve - not waiting for approval', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1005")
+
+    expect.assertions(3)
+
+    let runResult = Approve.run(["--programId", "5", "7", "-m", "looks good"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14 && err.message === "Execution 1005 of pipeline 7 is not waiting for approval")
+    await expect(fs.existsSync(auditLog)).toBe(false)
+})
+
+test('approve - success', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1007")
+    const log = jest.spyOn(Approve.prototype, 'log').mockImplementation(() => {})
+    cli.confirm.mockResolvedValue(true)
+
+    expect.assertions(10)
+
+    let runResult = Approve.run(["--programId", "5", "7", "-m", "verified on stage"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        user: '1234@techacct.adobe.com',
+        orgId: 'good',
+        programId: '5',
+        pipelineId: '7',
+        executionId: '1007',
+        stepId: '15490',
+        decision: 'approved',
+        message: 'verified on stage'
+    })
+    await expect(fetchMock.called('advance-1007')).toBe(true)
+    await expect(log.mock.calls[0][0]).toMatch(/^Execution 1007 of pipeline 7 has been waiting for approval to deploy to prod \(weretail-global-b61e-01-prod\) since /)
+    await expect(log.mock.calls[1][0]).toBe("Artifacts version 2019.708.234050.000001007 built from branch master of repository weretail")
+    await expect(cli.table.mock.calls[0][0].map(qualityGate => qualityGate.action)).toEqual(['codeQuality', 'securityTest'])
+    const columns = cli.table.mock.calls[0][1]
+    await expect(['passed', 'failed', 'overridden'].map(column => columns[column].get(cli.table.mock.calls[0][0][0]))).toEqual([5, 2, 1])
+    await expect(cli.confirm.mock.calls[0][0]).toBe("Approve execution 1007? (y/n)")
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("approved execution 1007")
+
+    const entries = fs.readFileSync(auditLog, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    await expect(entries).toEqual([await runResult])
+})
+
+test('approve - execution changed', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1007")
+    jest.spyOn(Approve.prototype, 'log').mockImplementation(() => {})
+    jest.spyOn(Approve.prototype, 'getPendingApproval').mockImplementation(async () => ({
+        execution: { id: '1006' },
+        step: { stepId: '8493', environmentType: 'prod' },
+        commit: {},
+        qualityGates: []
+    }))
+
+    expect.assertions(4)
+
+    let runResult = Approve.run(["--programId", "5", "7", "-m", "verified on stage", "--yes"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Execution 1006 is no longer the current execution of pipeline 7")
+    // the decision is recorded before it is sent, and its failure after
+    await expect(fs.readFileSync(auditLog, 'utf8').trim().split('\n').map(line => JSON.parse(line))).toMatchObject([
+        { user: '1234@techacct.adobe.com', executionId: '1006', decision: 'approved', message: 'verified on stage' },
+        { user: '1234@techacct.adobe.com', executionId: '1006', decision: 'approval failed', message: 'Execution 1006 is no longer the current execution of pipeline 7' }
+    ])
+})
+
+test('approve - not confirmed', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1007")
+    jest.spyOn(Approve.prototype, 'log').mockImplementation(() => {})
+    const decideApproval = jest.spyOn(Approve.prototype, 'decideApproval')
+    cli.confirm.mockResolvedValue(false)
+
+    expect.assertions(3)
+
+    let runResult = Approve.run(["--programId", "5", "7", "-m", "verified on stage"])
+    await expect(runResult).rejects.toEqual(new Error("Execution 1007 was not approved"))
+    await expect(decideApproval).not.toHaveBeenCalled()
+    await expect(fs.existsSync(auditLog)).toBe(false)
+})
+
+test('approve - quality gates as json', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1007")
+    jest.spyOn(Approve.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    await Approve.run(["--programId", "5", "7", "-m", "verified on stage", "--yes", "--json"])
+    await expect(cli.table.mock.calls[0][2].output).toBe('json')
+    await expect(cli.confirm).not.toHaveBeenCalled()
+})
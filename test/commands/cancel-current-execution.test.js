@@ -32,7 +32,7 @@ test('cancel-current-execution - missing config', async () => {
 
     let runResult = CancelCurrentExecution.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
 })
 
@@ -50,7 +50,7 @@ test('cancel-current-execution - bad pipeline', async () => {
 
     let runResult = CancelCurrentExecution.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot get execution. Pipeline 10 does not exist.")
 })
 
@@ -0,0 +1,81 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const CompareQualityGates = require('../../src/commands/cloudmanager/compare-quality-gates')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        })
+    })
+    jest.restoreAllMocks()
+})
+
+test('compare-quality-gates - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = CompareQualityGates.run(["7", "1010"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('compare-quality-gates - bad execution', async () => {
+    expect.assertions(1)
+
+    let runResult = CompareQualityGates.run(["--programId", "5", "5", "1002", "1010"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+})
+
+test('compare-quality-gates - success', async () => {
+    const log = jest.spyOn(CompareQualityGates.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(7)
+
+    let runResult = CompareQualityGates.run(["--programId", "5", "7", "1010", "1001"])
+    const result = await runResult
+    expect(log.mock.calls[0][0]).toBe("Execution 1010 -> 1001: 2 regressions, 1 fixed, 2 threshold changes")
+    expect(result.map(item => [item.gate, item.kpi, item.severity, item.change])).toEqual([
+        ['codeQuality', 'coverage', 'important', 'threshold changed'],
+        ['codeQuality', 'security_rating', 'important', 'unchanged'],
+        ['codeQuality', 'duplicated_lines_density', 'informational', 'added'],
+        ['codeQuality', 'security_rating', 'critical', 'unchanged'],
+        ['codeQuality', 'skipped_tests', 'informational', 'regression'],
+        ['codeQuality', 'open_issues', 'informational', 'threshold changed'],
+        ['codeQuality', 'sqale_rating', 'important', 'fixed'],
+        ['codeQuality', 'reliability_rating', 'important', 'regression'],
+        ['codeQuality', 'code_smells', 'informational', 'removed'],
+        ['security', 'security_health_check', 'critical', 'removed']
+    ])
+
+    const columns = cli.table.mock.calls[0][1]
+    const coverage = result[0]
+    expect(columns.delta.get(coverage)).toBe('-12')
+    expect(columns.threshold.get(coverage)).toBe('GTE 60 -> GTE 50')
+    expect(columns.before.get(result[2])).toBe('')
+    expect(columns.change.get(result[7])).toContain('regression')
+    expect(columns.threshold.get(result[1])).toBe('EQ A')
+})
+
+test('compare-quality-gates - csv', async () => {
+    expect.assertions(2)
+
+    const result = await CompareQualityGates.run(["--programId", "5", "7", "1010", "1001", "--csv"])
+    const columns = cli.table.mock.calls[0][1]
+    expect(columns.change.get(result[7])).toBe('regression')
+    expect(cli.table.mock.calls[0][2].output).toBe('csv')
+})
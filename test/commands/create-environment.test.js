@@ -0,0 +1,68 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const CreateEnvironmentCommand = require('../../src/commands/cloudmanager/create-environment')
+
+const environmentsUrl = 'https://cloudmanager.adobe.io/api/program/4/environments'
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    cli.action.stop.mockClear()
+})
+
+test('create-environment - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = CreateEnvironmentCommand.run(["--programId", "4", "--type", "dev", "--region", "va7"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('create-environment - bad type', async () => {
+    expect.assertions(1)
+
+    let runResult = CreateEnvironmentCommand.run(["--programId", "4", "feature", "--type", "qa", "--region", "va7"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Expected --type=qa to be one of: dev, stage, prod") === 0)
+})
+
+test('create-environment - missing region', async () => {
+    expect.assertions(1)
+
+    let runResult = CreateEnvironmentCommand.run(["--programId", "4", "feature", "--type", "dev"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing required flag") === 0)
+})
+
+test('create-environment - name taken', async () => {
+    expect.assertions(2)
+
+    let runResult = CreateEnvironmentCommand.run(["--programId", "4", "TestProgram_dev", "--type", "dev", "--region", "va7"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
+    expect(cli.action.stop.mock.calls[0][0]).toBe('Cannot create environment: https://cloudmanager.adobe.io/api/program/4/environments (409 Conflict)')
+})
+
+test('create-environment - success', async () => {
+    expect.assertions(3)
+
+    const result = await CreateEnvironmentCommand.run(["--programId", "4", "feature", "--type", "dev", "--region", "va7", "--description", "feature environment"])
+    expect(JSON.parse(fetchMock.lastOptions(environmentsUrl, { method: 'POST' }).body)).toEqual({ name: 'feature', type: 'dev', region: 'va7', description: 'feature environment' })
+    expect(result).toMatchObject({ id: '4', name: 'feature', status: 'creating' })
+    expect(cli.action.stop.mock.calls[0][0]).toBe('created environment ID 4, which is creating')
+})
@@ -0,0 +1,193 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const path = require('path')
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const CreatePipelineCommand = require('../../src/commands/cloudmanager/create-pipeline')
+
+const fixture = name => path.join(__dirname, '../fixtures/pipelines', name)
+
+beforeEach(() => {
+    setStore({})
+})
+
+test('create-pipeline - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = CreatePipelineCommand.run([])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('create-pipeline - missing config', async () => {
+    expect.assertions(3)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "5", fixture('pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
+})
+
+test('create-pipeline - missing file', async () => {
+    expect.assertions(2)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "5", fixture('does-not-exist.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2 && err.message.indexOf(`Cannot read pipeline definition ${fixture('does-not-exist.yaml')}`) === 0)
+})
+
+test('create-pipeline - invalid definition', async () => {
+    expect.assertions(2)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "5", fixture('invalid-pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error(`Invalid pipeline definition ${fixture('invalid-pipeline.yaml')}:
+  name is required
+  trigger must be one of ON_COMMIT, MANUAL
+  phases[0].approval must be true or false
+  phases[1].repositoryId is required for the BUILD phase
+  phases[2].environmentType must be one of dev, stage, prod
+  DEPLOY phases must come after the BUILD phase
+  environment 1 is deployed to by more than one phase`))
+})
+
+test('create-pipeline - failure', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(3)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "6", fixture('pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot create pipeline: https://cloudmanager.adobe.io/api/program/6/pipelines (404 Not Found)")
+})
+
+test('create-pipeline - yaml success', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(3)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "5", fixture('pipeline.yaml')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        id: "8",
+        name: "feature pipeline",
+        trigger: "ON_COMMIT",
+        phases: [{
+            name: "VALIDATE",
+            type: "VALIDATE"
+        }, {
+            name: "BUILD_1",
+            type: "BUILD",
+            repositoryId: "1",
+            branch: "feature/new-header"
+        }, {
+            name: "DEPLOY_STAGE",
+            type: "DEPLOY",
+            environmentId: "2",
+            environmentType: "stage"
+        }, {
+            name: "DEPLOY_PROD",
+            type: "DEPLOY",
+            environmentId: "1",
+            environmentType: "prod",
+            approval: true,
+            cseOversight: false
+        }]
+    })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("created pipeline ID 8")
+})
+
+test('create-pipeline - json success', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager_programid': "5"
+    })
+
+    expect.assertions(3)
+
+    let runResult = CreatePipelineCommand.run([fixture('pipeline.json')])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        id: "8",
+        name: "json pipeline",
+        trigger: "MANUAL",
+        phases: [{
+            type: "VALIDATE"
+        }, {
+            type: "BUILD",
+            repositoryId: 1,
+            branch: "master"
+        }, {
+            type: "DEPLOY",
+            environmentId: 3
+        }]
+    })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("created pipeline ID 8")
+})
+
+test('create-pipeline - unknown branch', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(2)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "6", fixture('pipeline.json')])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Branch master does not exist in repository 1. The branches can be listed with list-branches 1")
+})
+
+test('create-pipeline - program without repositories', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(2)
+
+    let runResult = CreatePipelineCommand.run(["--programId", "4", fixture('pipeline.json')])
+    await expect(runResult).resolves.toMatchObject({
+        id: "1",
+        name: "json pipeline"
+    })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("created pipeline ID 1")
+})
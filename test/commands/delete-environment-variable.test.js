@@ -0,0 +1,54 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const DeleteEnvironmentVariableCommand = require('../../src/commands/cloudmanager/delete-environment-variable')
+
+const variablesUrl = 'https://cloudmanager.adobe.io/api/program/4/environment/1/variables'
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    cli.action.stop.mockClear()
+})
+
+test('delete-environment-variable - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = DeleteEnvironmentVariableCommand.run(["1"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('delete-environment-variable - unknown variable', async () => {
+    expect.assertions(2)
+
+    let runResult = DeleteEnvironmentVariableCommand.run(["--programId", "4", "1", "MISSING"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    expect(cli.action.stop.mock.calls[0][0]).toBe('Could not find variable MISSING in environment 1 for program 4')
+})
+
+test('delete-environment-variable - success', async () => {
+    expect.assertions(3)
+
+    const result = await DeleteEnvironmentVariableCommand.run(["--programId", "4", "1", "I_AM_A_SECRET"])
+    expect(JSON.parse(fetchMock.lastOptions(variablesUrl, { method: 'PATCH' }).body)).toEqual([{ name: 'I_AM_A_SECRET', type: 'secretString' }])
+    expect(result.map(variable => variable.name)).toEqual(['KEY', 'API_URL', 'API_TIMEOUT'])
+    expect(cli.action.stop.mock.calls[0][0]).toBe('deleted variable I_AM_A_SECRET of environment 1')
+})
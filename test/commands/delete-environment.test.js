@@ -0,0 +1,82 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const DeleteEnvironmentCommand = require('../../src/commands/cloudmanager/delete-environment')
+
+const environmentUrl = 'https://cloudmanager.adobe.io/api/program/4/environment/3'
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    cli.action.stop.mockClear()
+    cli.prompt.mockReset()
+    fetchMock.resetHistory()
+})
+
+test('delete-environment - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = DeleteEnvironmentCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('delete-environment - unknown environment', async () => {
+    expect.assertions(2)
+
+    let runResult = DeleteEnvironmentCommand.run(["--programId", "4", "9"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    expect(cli.prompt.mock.calls.length).toBe(0)
+})
+
+test('delete-environment - wrong name typed', async () => {
+    expect.assertions(3)
+    cli.prompt.mockResolvedValue('TestProgram_prod')
+
+    let runResult = DeleteEnvironmentCommand.run(["--programId", "4", "3"])
+    await expect(runResult).rejects.toEqual(new Error('TestProgram_prod is not the name of environment 3, which is TestProgram_dev. Nothing was deleted'))
+    expect(cli.prompt.mock.calls[0][0]).toBe('Type the name of environment 3 (TestProgram_dev) to delete it')
+    expect(fetchMock.called(environmentUrl, { method: 'DELETE' })).toBe(false)
+})
+
+test('delete-environment - name typed', async () => {
+    expect.assertions(3)
+    cli.prompt.mockResolvedValue('TestProgram_dev')
+
+    await expect(DeleteEnvironmentCommand.run(["--programId", "4", "3"])).resolves.toEqual({})
+    expect(fetchMock.called(environmentUrl, { method: 'DELETE' })).toBe(true)
+    expect(cli.action.stop.mock.calls[0][0]).toBe('deleted environment ID 3')
+})
+
+test('delete-environment - name given with --confirm', async () => {
+    expect.assertions(3)
+
+    await expect(DeleteEnvironmentCommand.run(["--programId", "4", "3", "--confirm", "TestProgram_dev"])).resolves.toEqual({})
+    expect(cli.prompt.mock.calls.length).toBe(0)
+    await expect(DeleteEnvironmentCommand.run(["--programId", "4", "3", "--confirm", "dev"])).rejects.toSatisfy(err => err.message.indexOf('dev is not the name of environment 3') === 0)
+})
+
+test('delete-environment - failure', async () => {
+    expect.assertions(2)
+
+    let runResult = DeleteEnvironmentCommand.run(["--programId", "4", "2", "--confirm", "TestProgram_stage"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
+    expect(cli.action.stop.mock.calls[0][0]).toBe('Cannot delete environment: https://cloudmanager.adobe.io/api/program/4/environment/2 (412 Precondition Failed)')
+})
@@ -31,7 +31,7 @@ test('delete-pipeline - missing config', async () => {
 
     let runResult = DeletePipelineCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
 })
 
@@ -49,7 +49,7 @@ test('delete-pipeline - bad pipeline', async () => {
 
     let runResult = DeletePipelineCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot delete pipeline. Pipeline 10 does not exist.")
 })
 
@@ -0,0 +1,73 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const chalk = require('chalk')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const DiffEnvironmentVariablesCommand = require('../../src/commands/cloudmanager/diff-environment-variables')
+
+let chalkLevel
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    chalkLevel = chalk.level
+    chalk.level = 0
+    jest.spyOn(DiffEnvironmentVariablesCommand.prototype, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+    chalk.level = chalkLevel
+    jest.restoreAllMocks()
+})
+
+test('diff-environment-variables - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = DiffEnvironmentVariablesCommand.run(["1"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('diff-environment-variables - missing environment', async () => {
+    expect.assertions(1)
+
+    let runResult = DiffEnvironmentVariablesCommand.run(["--programId", "4", "1", "17"])
+    await expect(runResult).rejects.toSatisfy(err => err.message === 'Could not find environment 17 for program 4' && err.oclif.exit === 13)
+})
+
+test('diff-environment-variables - differences', async () => {
+    expect.assertions(3)
+
+    const result = await DiffEnvironmentVariablesCommand.run(["--programId", "4", "1", "2"])
+    expect(result).toEqual([
+        { name: 'API_KEY', typeB: 'secretString', valueA: 'absent', valueB: 'present', change: 'added' },
+        { name: 'API_TIMEOUT', typeA: 'string', valueA: '30', valueB: 'absent', change: 'removed' },
+        { name: 'I_AM_A_SECRET', typeA: 'secretString', valueA: 'present', valueB: 'absent', change: 'removed' },
+        { name: 'KEY', typeA: 'string', typeB: 'string', valueA: 'value', valueB: 'other value', change: 'changed' },
+        { name: 'STAGE_ONLY', typeB: 'string', valueA: 'absent', valueB: 'x', change: 'added' }
+    ])
+    expect(DiffEnvironmentVariablesCommand.prototype.log.mock.calls[0][0]).toBe('Environment 1 -> 2: 2 added, 2 removed, 1 changed')
+    expect(Object.keys(cli.table.mock.calls[cli.table.mock.calls.length - 1][1]).map(column => cli.table.mock.calls[cli.table.mock.calls.length - 1][1][column].header)).toEqual(['Name', 'Environment 1', 'Environment 2', 'Change'])
+})
+
+test('diff-environment-variables - all', async () => {
+    expect.assertions(1)
+
+    const result = await DiffEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "--all"])
+    expect(result.filter(item => item.change === 'unchanged').map(item => item.name)).toEqual(['API_URL'])
+})
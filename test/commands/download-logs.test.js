@@ -11,10 +11,39 @@ governing permissions and limitations under the License.
 */
 
 const { setStore } = require('@adobe/aio-lib-core-config')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
 const DownloadLogs = require('../../src/commands/cloudmanager/download-logs')
 
+const archive = path.join(__dirname, '../fixtures/logs/aemerror-archive.log.gz')
+
+let outputDirectory
+
+function setJwtAuth() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
 beforeEach(() => {
     setStore({})
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'download-logs-'))
+})
+
+afterEach(() => {
+    fs.readdirSync(outputDirectory).forEach(file => fs.unlinkSync(path.join(outputDirectory, file)))
+    fs.rmdirSync(outputDirectory)
+})
+
+afterAll(() => {
+    ['1-author-aemerror-2019-09-8.log', '1-author-aemerror-2019-09-7.log', '.cloudmanager-downloads.json'].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file))
 })
 
 test('download-logs - missing arg', async () => {
@@ -72,3 +101,68 @@ test('download-logs - success', async () => {
         "path": "./1-author-aemerror-2019-09-7.log"
     }])
 })
+
+
+test('download-logs - integrity report', async () => {
+    setJwtAuth()
+
+    expect.assertions(4)
+
+    const result = await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory])
+    expect(result.map(file => file.status)).toEqual(['downloaded', 'downloaded'])
+    expect(fs.readFileSync(result[0].path)).toEqual(zlib.gunzipSync(fs.readFileSync(archive)))
+    expect(result[0]).toMatchObject({ size: fs.statSync(result[0].path).size, sha256: expect.stringMatching(/^[0-9a-f]{64}$/) })
+    expect(fs.readdirSync(outputDirectory).sort()).toEqual(['.cloudmanager-downloads.json', '1-author-aemerror-2019-09-7.log', '1-author-aemerror-2019-09-8.log'])
+})
+
+test('download-logs - skips unchanged files', async () => {
+    setJwtAuth()
+
+    expect.assertions(2)
+
+    await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory])
+    fs.appendFileSync(path.join(outputDirectory, '1-author-aemerror-2019-09-7.log'), 'edited\n')
+
+    const result = await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory])
+    expect(result.map(file => file.status)).toEqual(['skipped', 'downloaded'])
+    expect(fs.readFileSync(result[1].path)).toEqual(zlib.gunzipSync(fs.readFileSync(archive)))
+})
+
+test('download-logs - resumes partial downloads', async () => {
+    setJwtAuth()
+
+    expect.assertions(3)
+
+    const gzipped = fs.readFileSync(archive)
+    fs.writeFileSync(path.join(outputDirectory, '1-author-aemerror-2019-09-8.log.gz.part'), gzipped.slice(0, 100))
+    // a part which does not match the file is downloaded again
+    fs.writeFileSync(path.join(outputDirectory, '1-author-aemerror-2019-09-7.log.gz.part'), Buffer.alloc(100))
+
+    const result = await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory])
+    expect(result.map(file => file.status)).toEqual(['resumed', 'downloaded'])
+    expect(result.map(file => fs.readFileSync(file.path, 'utf8'))).toEqual([zlib.gunzipSync(gzipped).toString(), zlib.gunzipSync(gzipped).toString()])
+    expect(fs.readdirSync(outputDirectory).filter(file => file.endsWith('.part'))).toEqual([])
+})
+
+test('download-logs - keep gzip', async () => {
+    setJwtAuth()
+
+    expect.assertions(3)
+
+    let result = await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory, "--keepGzip", "--concurrency", "1"])
+    expect(result.map(file => path.basename(file.path))).toEqual(['1-author-aemerror-2019-09-8.log.gz', '1-author-aemerror-2019-09-7.log.gz'])
+    expect(fs.readFileSync(result[0].path)).toEqual(fs.readFileSync(archive))
+
+    result = await DownloadLogs.run(["1", "author", "aemerror", "--programId", "4", "-o", outputDirectory, "--keepGzip", "--format", "jsonl"])
+    expect(zlib.gunzipSync(fs.readFileSync(result[0].path)).toString().split('\n')[0]).toMatch(/^{"timestamp":"2019-09-10T10:00:00.000Z","level":"INFO"/)
+})
+
+test('download-logs - corrupt file', async () => {
+    setJwtAuth()
+
+    expect.assertions(2)
+
+    await expect(DownloadLogs.run(["1", "publish", "aemerror", "--programId", "4", "-o", outputDirectory])).rejects.toSatisfy(err =>
+        err.message.indexOf('1-publish-aemerror-2019-09-8.log is corrupt: the file could not be unzipped: unexpected end of file') === 0 && err.oclif.exit === 7)
+    expect(fs.readdirSync(outputDirectory)).toEqual([])
+})
@@ -0,0 +1,113 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const DownloadStepArtifacts = require('../../src/commands/cloudmanager/download-step-artifacts')
+const Client = require('../../src/client')
+
+const outputDirectory = path.join(os.tmpdir(), `download-step-artifacts-${process.pid}`)
+
+function removeOutputDirectory() {
+    if (fs.existsSync(outputDirectory)) {
+        fs.readdirSync(outputDirectory).forEach(file => fs.unlinkSync(path.join(outputDirectory, file)))
+        fs.rmdirSync(outputDirectory)
+    }
+}
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        })
+    })
+    removeOutputDirectory()
+})
+
+afterAll(() => {
+    removeOutputDirectory()
+})
+
+test('download-step-artifacts - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = DownloadStepArtifacts.run(["7"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('download-step-artifacts - bad execution', async () => {
+    expect.assertions(1)
+
+    let runResult = DownloadStepArtifacts.run(["--programId", "5", "5", "1002", "-o", outputDirectory])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+})
+
+test('download-step-artifacts - all quality gates', async () => {
+    expect.assertions(6)
+
+    let runResult = DownloadStepArtifacts.run(["--programId", "5", "7", "1010", "-o", outputDirectory])
+    const result = await runResult
+    expect(result).toMatchObject({
+        programId: '5',
+        pipelineId: '7',
+        executionId: '1010',
+        artifacts: [
+            { action: 'codeQuality', name: 'issues.csv', type: 'text/csv', path: '1010-codeQuality-issues.csv', size: 65, url: 'https://cloudmanager.adobe.io/api/program/5/pipeline/7/execution/1010/phase/4596/step/8493/report/issues' },
+            { action: 'codeQuality', name: 'report-1.zip', type: 'application/zip', path: '1010-codeQuality-report-1.zip', size: 2 },
+            { action: 'securityTest', name: 'security-tests.csv', path: '1010-securityTest-security-tests.csv' }
+        ]
+    })
+    expect(result.artifacts[0].sha256).toMatch(/^[0-9a-f]{64}$/)
+    expect(fs.readFileSync(path.join(outputDirectory, '1010-codeQuality-issues.csv'), 'utf8')).toBe('rule,severity,file\nsquid:S1192,MINOR,core/src/main/java/Foo.java\n')
+    expect(JSON.parse(fs.readFileSync(path.join(outputDirectory, 'manifest.json'), 'utf8'))).toEqual(result)
+    expect(cli.action.stop.mock.calls[0][0]).toBe(`downloaded 3 files to ${path.resolve(outputDirectory)}`)
+    expect(cli.table.mock.calls[0][1].path.get(result.artifacts[0])).toBe(path.join(path.resolve(outputDirectory), '1010-codeQuality-issues.csv'))
+})
+
+test('download-step-artifacts - selected quality gate', async () => {
+    expect.assertions(2)
+
+    const result = await DownloadStepArtifacts.run(["--programId", "5", "7", "1010", "--action", "security", "-o", outputDirectory])
+    expect(result.artifacts.map(artifact => artifact.path)).toEqual(['1010-securityTest-security-tests.csv'])
+    expect(fs.readdirSync(outputDirectory).sort()).toEqual(['1010-securityTest-security-tests.csv', 'manifest.json'])
+})
+
+test('download-step-artifacts - no reports', async () => {
+    expect.assertions(2)
+
+    const result = await DownloadStepArtifacts.run(["--programId", "5", "7", "1001", "-o", outputDirectory])
+    expect(result.artifacts).toEqual([])
+    expect(cli.action.stop.mock.calls[0][0]).toBe(`downloaded 0 files to ${path.resolve(outputDirectory)}`)
+})
+
+test('download-step-artifacts - report names leading out of the output directory', async () => {
+    const execution = await new Client('good', 'token', 'key').getExecution('5', '7', '1010')
+    const reports = execution._embedded.stepStates.find(stepState => stepState.action === 'codeQuality')._links['http://ns.adobe.com/adobecloud/rel/pipeline/report']
+    reports[0].name = '../../.bashrc'
+    reports[1].name = '..'
+    jest.spyOn(Client.prototype, 'getExecution').mockImplementation(() => Promise.resolve(execution))
+
+    expect.assertions(2)
+
+    const result = await DownloadStepArtifacts.run(["--programId", "5", "7", "1010", "--action", "codeQuality", "-o", outputDirectory])
+    jest.restoreAllMocks()
+
+    expect(result.artifacts.map(artifact => artifact.path)).toEqual(['1010-codeQuality-.bashrc', '1010-codeQuality-report-1.zip'])
+    expect(fs.readdirSync(outputDirectory).sort()).toEqual(['1010-codeQuality-.bashrc', '1010-codeQuality-report-1.zip', 'manifest.json'])
+})
@@ -0,0 +1,79 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ExportAuditLog = require('../../src/commands/cloudmanager/export-audit-log')
+
+const auditLog = path.join(os.tmpdir(), `export-audit-log-${process.pid}.log`)
+
+const entries = [
+    { timestamp: '2019-07-09T08:00:00.000Z', user: 'alice', orgId: 'good', programId: '5', pipelineId: '7', executionId: '1007', stepId: '15490', decision: 'approved', message: 'verified on stage' },
+    { timestamp: '2019-07-10T08:00:00.000Z', user: 'bob', orgId: 'good', programId: '5', pipelineId: '5', executionId: '1010', stepId: '15500', decision: 'rejected', message: 'checkout broken' }
+]
+
+beforeEach(() => {
+    setStore({
+        'cloudmanager': JSON.stringify({
+            audit_log: auditLog
+        })
+    })
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+    }
+})
+
+afterAll(() => {
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+    }
+})
+
+test('export-audit-log - no audit log', async () => {
+    expect.assertions(2)
+
+    let runResult = ExportAuditLog.run([])
+    await expect(runResult).resolves.toEqual([])
+    await expect(cli.table.mock.calls[0][0]).toEqual([])
+})
+
+test('export-audit-log - all entries', async () => {
+    fs.writeFileSync(auditLog, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+
+    expect.assertions(2)
+
+    let runResult = ExportAuditLog.run(["--csv"])
+    await expect(runResult).resolves.toEqual(entries)
+    await expect(cli.table.mock.calls[0][2].output).toBe('csv')
+})
+
+test('export-audit-log - filtered by pipeline', async () => {
+    fs.writeFileSync(auditLog, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+
+    expect.assertions(1)
+
+    let runResult = ExportAuditLog.run(["--pipelineId", "5"])
+    await expect(runResult).resolves.toEqual([entries[1]])
+})
+
+test('export-audit-log - corrupt audit log', async () => {
+    fs.writeFileSync(auditLog, `${JSON.stringify(entries[0])}\n\nnot json\n`)
+
+    expect.assertions(1)
+
+    let runResult = ExportAuditLog.run([])
+    await expect(runResult).rejects.toEqual(new Error(`Audit log ${auditLog} is corrupt at line 3`))
+})
@@ -0,0 +1,128 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const yaml = require('js-yaml')
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ExportPipelinesCommand = require('../../src/commands/cloudmanager/export-pipelines')
+
+const expectedExport = {
+    programId: "5",
+    pipelines: [{
+        id: "5",
+        name: "test1",
+        phases: [{
+            name: "VALIDATE",
+            type: "VALIDATE"
+        }, {
+            name: "BUILD_1",
+            type: "BUILD",
+            repositoryId: "1",
+            branch: "yellow"
+        }, {
+            name: "DEPLOY_STAGE",
+            type: "DEPLOY",
+            environmentId: "2",
+            environmentType: "stage"
+        }, {
+            name: "DEPLOY_PROD",
+            type: "DEPLOY",
+            environmentId: "1",
+            environmentType: "prod",
+            approval: true,
+            scheduled: false,
+            cseOversight: false
+        }]
+    }, {
+        id: "6",
+        name: "test2"
+    }, {
+        id: "7",
+        name: "test3"
+    }]
+}
+
+beforeEach(() => {
+    setStore({})
+    jest.restoreAllMocks()
+})
+
+test('export-pipelines - missing config', async () => {
+    expect.assertions(2)
+
+    let runResult = ExportPipelinesCommand.run(["--programId", "5"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error('missing config data: jwt-auth'))
+})
+
+test('export-pipelines - failure', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(2)
+
+    let runResult = ExportPipelinesCommand.run(["--programId", "6"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+})
+
+test('export-pipelines - standard output', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    const log = jest.spyOn(ExportPipelinesCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = ExportPipelinesCommand.run(["--programId", "5"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toEqual(expectedExport)
+    await expect(yaml.safeLoad(log.mock.calls[0][0])).toEqual(expectedExport)
+})
+
+test('export-pipelines - output file', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    const output = path.join(os.tmpdir(), `export-pipelines-${process.pid}.yaml`)
+
+    expect.assertions(4)
+
+    let runResult = ExportPipelinesCommand.run(["--programId", "5", "--output", output])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toEqual(expectedExport)
+    await expect(yaml.safeLoad(fs.readFileSync(output, 'utf8'))).toEqual(expectedExport)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("exported 3 pipelines")
+
+    fs.unlinkSync(output)
+})
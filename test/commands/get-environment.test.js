@@ -0,0 +1,83 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const GetEnvironmentCommand = require('../../src/commands/cloudmanager/get-environment')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager_programid': "4"
+    })
+    cli.table.mockClear()
+    jest.spyOn(GetEnvironmentCommand.prototype, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+    jest.restoreAllMocks()
+})
+
+function logged() {
+    return GetEnvironmentCommand.prototype.log.mock.calls.map(call => call[0])
+}
+
+test('get-environment - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = GetEnvironmentCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('get-environment - unknown environment', async () => {
+    expect.assertions(1)
+
+    let runResult = GetEnvironmentCommand.run(["9"])
+    await expect(runResult).rejects.toEqual(new Error('Could not find environment 9 for program 4'))
+})
+
+test('get-environment - success', async () => {
+    expect.assertions(4)
+
+    const result = await GetEnvironmentCommand.run(["1"])
+    expect(result).toMatchObject({ id: '1', name: 'TestProgram_prod', type: 'prod' })
+    expect(logged()).toEqual(expect.arrayContaining([
+        'Environment 1: TestProgram_prod (description for TestProgram_prod)',
+        'Namespace: none',
+        '  logs: /api/program/4/environment/1/logs?service={service}&name={name}&days={days}',
+        '  developerConsole: https://github.com/adobe/aio-cli-plugin-cloudmanager'
+    ]))
+    expect(cli.table.mock.calls[0][0].length).toBe(9)
+    expect(cli.table.mock.calls[0][0][0]).toEqual({ service: 'author', name: 'aemerror' })
+})
+
+test('get-environment - namespace and cluster, no log options', async () => {
+    expect.assertions(3)
+
+    await GetEnvironmentCommand.run(["2"])
+    expect(logged()).toEqual(expect.arrayContaining(['Namespace: ns', 'Cluster: cs', '  self: /api/program/4/environment/2']))
+    expect(logged()).toContain('No log options are available for environment 2')
+    expect(cli.table.mock.calls.length).toBe(0)
+})
+
+test('get-environment - json', async () => {
+    expect.assertions(2)
+
+    const result = await GetEnvironmentCommand.run(["1", "--json"])
+    expect(JSON.parse(logged()[0])).toEqual(result)
+    expect(result._links['http://ns.adobe.com/adobecloud/rel/variables']).toEqual({ href: '/api/program/4/environment/1/variables', templated: false })
+})
@@ -0,0 +1,81 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const moment = require('moment')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const GetProgramCommand = require('../../src/commands/cloudmanager/get-program')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        })
+    })
+    cli.table.mockClear()
+    jest.spyOn(GetProgramCommand.prototype, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+    jest.restoreAllMocks()
+})
+
+function logged() {
+    return GetProgramCommand.prototype.log.mock.calls.map(call => call[0])
+}
+
+test('get-program - missing programId', async () => {
+    expect.assertions(1)
+
+    let runResult = GetProgramCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Program ID must be specified either as --programId flag or through cloudmanager_programid") === 0)
+})
+
+test('get-program - unknown program', async () => {
+    expect.assertions(1)
+
+    let runResult = GetProgramCommand.run(["--programId", "9"])
+    await expect(runResult).rejects.toSatisfy(err => err.message === 'Could not find program 9' && err.oclif.exit === 13)
+})
+
+test('get-program - success', async () => {
+    expect.assertions(3)
+
+    const result = await GetProgramCommand.run(["--programId", "4"])
+    expect(result).toMatchObject({ id: '4', tenantId: 'tenant0', environmentsCount: 3, pipelinesCount: 0 })
+    expect(logged()).toEqual([
+        'Program 4: test0',
+        'Enabled: yes',
+        'Tenant: tenant0',
+        'Type: AEM as a Cloud Service',
+        `Created: ${moment('2019-08-01T09:10:11.000+0000').format('LLL')}`,
+        'Environments: 3',
+        'Pipelines: 0',
+        ''
+    ])
+    expect(cli.table.mock.calls[0][0]).toEqual([
+        { rel: 'self', href: '/api/program/4' },
+        { rel: 'pipelines', href: '/api/program/4/pipelines' },
+        { rel: 'environments', href: '/api/program/4/environments' }
+    ])
+})
+
+test('get-program - json', async () => {
+    expect.assertions(2)
+
+    const result = await GetProgramCommand.run(["--programId", "5", "--json"])
+    expect(JSON.parse(logged()[0])).toEqual(result)
+    expect(result).toMatchObject({ id: '5', name: 'test1', environmentsCount: 0, pipelinesCount: 3 })
+})
@@ -11,6 +11,9 @@ governing permissions and limitations under the License.
 */
 
 const { cli } = require('cli-ux')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const { setStore } = require('@adobe/aio-lib-core-config')
 const GetQualityGateResults = require('../../src/commands/cloudmanager/get-quality-gate-results')
 
@@ -51,6 +54,23 @@ test('get-quality-gate-results - failure', async () => {
     await expect(runResult).rejects.toEqual(new Error('Cannot get execution: https://cloudmanager.adobe.io/api/program/5/pipeline/5/execution/1002 (404 Not Found)'))
 })
 
+test('get-quality-gate-results - not found exit code', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(2)
+
+    let runResult = GetQualityGateResults.run(["5", "--programId", "5", "1002", "codeQuality"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+})
+
 test('get-quality-gate-results - success', async () => {
     setStore({
         'jwt-auth': JSON.stringify({
@@ -173,3 +193,70 @@ test('get-quality-gate-results - bad pipeline', async () => {
     await expect(runResult instanceof Promise).toBeTruthy()
     await expect(runResult).rejects.toEqual(new Error("Cannot get execution. Pipeline 100 does not exist."))
 })
+
+test('get-quality-gate-results - junit', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const output = path.join(os.tmpdir(), `quality-gate-results-${process.pid}.xml`)
+    const log = jest.spyOn(GetQualityGateResults.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(7)
+
+    let runResult = GetQualityGateResults.run(["--programId", "5", "7", "1001", "codeQuality", "--format", "junit", "--output", output])
+    await expect(runResult).resolves.toHaveLength(8)
+    await expect(log.mock.calls[0][0]).toBe(`wrote 8 metrics to ${output}`)
+    await expect(cli.table.mock.calls.length).toBe(0)
+
+    const contents = fs.readFileSync(output, 'utf8')
+    fs.unlinkSync(output)
+    log.mockRestore()
+    expect(contents).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites tests="8" failures="1">\n {2}<testsuite name="cloudmanager.pipeline7.execution1001.codeQuality" tests="8" failures="1"/)
+    expect(contents).toContain('<testcase classname="cloudmanager.pipeline7.execution1001.codeQuality.critical" name="security_rating"/>')
+    expect(contents).toContain('<testcase classname="cloudmanager.pipeline7.execution1001.codeQuality.important" name="reliability_rating">\n      <failure message="Reliability Rating was D, expected GTE C (overridden)" type="important"/>\n    </testcase>')
+    expect(contents).toContain('<testcase classname="cloudmanager.pipeline7.execution1001.codeQuality.informational" name="skipped_tests">\n      <system-out>')
+})
+
+test('get-quality-gate-results - sarif', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const log = jest.spyOn(GetQualityGateResults.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(5)
+
+    let runResult = GetQualityGateResults.run(["--programId", "5", "7", "1001", "codeQuality", "--format", "sarif"])
+    await expect(runResult).resolves.toHaveLength(8)
+
+    const sarif = JSON.parse(log.mock.calls[0][0])
+    log.mockRestore()
+    expect(sarif.version).toBe('2.1.0')
+    expect(sarif.runs[0].tool.driver.rules).toHaveLength(7)
+    expect(sarif.runs[0].results.map(result => [result.ruleId, result.level, !!result.suppressions])).toEqual([
+        ['reliability_rating', 'warning', true],
+        ['skipped_tests', 'note', false],
+        ['open_issues', 'note', false]
+    ])
+    expect(sarif.runs[0].results[0]).toMatchObject({
+        ruleIndex: sarif.runs[0].tool.driver.rules.findIndex(rule => rule.id === 'reliability_rating'),
+        message: { text: 'Reliability Rating was D, expected GTE C (overridden)' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'pom.xml' } } }]
+    })
+})
+
+test('get-quality-gate-results - output without format', async () => {
+    expect.assertions(1)
+
+    let runResult = GetQualityGateResults.run(["--programId", "5", "7", "1001", "codeQuality", "--output", "results.xml"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("--format= must also be provided when using --output=") === 0)
+})
@@ -0,0 +1,57 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ListBranchesCommand = require('../../src/commands/cloudmanager/list-branches')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager_programid': "5"
+    })
+    cli.table.mockClear()
+})
+
+test('list-branches - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = ListBranchesCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('list-branches - unknown repository', async () => {
+    expect.assertions(1)
+
+    let runResult = ListBranchesCommand.run(["3"])
+    await expect(runResult).rejects.toSatisfy(err => err.message === 'Could not find repository 3 for program 5' && err.oclif.exit === 13)
+})
+
+test('list-branches - failure', async () => {
+    expect.assertions(1)
+
+    let runResult = ListBranchesCommand.run(["7"])
+    await expect(runResult).rejects.toSatisfy(err => err.message === 'Cannot retrieve branches: https://cloudmanager.adobe.io/api/program/5/repository/7/branches (403 Forbidden)' && err.oclif.exit === 12)
+})
+
+test('list-branches - success', async () => {
+    expect.assertions(2)
+
+    const result = await ListBranchesCommand.run(["1"])
+    expect(result.map(branch => branch.name)).toEqual(['yellow', 'develop', 'master', 'feature/new-header'])
+    expect(cli.table.mock.calls[0][1].repositoryId.get(result[0])).toBe('1')
+})
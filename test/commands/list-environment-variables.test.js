@@ -0,0 +1,72 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ListEnvironmentVariablesCommand = require('../../src/commands/cloudmanager/list-environment-variables')
+
+function setJwtAuth() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
+beforeEach(() => {
+    setStore({})
+})
+
+test('list-environment-variables - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = ListEnvironmentVariablesCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('list-environment-variables - missing environment', async () => {
+    setJwtAuth()
+
+    expect.assertions(1)
+
+    let runResult = ListEnvironmentVariablesCommand.run(["--programId", "4", "17"])
+    await expect(runResult).rejects.toSatisfy(err => err.message === 'Could not find environment 17 for program 4' && err.oclif.exit === 13)
+})
+
+test('list-environment-variables - missing link', async () => {
+    setJwtAuth()
+
+    expect.assertions(1)
+
+    let runResult = ListEnvironmentVariablesCommand.run(["--programId", "4", "3"])
+    await expect(runResult).rejects.toEqual(new Error('Could not find variables link for environment 3 for program 4'))
+})
+
+test('list-environment-variables - success', async () => {
+    setJwtAuth()
+
+    expect.assertions(3)
+
+    const result = await ListEnvironmentVariablesCommand.run(["--programId", "4", "1"])
+    expect(result.map(variable => [variable.name, variable.type, variable.value])).toEqual([
+        ['KEY', 'string', 'value'],
+        ['I_AM_A_SECRET', 'secretString', undefined],
+        ['API_URL', 'string', 'https://api.example.com'],
+        ['API_TIMEOUT', 'string', '30']
+    ])
+    const columns = cli.table.mock.calls[cli.table.mock.calls.length - 1][1]
+    expect(columns.value.get(result[0])).toBe('value')
+    expect(columns.value.get(result[1])).toBe('****')
+})
@@ -0,0 +1,114 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ListExecutionsCommand = require('../../src/commands/cloudmanager/list-executions')
+
+function setGoodStore() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
+function executionIds(executions) {
+    return executions.map(execution => execution.id)
+}
+
+beforeEach(() => {
+    setStore({})
+})
+
+test('list-executions - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run([])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('list-executions - missing config', async () => {
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error('missing config data: jwt-auth'))
+})
+
+test('list-executions - bad pipeline', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "10"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13 && err.message === "Cannot list executions. Pipeline 10 does not exist.")
+})
+
+test('list-executions - no execution history', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "6"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error("Cannot list executions. Pipeline 6 does not have an execution history."))
+})
+
+test('list-executions - bad date', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "7", "--since", "yesterday"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2 && err.message === "since should be an ISO 8601 date or time. Value provided was yesterday")
+})
+
+test('list-executions - all pages', async () => {
+    setGoodStore()
+
+    expect.assertions(5)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult.then(executionIds)).resolves.toEqual(["2005", "2004", "2003", "2002", "2001"])
+    await expect(cli.table.mock.calls[0][1].failedStep.get(cli.table.mock.calls[0][0][1])).toBe("Build")
+    await expect(cli.table.mock.calls[0][1].duration.get(cli.table.mock.calls[0][0][2])).toBe("2 hours")
+    await expect(cli.table.mock.calls[0][1].status.get({ id: "2006" })).toBe("")
+})
+
+test('list-executions - limit', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = ListExecutionsCommand.run(["--programId", "5", "7", "--limit", "2"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult.then(executionIds)).resolves.toEqual(["2005", "2004"])
+})
+
+test('list-executions - filters', async () => {
+    setGoodStore()
+
+    expect.assertions(4)
+
+    await expect(ListExecutionsCommand.run(["--programId", "5", "7", "--trigger", "ON_COMMIT"]).then(executionIds)).resolves.toEqual(["2004", "2002"])
+    await expect(ListExecutionsCommand.run(["--programId", "5", "7", "--user", "alice@AdobeID", "--status", "CANCELLED"]).then(executionIds)).resolves.toEqual(["2001"])
+    await expect(ListExecutionsCommand.run(["--programId", "5", "7", "--since", "2019-09-07", "--until", "2019-09-09T12:00:00Z"]).then(executionIds)).resolves.toEqual(["2004", "2003", "2002"])
+    await expect(cli.table.mock.calls[2][1].failedStep.get(cli.table.mock.calls[2][0][2])).toBe("Stage Deploy")
+})
@@ -10,6 +10,7 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+const { cli } = require('cli-ux')
 const { setStore } = require('@adobe/aio-lib-core-config')
 const ListProgramsCommand = require('../../src/commands/cloudmanager/list-programs')
 
@@ -111,3 +112,33 @@ test('list-programs - filtered', async () => {
         enabled: true
     }])
 })
+
+test('list-programs - json output with columns and sort', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+
+    expect.assertions(3)
+
+    let runResult = ListProgramsCommand.run(["--json", "--columns", "Program Id,name", "--sort", "-name"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toHaveLength(3)
+    await expect(cli.table.mock.calls[0][2]).toMatchObject({
+        output: 'json',
+        columns: 'Program Id,name',
+        sort: '-name'
+    })
+})
+
+test('list-programs - conflicting output formats', async () => {
+    expect.assertions(2)
+
+    let runResult = ListProgramsCommand.run(["--json", "--csv"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("--csv= cannot also be provided when using --json=") === 0)
+})
@@ -0,0 +1,50 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ListRepositoriesCommand = require('../../src/commands/cloudmanager/list-repositories')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        })
+    })
+    cli.table.mockClear()
+})
+
+test('list-repositories - missing programId', async () => {
+    expect.assertions(1)
+
+    let runResult = ListRepositoriesCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Program ID must be specified either as --programId flag or through cloudmanager_programid") === 0)
+})
+
+test('list-repositories - no repositories link', async () => {
+    expect.assertions(1)
+
+    let runResult = ListRepositoriesCommand.run(["--programId", "4"])
+    await expect(runResult).rejects.toEqual(new Error('Could not find repositories link for program 4'))
+})
+
+test('list-repositories - success, following pages', async () => {
+    expect.assertions(3)
+
+    const result = await ListRepositoriesCommand.run(["--programId", "5"])
+    expect(result.map(repository => `${repository.id} ${repository.repo}`)).toEqual(['1 test1-site', '4 test1-dispatcher', '7 undefined'])
+    expect(cli.table.mock.calls[0][0]).toBe(result)
+    expect(cli.table.mock.calls[0][1].description.get(result[2])).toBe('')
+})
@@ -0,0 +1,151 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fetchMock = require('node-fetch')
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const PipelineStatsCommand = require('../../src/commands/cloudmanager/pipeline-stats')
+
+const secondPage = 'https://cloudmanager.adobe.io/api/program/5/pipeline/7/executions?start=3&limit=3'
+
+function setGoodStore() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
+function secondPageCalls() {
+    return fetchMock.calls().filter(call => call[0] === secondPage).length
+}
+
+beforeEach(() => {
+    setStore({})
+    jest.restoreAllMocks()
+})
+
+test('pipeline-stats - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = PipelineStatsCommand.run([])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('pipeline-stats - missing config', async () => {
+    expect.assertions(2)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error('missing config data: jwt-auth'))
+})
+
+test('pipeline-stats - bad pipeline', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "10"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+})
+
+test('pipeline-stats - bad date', async () => {
+    setGoodStore()
+
+    expect.assertions(1)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "7", "--until", "tomorrow"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2 && err.message === "until should be an ISO 8601 date or time. Value provided was tomorrow")
+})
+
+test('pipeline-stats - all executions', async () => {
+    setGoodStore()
+
+    const log = jest.spyOn(PipelineStatsCommand.prototype, 'log').mockImplementation(() => {})
+    const before = secondPageCalls()
+
+    expect.assertions(5)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "7", "--since", "2019-09-01T00:00:00Z", "--until", "2019-09-30T00:00:00Z"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toEqual({
+        pipelineId: "7",
+        since: "2019-09-01T00:00:00.000Z",
+        until: "2019-09-30T00:00:00.000Z",
+        executions: 5,
+        completed: 3,
+        succeeded: 1,
+        failed: 2,
+        cancelled: 1,
+        successRate: 1 / 3,
+        failureRate: 2 / 3,
+        duration: { count: 1, mean: 6000000, p95: 6000000 },
+        steps: [
+            { step: "Validate", runs: 5, failures: 0, count: 5, mean: 60000, p95: 60000 },
+            { step: "Build", runs: 5, failures: 1, count: 5, mean: 600000, p95: 600000 },
+            { step: "Code Quality", runs: 4, failures: 0, count: 4, mean: 360000, p95: 360000 },
+            { step: "Stage Deploy", runs: 4, failures: 1, count: 3, mean: 1200000, p95: 1200000 },
+            { step: "Prod Deploy", runs: 1, failures: 0, count: 1, mean: 1500000, p95: 1500000 }
+        ],
+        mostCommonFailingStep: { step: "Build", failures: 1 },
+        approvalWait: { count: 2, mean: 1800000, p95: 1800000 }
+    })
+    await expect(log.mock.calls.slice(1, 7).map(call => call[0])).toEqual([
+        "Executions: 5 (1 succeeded, 2 failed, 1 cancelled)",
+        "Success rate: 33%",
+        "Failure rate: 67%",
+        "Duration of successful executions: mean 2 hours, p95 2 hours",
+        "Most common failing step: Build (1 failures)",
+        "Approval wait time: mean 30 minutes, p95 30 minutes (2 approvals)"
+    ])
+    await expect(cli.table.mock.calls[0][1].mean.get(cli.table.mock.calls[0][0][3])).toBe("20 minutes")
+    await expect(secondPageCalls() - before).toBe(1)
+})
+
+test('pipeline-stats - window', async () => {
+    setGoodStore()
+
+    jest.spyOn(PipelineStatsCommand.prototype, 'log').mockImplementation(() => {})
+    const before = secondPageCalls()
+
+    expect.assertions(3)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "7", "--since", "2019-09-09", "--until", "2019-09-09T23:59:59Z"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        executions: 1,
+        failed: 1,
+        failureRate: 1,
+        duration: { count: 0, mean: null, p95: null },
+        approvalWait: { count: 0, mean: null, p95: null }
+    })
+    // the ordering of the executions is not relied on, so every page is read
+    await expect(secondPageCalls() - before).toBe(1)
+})
+
+test('pipeline-stats - json', async () => {
+    setGoodStore()
+
+    const log = jest.spyOn(PipelineStatsCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = PipelineStatsCommand.run(["--programId", "5", "7", "--since", "2019-09-09", "--until", "2019-09-09T23:59:59Z", "--json"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({ executions: 1 })
+    await expect(JSON.parse(log.mock.calls[0][0])).toMatchObject({ pipelineId: "7", executions: 1, mostCommonFailingStep: { step: "Build", failures: 1 } })
+})
@@ -0,0 +1,77 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const Reject = require('../../src/commands/cloudmanager/reject')
+
+const auditLog = path.join(os.tmpdir(), `reject-audit-${process.pid}`, 'audit.log')
+
+beforeEach(() => {
+    setStore({})
+    jest.restoreAllMocks()
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+    }
+})
+
+afterAll(() => {
+    if (fs.existsSync(auditLog)) {
+        fs.unlinkSync(auditLog)
+        fs.rmdirSync(path.dirname(auditLog))
+    }
+})
+
+test('reject - missing message', async () => {
+    expect.assertions(2)
+
+    let runResult = Reject.run(["--programId", "5", "7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing required flag") === 0)
+})
+
+test('reject - success', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager': JSON.stringify({
+            audit_log: auditLog
+        })
+    })
+    fetchMock.setPipeline7Execution("1007")
+    jest.spyOn(Reject.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(6)
+
+    let runResult = Reject.run(["--programId", "5", "7", "--message", "checkout broken on stage", "--yes"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        user: '1234@techacct.adobe.com',
+        executionId: '1007',
+        stepId: '15490',
+        decision: 'rejected',
+        message: 'checkout broken on stage'
+    })
+    await expect(fetchMock.called('cancel-1007')).toBe(true)
+    await expect(fetchMock.called('advance-1007')).toBe(false)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("rejected execution 1007")
+    await expect(fs.readFileSync(auditLog, 'utf8').trim().split('\n').map(line => JSON.parse(line).decision)).toEqual(['rejected'])
+})
@@ -0,0 +1,118 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const ScheduleDeployment = require('../../src/commands/cloudmanager/schedule-deployment')
+
+function setConfig(cloudmanager) {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager': JSON.stringify(cloudmanager || {})
+    })
+}
+
+beforeEach(() => {
+    setStore({})
+})
+
+test('schedule-deployment - missing arg', async () => {
+    expect.assertions(2)
+
+    let runResult = ScheduleDeployment.run(["7"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('schedule-deployment - invalid time', async () => {
+    setConfig()
+
+    expect.assertions(1)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "tomorrow"])
+    await expect(runResult).rejects.toEqual(new Error("time should be an ISO 8601 date or time. Value provided was tomorrow"))
+})
+
+test('schedule-deployment - time in the past', async () => {
+    setConfig()
+
+    expect.assertions(1)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "2019-07-13T23:00:00Z"])
+    await expect(runResult).rejects.toEqual(new Error("Cannot schedule a deployment in the past. Value provided was 2019-07-13T23:00:00Z"))
+})
+
+test('schedule-deployment - outside of the deployment window', async () => {
+    setConfig({
+        deployment_window: { days: 'Sat,Sun', start: '22:00', end: '04:00' }
+    })
+
+    expect.assertions(1)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "2099-01-05T05:00:00Z"])
+    await expect(runResult).rejects.toEqual(new Error("2099-01-05T05:00:00.000Z is outside of the deployment window (Sat,Sun 22:00-04:00 UTC)"))
+})
+
+test('schedule-deployment - not waiting to be scheduled', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1007")
+
+    expect.assertions(2)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "2099-01-04T03:00:00Z"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Execution 1007 of pipeline 7 is not waiting to be scheduled")
+})
+
+test('schedule-deployment - schedule', async () => {
+    setConfig({
+        deployment_window: { days: 'Sat,Sun', start: '22:00', end: '04:00' }
+    })
+    fetchMock.setPipeline7Execution("1008")
+
+    expect.assertions(3)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "2099-01-04T03:00:00Z"])
+    await expect(runResult).resolves.toMatchObject({ action: 'schedule', executionId: '1008' })
+    await expect(JSON.parse(fetchMock.lastOptions('schedule-1008').body)).toEqual({ scheduledAt: '2099-01-04T03:00:00.000Z' })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("scheduled deployment of execution 1008 for 2099-01-04T03:00:00.000Z")
+})
+
+test('schedule-deployment - reschedule', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1009")
+
+    expect.assertions(2)
+
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "2099-01-03T22:30:00+00:00"])
+    await expect(runResult).resolves.toMatchObject({ action: 'schedule', executionId: '1009' })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("rescheduled deployment of execution 1009 from 2019-07-13T23:00:00.000Z to 2099-01-03T22:30:00.000Z")
+})
+
+test('schedule-deployment - now', async () => {
+    setConfig()
+    fetchMock.setPipeline7Execution("1008")
+
+    expect.assertions(2)
+
+    const before = Date.now()
+    let runResult = ScheduleDeployment.run(["--programId", "5", "7", "now"])
+    await expect(runResult).resolves.toMatchObject({ executionId: '1008' })
+    await expect(Date.parse(JSON.parse(fetchMock.lastOptions('schedule-1008').body).scheduledAt)).toBeGreaterThanOrEqual(before - 1000)
+})
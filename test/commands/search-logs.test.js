@@ -0,0 +1,218 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const chalk = require('chalk')
+const path = require('path')
+const SearchLogs = require('../../src/commands/cloudmanager/search-logs')
+
+const logs = path.join(__dirname, '../fixtures/logs')
+const errorLog = path.join(logs, 'aemerror.log')
+const requestLog = path.join(logs, 'aemrequest.log')
+const accessLog = path.join(logs, 'aemaccess.log')
+const dispatcherLog = path.join(logs, 'dispatcher.log')
+const httpdErrorLog = path.join(logs, 'httpderror.log')
+
+let chalkLevel
+
+beforeEach(() => {
+    chalkLevel = chalk.level
+    chalk.level = 0
+    jest.spyOn(SearchLogs.prototype, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+    chalk.level = chalkLevel
+    jest.restoreAllMocks()
+})
+
+test('search-logs - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing required flag") === 0)
+})
+
+test('search-logs - unknown filter', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run(["--file", errorLog, "--filter", "severity=ERROR"])
+    await expect(runResult).rejects.toEqual(new Error('Unknown filter severity=ERROR. Filters are given as name=value, the names being level, logger, since, until, regex, path'))
+})
+
+test('search-logs - unknown level', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run(["--file", errorLog, "--filter", "level=FATAL"])
+    await expect(runResult).rejects.toEqual(new Error('Unknown level FATAL. Levels are TRACE, DEBUG, INFO, WARN, ERROR'))
+})
+
+test('search-logs - bad regex', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run(["--file", errorLog, "--filter", "regex=(unclosed"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf('Filter regex is not a valid regular expression') === 0)
+})
+
+test('search-logs - bad time', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run(["--file", errorLog, "--filter", "since=yesterday"])
+    await expect(runResult).rejects.toEqual(new Error('since should be an ISO 8601 date or time. Value provided was yesterday'))
+})
+
+test('search-logs - missing file', async () => {
+    expect.assertions(1)
+
+    let runResult = SearchLogs.run(["--file", path.join(logs, 'missing.log')])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf(`Could not read ${path.join(logs, 'missing.log')}: ENOENT`) === 0)
+})
+
+test('search-logs - error log entries', async () => {
+    expect.assertions(3)
+
+    const result = await SearchLogs.run(["--file", errorLog])
+    expect(result.length).toBe(5)
+    expect(result[2]).toEqual({
+        file: errorLog,
+        format: 'error',
+        timestamp: '2019-09-10T10:07:00.001Z',
+        pod: 'cm-p1-e1-aem-author-5b8-q7l9s',
+        level: 'ERROR',
+        thread: '127.0.0.1 [1568110020001] GET /content/site/de.html HTTP/1.1',
+        logger: 'com.example.core.servlets.SearchServlet$Handler',
+        message: 'Search failed\njava.lang.NullPointerException: null\n\tat com.example.core.servlets.SearchServlet$Handler.handle(SearchServlet.java:42)\n\tat org.apache.sling.api.servlets.SlingSafeMethodsServlet.service(SlingSafeMethodsServlet.java:344)',
+        raw: expect.stringMatching(/^10\.09\.2019 10:07:00\.001 .*\n.*\n.*\n.*service\(SlingSafeMethodsServlet\.java:344\)$/)
+    })
+    expect(SearchLogs.prototype.log.mock.calls.length).toBe(5)
+})
+
+test('search-logs - level and logger', async () => {
+    expect.assertions(2)
+
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "level=warn"])).map(entry => entry.level)).toEqual(['WARN', 'ERROR', 'ERROR'])
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "level=DEBUG", "-f", "logger=com.example.core"])).map(entry => entry.logger)).toEqual([
+        'com.example.core.models.HeroModel',
+        'com.example.core.servlets.SearchServlet$Handler',
+        'com.example.core.jobs.CleanupJob'
+    ])
+})
+
+test('search-logs - logger patterns', async () => {
+    expect.assertions(2)
+
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "logger=com.example.core.servlets.SearchServlet"])).length).toBe(1)
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "logger=*.jobs.*"])).map(entry => entry.logger)).toEqual([
+        'com.example.core.jobs.CleanupJob',
+        'org.apache.sling.event.impl.jobs.JobConsumerManager'
+    ])
+})
+
+test('search-logs - time range', async () => {
+    expect.assertions(2)
+
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "since=2019-09-10T10:05:00Z", "-f", "until=2019-09-10T11:30:00Z"])).map(entry => entry.timestamp)).toEqual([
+        '2019-09-10T10:05:12.345Z',
+        '2019-09-10T10:07:00.001Z',
+        '2019-09-10T11:30:00.000Z'
+    ])
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2019, 8, 10, 12, 30))
+    expect((await SearchLogs.run(["--file", errorLog, "-f", "since=45m"])).map(entry => entry.timestamp)).toEqual(['2019-09-10T12:00:00.000Z'])
+})
+
+test('search-logs - regex includes stack traces', async () => {
+    expect.assertions(2)
+
+    const result = await SearchLogs.run(["--file", errorLog, "-f", "regex=NullPointer\\w+"])
+    expect(result.map(entry => entry.logger)).toEqual(['com.example.core.servlets.SearchServlet$Handler'])
+    expect(SearchLogs.prototype.log.mock.calls[0][0]).toBe(result[0].raw)
+})
+
+test('search-logs - request log', async () => {
+    expect.assertions(2)
+
+    const result = await SearchLogs.run(["--file", requestLog, "-f", "path=/content/site"])
+    expect(result).toMatchObject([
+        { format: 'request', requestId: '1', method: 'GET', path: '/content/site/en.html', timestamp: '2019-09-10T10:05:12.000Z' },
+        { format: 'request', requestId: '1', method: 'GET', path: '/content/site/en.html', status: 200, contentType: 'text/html', duration: '111ms' }
+    ])
+    expect((await SearchLogs.run(["--file", requestLog, "-f", "path=/content/site/e"])).length).toBe(0)
+})
+
+test('search-logs - access log', async () => {
+    expect.assertions(2)
+
+    const result = await SearchLogs.run(["--file", accessLog, "-f", "path=/content/*"])
+    expect(result).toEqual([{
+        file: accessLog,
+        format: 'access',
+        timestamp: '2019-09-10T10:05:13.000Z',
+        host: 'cm-p1-e1-aem-author-5b8-q7l9s',
+        user: 'admin',
+        method: 'GET',
+        path: '/content/site/en.html',
+        status: 200,
+        size: 1141,
+        referer: 'https://author.example.com/sites.html',
+        userAgent: 'Mozilla/5.0',
+        message: 'GET /content/site/en.html?wcmmode=disabled HTTP/1.1',
+        raw: expect.stringMatching(/^cm-p1-e1/)
+    }])
+    // access log entries have no level
+    expect((await SearchLogs.run(["--file", accessLog, "-f", "level=TRACE"])).length).toBe(0)
+})
+
+test('search-logs - dispatcher log', async () => {
+    expect.assertions(2)
+
+    await expect(SearchLogs.run(["--file", dispatcherLog, "-f", "level=WARN"])).resolves.toMatchObject([
+        { format: 'dispatcher', level: 'WARN', message: expect.stringMatching(/^Unable to fetch vanity URLs/) },
+        { format: 'dispatcher', level: 'ERROR', method: 'GET', path: '/content/site/de.html', status: 502, pod: 'cm-p1-e1-aem-publish-6db-99ng4' }
+    ])
+    expect((await SearchLogs.run(["--file", dispatcherLog, "-f", "path=/content/site/en.html"])).map(entry => entry.level)).toEqual(['INFO'])
+})
+
+test('search-logs - httpd error log', async () => {
+    expect.assertions(2)
+
+    await expect(SearchLogs.run(["--file", httpdErrorLog])).resolves.toMatchObject([
+        { format: 'httpderror', timestamp: '2019-09-10T10:05:12.000Z', level: 'INFO', logger: 'mpm_worker', pod: 'cm-p1-e1-aem-publish-6db-99ng4' },
+        { format: 'httpderror', timestamp: '2019-09-10T10:05:14.123Z', level: 'ERROR', logger: 'core', thread: 'pid 123:tid 456', client: '10.0.0.1:5678', message: 'AH00126: Invalid URI in request GET /../etc/passwd HTTP/1.1' },
+        { format: 'httpderror', level: 'TRACE', logger: 'rewrite' }
+    ])
+    expect((await SearchLogs.run(["--file", httpdErrorLog, "-f", "level=WARN"])).map(entry => entry.logger)).toEqual(['core'])
+})
+
+test('search-logs - several files', async () => {
+    expect.assertions(3)
+
+    const result = await SearchLogs.run(["-f", "level=ERROR", "--file", errorLog, path.join(logs, 'aemerror-archive.log.gz'), "--file", dispatcherLog])
+    expect(result.map(entry => path.basename(entry.file))).toEqual(['aemerror.log', 'aemerror.log', 'aemerror-archive.log.gz', 'aemerror-archive.log.gz', 'dispatcher.log'])
+    expect(SearchLogs.prototype.log.mock.calls[0][0]).toBe(`${errorLog}:${result[0].raw}`)
+    expect(SearchLogs.prototype.log.mock.calls[4][0]).toBe(`${dispatcherLog}:${result[4].raw}`)
+})
+
+test('search-logs - highlighting', async () => {
+    expect.assertions(2)
+    chalk.level = 1
+
+    await SearchLogs.run(["--file", errorLog, "-f", "regex=Null\\w+|SearchServlet\\.java", "-f", "logger=com.example.core.servlets"])
+    expect(SearchLogs.prototype.log.mock.calls[0][0]).toBe([
+        `10.09.2019 10:07:00.001 [cm-p1-e1-aem-author-5b8-q7l9s] *ERROR* [127.0.0.1 [1568110020001] GET /content/site/de.html HTTP/1.1] ${chalk.red.bold('com.example.core.servlets.SearchServlet$Handler')} Search failed`,
+        `java.lang.${chalk.red.bold('NullPointerException')}: null`,
+        `\tat ${chalk.red.bold('com.example.core.servlets.SearchServlet$Handler')}.handle(${chalk.red.bold('SearchServlet.java')}:42)`,
+        '\tat org.apache.sling.api.servlets.SlingSafeMethodsServlet.service(SlingSafeMethodsServlet.java:344)'
+    ].join('\n'))
+
+    await SearchLogs.run(["--file", accessLog, "-f", "path=/content/site"])
+    expect(SearchLogs.prototype.log.mock.calls[1][0]).toMatch(`"GET ${chalk.red.bold('/content/site/en.html')}?wcmmode=disabled HTTP/1.1"`)
+})
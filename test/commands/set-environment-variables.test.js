@@ -0,0 +1,134 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const path = require('path')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const SetEnvironmentVariablesCommand = require('../../src/commands/cloudmanager/set-environment-variables')
+
+const variablesUrl = 'https://cloudmanager.adobe.io/api/program/4/environment/1/variables'
+const fixtures = path.join(__dirname, '../fixtures/variables')
+
+function lastPatch() {
+    return JSON.parse(fetchMock.lastOptions(variablesUrl, { method: 'PATCH' }).body)
+}
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    cli.action.stop.mockClear()
+})
+
+afterEach(() => {
+    jest.restoreAllMocks()
+})
+
+test('set-environment-variables - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = SetEnvironmentVariablesCommand.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('set-environment-variables - no variables', async () => {
+    expect.assertions(1)
+
+    let runResult = SetEnvironmentVariablesCommand.run(["--programId", "4", "1"])
+    await expect(runResult).rejects.toEqual(new Error('No variables given. Use --variable, --secret, --secretFile, --file, --secretsFile or --delete'))
+})
+
+test('set-environment-variables - invalid variables', async () => {
+    expect.assertions(2)
+
+    await expect(SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-v", "NAME"])).rejects.toEqual(new Error('Variables are given as NAME=value. Could not understand NAME'))
+    await expect(SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-v", "1NAME=a", "-v", "OTHER=b", "-d", "OTHER"])).rejects.toEqual(new Error([
+        'Invalid variables:',
+        '  1NAME is not a valid variable name. Names consist of letters, digits and underscores and do not start with a digit',
+        '  OTHER is given more than once'
+    ].join('\n')))
+})
+
+test('set-environment-variables - variables and deletions', async () => {
+    expect.assertions(3)
+
+    const result = await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-v", "KEY=new=value", "-d", "I_AM_A_SECRET"])
+    expect(lastPatch()).toEqual([
+        { name: 'KEY', value: 'new=value', type: 'string' },
+        { name: 'I_AM_A_SECRET', type: 'secretString' }
+    ])
+    expect(result.map(variable => variable.value)).toEqual(['https://api.example.com', '30', 'new=value'])
+    expect(cli.action.stop.mock.calls[0][0]).toBe('updated 2 variables of environment 1')
+})
+
+test('set-environment-variables - secrets from stdin', async () => {
+    jest.spyOn(SetEnvironmentVariablesCommand.prototype, 'readStdin').mockResolvedValue('first\r\nsecond\n')
+
+    expect.assertions(2)
+
+    await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-s", "FIRST", "-s", "SECOND"])
+    expect(lastPatch()).toEqual([
+        { name: 'FIRST', value: 'first', type: 'secretString' },
+        { name: 'SECOND', value: 'second', type: 'secretString' }
+    ])
+
+    await expect(SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-s", "FIRST", "-s", "SECOND", "-s", "THIRD"])).rejects.toEqual(
+        new Error('Expected the values of FIRST, SECOND, THIRD on stdin, one per line, but got 2 lines'))
+})
+
+test('set-environment-variables - secret from a file', async () => {
+    expect.assertions(2)
+
+    await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "--secretFile", `TOKEN=${path.join(fixtures, 'secret.txt')}`])
+    expect(lastPatch()).toEqual([{ name: 'TOKEN', value: 's3cret', type: 'secretString' }])
+
+    await expect(SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "--secretFile", "TOKEN=missing.txt"])).rejects.toSatisfy(err => err.message.indexOf('Cannot read secret TOKEN from missing.txt: ENOENT') === 0)
+})
+
+test('set-environment-variables - dotenv file', async () => {
+    expect.assertions(1)
+
+    await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-f", path.join(fixtures, 'variables.env')])
+    expect(lastPatch()).toEqual([
+        { name: 'API_URL', value: 'https://api.example.com', type: 'string' },
+        { name: 'GREETING', value: 'Hello\nWorld', type: 'string' },
+        { name: 'QUOTED', value: 'not # a comment', type: 'string' },
+        { name: 'TIMEOUT', value: '30', type: 'string' },
+        { name: 'EMPTY', value: '', type: 'string' }
+    ])
+})
+
+test('set-environment-variables - json and secrets files', async () => {
+    expect.assertions(2)
+
+    await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-f", path.join(fixtures, 'variables.json')])
+    expect(lastPatch()).toEqual([
+        { name: 'API_URL', value: 'https://api.example.com', type: 'string' },
+        { name: 'API_TOKEN', value: 't0ken', type: 'secretString' }
+    ])
+
+    await SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "--secretsFile", path.join(fixtures, 'variables.env')])
+    expect(lastPatch().map(variable => variable.type)).toEqual(['secretString', 'secretString', 'secretString', 'secretString', 'secretString'])
+})
+
+test('set-environment-variables - unparseable file', async () => {
+    expect.assertions(1)
+
+    await expect(SetEnvironmentVariablesCommand.run(["--programId", "4", "1", "-f", path.join(fixtures, 'secret.txt')])).rejects.toEqual(
+        new Error(`Cannot parse variables file ${path.join(fixtures, 'secret.txt')}: line 1 is not of the form NAME=value`))
+})
@@ -11,11 +11,13 @@ governing permissions and limitations under the License.
 */
 
 const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
 const { setStore } = require('@adobe/aio-lib-core-config')
 const StartExecutionCommand = require('../../src/commands/cloudmanager/start-execution')
 
 beforeEach(() => {
     setStore({})
+    jest.restoreAllMocks()
 })
 
 test('start-execution - missing arg', async () => {
@@ -31,7 +33,7 @@ test('start-execution - missing config', async () => {
 
     let runResult = StartExecutionCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
 })
 
@@ -49,7 +51,7 @@ test('start-execution - bad pipeline', async () => {
 
     let runResult = StartExecutionCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot start execution. Pipeline 10 does not exist.")
 })
 
@@ -67,7 +69,7 @@ test('start-execution - failed 412', async () => {
 
     let runResult = StartExecutionCommand.run(["--programId", "5", "6"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 14)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot create execution. Pipeline already running.")
 })
 
@@ -89,4 +91,179 @@ test('start-execution - success', async () => {
     await expect(cli.action.stop.mock.calls[0][0]).toBe("started execution ID 12742")
 })
 
+function execution(status, buildStatus, deployStatus, deployAction = 'deploy') {
+    return {
+        id: "12742",
+        status,
+        _embedded: {
+            stepStates: [
+                {
+                    id: "1",
+                    action: "build",
+                    status: buildStatus
+                },
+                {
+                    id: "2",
+                    action: deployAction,
+                    environmentType: "stage",
+                    status: deployStatus
+                }
+            ]
+        }
+    }
+}
 
+test('start-execution - wait until finished', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("RUNNING", "RUNNING", "NOT_STARTED"),
+        execution("RUNNING", "RUNNING", "NOT_STARTED"),
+        execution("RUNNING", "FINISHED", "RUNNING"),
+        execution("FINISHED", "FINISHED", "FINISHED")
+    ])
+
+    const log = jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "1"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        id: "12742",
+        status: "FINISHED"
+    })
+    await expect(log.mock.calls.map(call => call[0])).toEqual([
+        "Build: Running",
+        "Build: Finished",
+        "Stage Deploy: Running",
+        "Stage Deploy: Finished",
+        "execution 12742 finished"
+    ])
+})
+
+test('start-execution - wait until failed', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("RUNNING", "RUNNING", "NOT_STARTED"),
+        execution("FAILED", "FAILED", "NOT_STARTED")
+    ])
+
+    jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "1"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 3)
+})
+
+test('start-execution - wait until cancelled', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("CANCELLED", "CANCELLED", "NOT_STARTED")
+    ])
+
+    jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "1"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 4)
+})
+
+test('start-execution - wait until approval', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("RUNNING", "FINISHED", "WAITING", "approval")
+    ])
+
+    const log = jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(3)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "1"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 5)
+    await expect(log.mock.calls[log.mock.calls.length - 1][0]).toBe("execution 12742 is waiting for approval")
+})
+
+test('start-execution - wait until scheduled deployment', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("RUNNING", "FINISHED", "WAITING", "schedule")
+    ])
+
+    const log = jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 5)
+    await expect(log.mock.calls[log.mock.calls.length - 1][0]).toBe("execution 12742 is waiting for its scheduled deployment")
+})
+
+test('start-execution - interval below 1', async () => {
+    expect.assertions(2)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "0"])
+    await expect(runResult).rejects.toEqual(new Error('The interval must be at least 1 second, not 0'))
+    await expect(cli.action.start.mock.calls.length).toBe(0)
+})
+
+test('start-execution - wait timeout', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    fetchMock.setPipeline5Executions([
+        execution("RUNNING", "RUNNING", "NOT_STARTED")
+    ])
+
+    jest.spyOn(StartExecutionCommand.prototype, 'log').mockImplementation(() => {})
+
+    expect.assertions(2)
+
+    let runResult = StartExecutionCommand.run(["--programId", "5", "5", "--wait", "--interval", "1", "--timeout", "1"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 6)
+})
@@ -0,0 +1,98 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const SyncEnvironmentVariablesCommand = require('../../src/commands/cloudmanager/sync-environment-variables')
+
+const targetUrl = 'https://cloudmanager.adobe.io/api/program/4/environment/2/variables'
+
+function patchCount() {
+    return fetchMock.calls(targetUrl, { method: 'PATCH' }).length
+}
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    cli.action.stop.mockClear()
+    jest.spyOn(SyncEnvironmentVariablesCommand.prototype, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+    jest.restoreAllMocks()
+})
+
+test('sync-environment-variables - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = SyncEnvironmentVariablesCommand.run(["1"])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('sync-environment-variables - nothing selected', async () => {
+    expect.assertions(2)
+
+    await expect(SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2"])).rejects.toEqual(new Error('No variables selected. Use --variable to select variables by name or --all to copy all of them'))
+    await expect(SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "-v", "MISSING_*"])).rejects.toEqual(new Error('No variables of environment 1 match MISSING_*'))
+})
+
+test('sync-environment-variables - dry run', async () => {
+    expect.assertions(3)
+
+    const before = patchCount()
+    const result = await SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "--all", "--dryRun"])
+    expect(result.map(step => [step.name, step.action])).toEqual([
+        ['KEY', 'set'],
+        ['I_AM_A_SECRET', 'skipped'],
+        ['API_URL', 'unchanged'],
+        ['API_TIMEOUT', 'set']
+    ])
+    expect(SyncEnvironmentVariablesCommand.prototype.log.mock.calls.map(call => call[0])).toEqual([
+        '  KEY: "other value" -> "value"',
+        '  I_AM_A_SECRET: skipped, the values of secrets cannot be read. Set it with set-environment-variables --secret',
+        '  API_TIMEOUT: (absent) -> "30"'
+    ])
+    expect(patchCount()).toBe(before)
+})
+
+test('sync-environment-variables - selected variables', async () => {
+    expect.assertions(2)
+
+    await SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "-v", "API_*"])
+    expect(JSON.parse(fetchMock.lastOptions(targetUrl, { method: 'PATCH' }).body)).toEqual([{ name: 'API_TIMEOUT', value: '30', type: 'string' }])
+    expect(cli.action.stop.mock.calls[0][0]).toBe('copied 1 variable from environment 1 to environment 2')
+})
+
+test('sync-environment-variables - up to date', async () => {
+    expect.assertions(2)
+
+    const before = patchCount()
+    await SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "-v", "API_URL"])
+    expect(SyncEnvironmentVariablesCommand.prototype.log.mock.calls[0][0]).toBe('variables of environment 2 are up to date')
+    expect(patchCount()).toBe(before)
+})
+
+test('sync-environment-variables - all of an empty environment', async () => {
+    expect.assertions(2)
+
+    const before = patchCount()
+    jest.spyOn(SyncEnvironmentVariablesCommand.prototype, 'getEnvironmentVariables').mockResolvedValue([])
+    await expect(SyncEnvironmentVariablesCommand.run(["--programId", "4", "1", "2", "--all"])).rejects.toEqual(new Error('No variables found in environment 1'))
+    expect(patchCount()).toBe(before)
+})
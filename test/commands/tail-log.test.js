@@ -23,7 +23,7 @@ test('tail-log - missing arg', async () => {
 
     let runResult = TailLog.run([])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 3 required args") === 0)
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 2 required args") === 0)
 })
 
 test('tail-log - missing config', async () => {
@@ -67,3 +67,197 @@ test('tail-log - no logs for tailing', async () => {
     await expect(runResult instanceof Promise).toBeTruthy()
     await expect(runResult).rejects.toEqual(new Error('No logs for tailing available in 1 for program 4'))
 })
+
+test('tail-log - bad filter', async () => {
+    expect.assertions(1)
+
+    let runResult = TailLog.run(["1", "author", "aemerror", "--programId", "4", "--filter", "level"])
+    await expect(runResult).rejects.toEqual(new Error('Filter level needs a value'))
+})
+
+test('tail-log - filter', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const written = []
+    jest.spyOn(process.stdout, 'write').mockImplementation(text => written.push(text.toString()))
+    jest.spyOn(Client.prototype, 'tailLogs').mockImplementation((programId, sources, writeStreamFor) => {
+        const writeStream = writeStreamFor(sources[0])
+        writeStream.write('10.09.2019 10:00:00.000 *INFO* [main] com.example.Service started\n10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed\n')
+        // the rest of the stack trace arrives with the next response
+        writeStream.write('java.lang.IllegalStateException\n\tat com.example.Service.start(Service.java:10)\n10.09.2019 10:00:02.000 *INFO* [main] com.example.Service retry\n\tat com.example.Service.retry(Service.java:20)\n')
+        return new Promise(resolve => setImmediate(resolve))
+    })
+
+    expect.assertions(1)
+
+    // filters given before the logs do not take them as values
+    await TailLog.run(["--filter", "level=WARN", "-f", "logger=com.example", "1", "author", "aemerror", "--programId", "4"])
+    jest.restoreAllMocks()
+
+    expect(written.join('')).toBe('10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed\njava.lang.IllegalStateException\n\tat com.example.Service.start(Service.java:10)\n\n')
+})
+
+test('tail-log - characters split across chunks', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const written = []
+    jest.spyOn(process.stdout, 'write').mockImplementation(text => written.push(text.toString()))
+    jest.spyOn(Client.prototype, 'tailLogs').mockImplementation((programId, sources, writeStreamFor) => {
+        const bytes = Buffer.from('10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed to read Zürich\n')
+        const split = bytes.indexOf(0xc3) + 1
+        const writeStream = writeStreamFor(sources[0])
+        writeStream.write(bytes.slice(0, split))
+        writeStream.write(bytes.slice(split))
+        return new Promise(resolve => setImmediate(resolve))
+    })
+
+    expect.assertions(2)
+
+    await TailLog.run(["1", "author", "aemerror", "--programId", "4", "-f", "regex=Zürich"])
+    await TailLog.run(["1", "author", "aemerror", "2", "publish", "aemerror", "--programId", "4"])
+    jest.restoreAllMocks()
+
+    const lines = written.join('').split('\n').filter(line => line !== '')
+    expect(lines[0]).toBe('10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed to read Zürich')
+    expect(lines[1]).toMatch(/\[1\/author\/aemerror\] .* failed to read Zürich$/)
+})
+
+test('tail-log - jsonl', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const written = []
+    jest.spyOn(process.stdout, 'write').mockImplementation(text => written.push(text.toString()))
+    jest.spyOn(Client.prototype, 'tailLogs').mockImplementation((programId, sources, writeStreamFor) => {
+        const writeStream = writeStreamFor(sources[0])
+        writeStream.write('\tat com.example.Service.stop(Service.java:5)\n10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed\njava.lang.IllegalStateException\n')
+        writeStream.write('\tat com.example.Service.start(Service.java:10)\n')
+        return Promise.resolve()
+    })
+
+    expect.assertions(1)
+
+    await TailLog.run(["1", "author", "aemerror", "--programId", "4", "--format", "jsonl"])
+    jest.restoreAllMocks()
+
+    expect(written.join('').split('\n').slice(0, 2).map(line => JSON.parse(line))).toEqual([
+        { message: '\tat com.example.Service.stop(Service.java:5)' },
+        {
+            timestamp: '2019-09-10T10:00:01.000Z',
+            level: 'ERROR',
+            thread: 'main',
+            logger: 'com.example.Service',
+            message: 'failed\njava.lang.IllegalStateException\n\tat com.example.Service.start(Service.java:10)',
+            format: 'error'
+        }
+    ])
+})
+
+test('tail-log - incomplete log', async () => {
+    expect.assertions(1)
+
+    let runResult = TailLog.run(["1", "author", "aemerror", "2", "publish", "--programId", "4"])
+    await expect(runResult).rejects.toEqual(new Error('Logs are given as ENVIRONMENT_ID SERVICE NAME or ENVIRONMENT_ID all. Could not understand 2 publish'))
+})
+
+test('tail-log - several logs', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const written = []
+    jest.spyOn(process.stdout, 'write').mockImplementation(text => written.push(text.toString()))
+    jest.spyOn(Client.prototype, 'tailLogs').mockImplementation((programId, sources, writeStreamFor) => {
+        const author = writeStreamFor({ environmentId: '1', service: 'author', name: 'aemerror' })
+        const dispatcher = writeStreamFor({ environmentId: '2', service: 'dispatcher', name: 'httpderror' })
+        author.write('10.09.2019 10:00:00.000 *INFO* [main] com.example.Service started\n10.09.2019 10:00:01.000 *ERROR* [main] com.example.')
+        dispatcher.write('[10/Sep/2019:10:00:01 +0000] [core:error] [pid 1:tid 2] AH00126: Invalid URI\n')
+        author.write('Service failed\n')
+        return Promise.resolve()
+    })
+
+    expect.assertions(1)
+
+    await TailLog.run(["1", "author", "aemerror", "2", "dispatcher", "httpderror", "--programId", "4"])
+    jest.restoreAllMocks()
+
+    expect(written.join('').split('\n').slice(0, 3)).toEqual([
+        '[1/author/aemerror] 10.09.2019 10:00:00.000 *INFO* [main] com.example.Service started',
+        '[2/dispatcher/httpderror] [10/Sep/2019:10:00:01 +0000] [core:error] [pid 1:tid 2] AH00126: Invalid URI',
+        '[1/author/aemerror] 10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed'
+    ])
+})
+
+test('tail-log - several logs as json lines', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    const written = []
+    jest.spyOn(process.stdout, 'write').mockImplementation(text => written.push(text.toString()))
+    jest.spyOn(Client.prototype, 'tailLogs').mockImplementation((programId, sources, writeStreamFor) => {
+        expect(sources).toEqual([{ environmentId: '1', service: 'all' }])
+        writeStreamFor({ environmentId: '1', service: 'publish', name: 'aemerror' }).write('10.09.2019 10:00:01.000 *ERROR* [main] com.example.Service failed\n')
+        return Promise.resolve()
+    })
+
+    expect.assertions(2)
+
+    await TailLog.run(["1", "all", "--programId", "4", "--format", "jsonl", "-f", "level=ERROR"])
+    jest.restoreAllMocks()
+
+    expect(JSON.parse(written.join('').split('\n')[0])).toEqual({
+        timestamp: '2019-09-10T10:00:01.000Z',
+        level: 'ERROR',
+        thread: 'main',
+        logger: 'com.example.Service',
+        message: 'failed',
+        format: 'error',
+        environmentId: '1',
+        service: 'publish',
+        name: 'aemerror'
+    })
+})
+
+test('tail-log - single log with the tailLog method', async () => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+    jest.spyOn(Client.prototype, 'tailLog').mockImplementation(() => Promise.resolve())
+
+    expect.assertions(1)
+
+    await new TailLog().tailLog('4', '1', 'author', 'aemerror')
+    expect(Client.prototype.tailLog).toHaveBeenCalledWith('4', '1', 'author', 'aemerror', process.stdout)
+    jest.restoreAllMocks()
+})
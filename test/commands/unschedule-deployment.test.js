@@ -0,0 +1,65 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+
+const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const UnscheduleDeployment = require('../../src/commands/cloudmanager/unschedule-deployment')
+
+beforeEach(() => {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        })
+    })
+})
+
+test('unschedule-deployment - missing arg', async () => {
+    expect.assertions(1)
+
+    let runResult = UnscheduleDeployment.run([])
+    await expect(runResult).rejects.toSatisfy(err => err.message.indexOf("Missing 1 required arg") === 0)
+})
+
+test('unschedule-deployment - bad pipeline', async () => {
+    expect.assertions(2)
+
+    let runResult = UnscheduleDeployment.run(["--programId", "5", "10"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot get execution. Pipeline 10 does not exist.")
+})
+
+test('unschedule-deployment - success', async () => {
+    fetchMock.setPipeline7Execution("1009")
+
+    expect.assertions(3)
+
+    let runResult = UnscheduleDeployment.run(["--programId", "5", "7"])
+    await expect(runResult).resolves.toMatchObject({ executionId: '1009', details: { scheduledAt: '2019-07-13T23:00:00.000Z' } })
+    await expect(JSON.parse(fetchMock.lastOptions('schedule-1009').body)).toEqual({ scheduledAt: null })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("unscheduled deployment of execution 1009, which was scheduled for 2019-07-13T23:00:00.000Z")
+})
+
+test('unschedule-deployment - not scheduled', async () => {
+    fetchMock.setPipeline7Execution("1008")
+
+    expect.assertions(3)
+
+    let runResult = UnscheduleDeployment.run(["--programId", "5", "7"])
+    await expect(runResult).resolves.toMatchObject({ executionId: '1008' })
+    await expect(fetchMock.called('schedule-1008')).toBe(false)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("deployment of execution 1008 was not scheduled")
+})
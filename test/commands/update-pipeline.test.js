@@ -11,6 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const { cli } = require('cli-ux')
+const fetchMock = require('node-fetch')
 const { setStore } = require('@adobe/aio-lib-core-config')
 const UpdatePipelineCommand = require('../../src/commands/cloudmanager/update-pipeline')
 
@@ -31,7 +32,7 @@ test('update-pipeline - missing config', async () => {
 
     let runResult = UpdatePipelineCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("missing config data: jwt-auth")
 })
 
@@ -49,7 +50,7 @@ test('update-pipeline - bad pipeline', async () => {
 
     let runResult = UpdatePipelineCommand.run(["--programId", "5", "10"])
     await expect(runResult instanceof Promise).toBeTruthy()
-    await expect(runResult).resolves.toEqual(undefined)
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
     await expect(cli.action.stop.mock.calls[0][0]).toBe("Cannot update pipeline. Pipeline 10 does not exist.")
 })
 
@@ -163,3 +164,165 @@ test('update-pipeline - correct tag', async () => {
     await expect(cli.action.stop.mock.calls[0][0]).toBe("updated pipeline ID 5")
 })
 
+
+function setGoodStore() {
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+    })
+}
+
+test('update-pipeline - trigger', async () => {
+    setGoodStore()
+
+    expect.assertions(3)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--trigger", "MANUAL"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        trigger: 'MANUAL'
+    })
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("updated pipeline ID 5")
+})
+
+test('update-pipeline - prod deployment mode and cse oversight', async () => {
+    setGoodStore()
+
+    const updatePipeline = jest.spyOn(UpdatePipelineCommand.prototype, 'updatePipeline')
+
+    expect.assertions(3)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--prodDeploymentMode", "scheduled", "--cseOversight"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        phases: expect.arrayContaining([{
+            name: 'DEPLOY_PROD',
+            type: 'DEPLOY',
+            environmentId: '1',
+            environmentType: 'prod',
+            approval: true,
+            scheduled: true,
+            cseOversight: true
+        }])
+    })
+    await expect(updatePipeline.mock.calls[0][2]).toEqual({
+        prodDeploymentMode: 'scheduled',
+        cseOversight: true
+    })
+    updatePipeline.mockRestore()
+})
+
+test('update-pipeline - phase properties', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY:stage.environmentId=3", "--phaseProperty", "DEPLOY_PROD.cseOversight=true", "--phaseProperty", "build.branch=develop"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).resolves.toMatchObject({
+        phases: [{
+            name: 'VALIDATE'
+        }, {
+            name: 'BUILD_1',
+            branch: 'develop'
+        }, {
+            name: 'DEPLOY_STAGE',
+            environmentId: '3'
+        }, {
+            name: 'DEPLOY_PROD',
+            cseOversight: true
+        }]
+    })
+})
+
+test('update-pipeline - malformed phase property', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY_PROD"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toEqual(new Error("phaseProperty should be specified as SELECTOR.PROPERTY=VALUE. Value provided was DEPLOY_PROD"))
+})
+
+test('update-pipeline - invalid phase property changes', async () => {
+    setGoodStore()
+
+    expect.assertions(10)
+
+    await expect(UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "BUILD_1.environmentId=3"])).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY.approval=true"])).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY:dev.approval=true"])).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY:prod.approval=yes"])).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY:stage.environmentId=1"])).rejects.toSatisfy(err => err.oclif.exit === 2)
+
+    // oclif stops the spinner with ! when a command exits with an error
+    const messages = cli.action.stop.mock.calls.map(call => call[0]).filter(message => message !== '!')
+    await expect(messages[0]).toBe("Phase BUILD_1 does not have a property environmentId. Known properties are name, repositoryId, branch")
+    await expect(messages[1]).toBe("Phase selector DEPLOY matches more than one phase of pipeline 5: DEPLOY_STAGE, DEPLOY_PROD")
+    await expect(messages[2]).toBe("Pipeline 5 does not have a phase matching DEPLOY:dev")
+    await expect(messages[3]).toBe("approval of phase DEPLOY_PROD must be true or false")
+    await expect(messages[4]).toBe("Environment 1 would be deployed to by more than one phase")
+})
+
+test('update-pipeline - approval and scheduling', async () => {
+    setGoodStore()
+
+    expect.assertions(1)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--phaseProperty", "DEPLOY:prod.scheduled=true"])
+    await expect(runResult).resolves.toMatchObject({
+        phases: expect.arrayContaining([expect.objectContaining({
+            name: 'DEPLOY_PROD',
+            approval: true,
+            scheduled: true
+        })])
+    })
+})
+
+test('update-pipeline - no production phase', async () => {
+    setGoodStore()
+
+    expect.assertions(3)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "6", "--no-cseOversight"])
+    await expect(runResult instanceof Promise).toBeTruthy()
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 2)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Pipeline 6 does not appear to have a production deployment phase")
+})
+
+test('update-pipeline - unknown branch', async () => {
+    setGoodStore()
+    fetchMock.resetHistory()
+
+    expect.assertions(3)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--branch", "purple"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Branch purple does not exist in repository 1. The branches can be listed with list-branches 1")
+    await expect(fetchMock.called('https://cloudmanager.adobe.io/api/program/5/pipeline/5', { method: 'PATCH' })).toBe(false)
+})
+
+test('update-pipeline - branch of another repository', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--branch", "master", "--repositoryId", "4"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Branch master does not exist in repository 4. The branches can be listed with list-branches 4")
+})
+
+test('update-pipeline - unknown repository', async () => {
+    setGoodStore()
+
+    expect.assertions(2)
+
+    let runResult = UpdatePipelineCommand.run(["--programId", "5", "5", "--repositoryId", "3"])
+    await expect(runResult).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(cli.action.stop.mock.calls[0][0]).toBe("Could not find repository 3 for program 5")
+})
@@ -0,0 +1,63 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Response } = jest.requireActual('node-fetch')
+const { AlreadyRunningError, CloudManagerError, ConflictError, ForbiddenError, NotFoundError, ServerError, UnauthorizedError, errorFromResponse } = require('../src/errors')
+
+function response(status, body) {
+    return new Response(body, { status, url: 'https://cloudmanager.adobe.io/api/programs' })
+}
+
+test('errorFromResponse - error class by status', async () => {
+    expect.assertions(7)
+
+    await expect(errorFromResponse(response(400), 'bad')).resolves.toBeInstanceOf(CloudManagerError)
+    await expect(errorFromResponse(response(401), 'unauthorized')).resolves.toBeInstanceOf(UnauthorizedError)
+    await expect(errorFromResponse(response(403), 'forbidden')).resolves.toBeInstanceOf(ForbiddenError)
+    await expect(errorFromResponse(response(404), 'not found')).resolves.toBeInstanceOf(NotFoundError)
+    await expect(errorFromResponse(response(409), 'conflict')).resolves.toBeInstanceOf(ConflictError)
+    await expect(errorFromResponse(response(412), 'running', AlreadyRunningError)).resolves.toBeInstanceOf(ConflictError)
+    await expect(errorFromResponse(response(502), 'server')).resolves.toBeInstanceOf(ServerError)
+})
+
+test('errorFromResponse - parsed body and code', async () => {
+    const error = await errorFromResponse(response(412, JSON.stringify({
+        type: 'http://ns.adobe.com/adobecloud/validation-exception',
+        errorCode: 'PIPELINE_RUNNING',
+        title: 'Pipeline is already running'
+    })), 'Cannot create execution. Pipeline already running.', AlreadyRunningError)
+
+    expect(error.message).toEqual('Cannot create execution. Pipeline already running.')
+    expect(error.name).toEqual('AlreadyRunningError')
+    expect(error.status).toEqual(412)
+    expect(error.url).toEqual('https://cloudmanager.adobe.io/api/programs')
+    expect(error.code).toEqual('PIPELINE_RUNNING')
+    expect(error.body.title).toEqual('Pipeline is already running')
+    expect(error.exitCode).toEqual(14)
+})
+
+test('errorFromResponse - text body', async () => {
+    const error = await errorFromResponse(response(503, 'upstream unavailable'), 'Cannot retrieve programs')
+
+    expect(error.body).toEqual('upstream unavailable')
+    expect(error.code).toBeUndefined()
+    expect(error.exitCode).toEqual(15)
+})
+
+test('exit codes', () => {
+    expect(new CloudManagerError('').exitCode).toEqual(10)
+    expect(new UnauthorizedError('').exitCode).toEqual(11)
+    expect(new ForbiddenError('').exitCode).toEqual(12)
+    expect(new NotFoundError('').exitCode).toEqual(13)
+    expect(new ConflictError('').exitCode).toEqual(14)
+    expect(new ServerError('').exitCode).toEqual(15)
+})
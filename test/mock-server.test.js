@@ -0,0 +1,276 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+jest.unmock('node-fetch')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const fetch = require('node-fetch')
+const { cli } = require('cli-ux')
+const { setStore } = require('@adobe/aio-lib-core-config')
+const jwtAuth = require('@adobe/aio-cli-plugin-jwt-auth')
+const MockCloudManager = require('./mock-server/mock-cloud-manager')
+const ListProgramsCommand = require('../src/commands/cloudmanager/list-programs')
+const ListPipelinesCommand = require('../src/commands/cloudmanager/list-pipelines')
+const ListRepositoriesCommand = require('../src/commands/cloudmanager/list-repositories')
+const ListBranchesCommand = require('../src/commands/cloudmanager/list-branches')
+const StartExecutionCommand = require('../src/commands/cloudmanager/start-execution')
+const GetCurrentExecutionCommand = require('../src/commands/cloudmanager/get-current-execution')
+const AdvanceCurrentExecutionCommand = require('../src/commands/cloudmanager/advance-current-execution')
+const CancelCurrentExecutionCommand = require('../src/commands/cloudmanager/cancel-current-execution')
+const GetQualityGateResultsCommand = require('../src/commands/cloudmanager/get-quality-gate-results')
+const ListExecutionsCommand = require('../src/commands/cloudmanager/list-executions')
+const DownloadLogsCommand = require('../src/commands/cloudmanager/download-logs')
+const DownloadStepArtifactsCommand = require('../src/commands/cloudmanager/download-step-artifacts')
+const UpdatePipelineCommand = require('../src/commands/cloudmanager/update-pipeline')
+const ScheduleDeploymentCommand = require('../src/commands/cloudmanager/schedule-deployment')
+const UnscheduleDeploymentCommand = require('../src/commands/cloudmanager/unschedule-deployment')
+const ListEnvironmentVariablesCommand = require('../src/commands/cloudmanager/list-environment-variables')
+const SetEnvironmentVariablesCommand = require('../src/commands/cloudmanager/set-environment-variables')
+const DeleteEnvironmentVariableCommand = require('../src/commands/cloudmanager/delete-environment-variable')
+const DiffEnvironmentVariablesCommand = require('../src/commands/cloudmanager/diff-environment-variables')
+const SyncEnvironmentVariablesCommand = require('../src/commands/cloudmanager/sync-environment-variables')
+const GetProgramCommand = require('../src/commands/cloudmanager/get-program')
+const ListEnvironmentsCommand = require('../src/commands/cloudmanager/list-environments')
+const GetEnvironmentCommand = require('../src/commands/cloudmanager/get-environment')
+const CreateEnvironmentCommand = require('../src/commands/cloudmanager/create-environment')
+const DeleteEnvironmentCommand = require('../src/commands/cloudmanager/delete-environment')
+
+let server
+let now
+
+// the tests move the clock of the server
+function setTime(time) {
+    now = time
+}
+
+function advanceTime(milliseconds) {
+    setTime(now + milliseconds)
+}
+
+function currentStep(execution) {
+    const step = execution._embedded.stepStates.find(step => step.status !== 'FINISHED')
+    return step && `${step.action} ${step.status}`
+}
+
+beforeAll(async () => {
+    server = new MockCloudManager({ stepDuration: 60000, now: () => now })
+    await server.listen()
+})
+
+afterAll(async () => {
+    await server.close()
+})
+
+beforeEach(() => {
+    now = Date.UTC(2019, 8, 10, 10, 0, 0)
+    server.failAction = undefined
+    setStore({
+        'jwt-auth': JSON.stringify({
+            client_id: '1234',
+            jwt_payload: {
+                iss: "good"
+            }
+        }),
+        'cloudmanager': JSON.stringify({
+            base_url: server.url,
+            max_retries: 0
+        }),
+        'cloudmanager_programid': '1'
+    })
+    jest.restoreAllMocks()
+    jest.spyOn(ListExecutionsCommand.prototype, 'log').mockImplementation(() => {})
+})
+
+test('mock-server - requires an access token', async () => {
+    const res = await fetch(`${server.url}/api/programs`)
+    expect(res.status).toBe(401)
+    await expect(res.json()).resolves.toMatchObject({ status: 401, title: 'Missing access token' })
+})
+
+test('mock-server - unknown paths and methods', async () => {
+    const headers = { authorization: 'Bearer fake-token' }
+    expect((await fetch(`${server.url}/api/nothing`, { headers })).status).toBe(404)
+    expect((await fetch(`${server.url}/api/programs`, { method: 'DELETE', headers })).status).toBe(405)
+})
+
+test('mock-server - no access token is requested', async () => {
+    // the plugin itself, which would exchange the JWT with IMS since no token is cached
+    const { accessToken } = jest.requireActual('@adobe/aio-cli-plugin-jwt-auth')
+    jest.spyOn(jwtAuth, 'accessToken').mockImplementation(accessToken)
+    await expect(jwtAuth.accessToken()).rejects.toThrow()
+    jwtAuth.accessToken.mockClear()
+
+    await expect(ListProgramsCommand.run([])).resolves.toMatchObject([{ id: '1', name: 'Demo Program' }])
+    expect(jwtAuth.accessToken).not.toHaveBeenCalled()
+})
+
+test('mock-server - programs and pipelines', async () => {
+    await expect(ListProgramsCommand.run([])).resolves.toMatchObject([{ id: '1', name: 'Demo Program' }])
+    jest.spyOn(GetProgramCommand.prototype, 'log').mockImplementation(() => {})
+    await expect(GetProgramCommand.run([])).resolves.toMatchObject({ id: '1', tenantId: 'demo', type: 'aem_cloud_service', environmentsCount: 3, pipelinesCount: 2 })
+    await expect(ListPipelinesCommand.run([])).resolves.toMatchObject([
+        { id: '1', name: 'Production Pipeline', status: 'IDLE' },
+        { id: '2', name: 'Dev Pipeline', status: 'IDLE' }
+    ])
+})
+
+test('mock-server - repositories and branches', async () => {
+    await expect(ListRepositoriesCommand.run([])).resolves.toMatchObject([{ id: '1', repo: 'demo-site' }])
+    expect((await ListBranchesCommand.run(['1'])).map(branch => branch.name)).toEqual(['main', 'develop'])
+
+    await expect(UpdatePipelineCommand.run(['2', '--branch', 'feature'])).rejects.toSatisfy(err => err.oclif.exit === 13)
+    await expect(UpdatePipelineCommand.run(['2', '--branch', 'main'])).resolves.toMatchObject({ phases: expect.arrayContaining([expect.objectContaining({ name: 'BUILD_1', branch: 'main' })]) })
+    await UpdatePipelineCommand.run(['2', '--branch', 'develop'])
+})
+
+test('mock-server - execution progress', async () => {
+    await expect(StartExecutionCommand.run(['1'])).resolves.toBe(`${server.url}/api/program/1/pipeline/1/execution/1000`)
+    await expect(StartExecutionCommand.run(['1'])).rejects.toSatisfy(err => err.oclif.exit === 14)
+    await expect(ListPipelinesCommand.run([])).resolves.toMatchObject([{ id: '1', status: 'BUSY' }, { id: '2', status: 'IDLE' }])
+
+    expect(currentStep(await GetCurrentExecutionCommand.run(['1']))).toBe('validate RUNNING')
+    advanceTime(2.5 * 60000)
+    expect(currentStep(await GetCurrentExecutionCommand.run(['1']))).toBe('codeQuality RUNNING')
+    await expect(GetQualityGateResultsCommand.run(['1', '1000', 'codeQuality'])).resolves.toEqual(
+        expect.arrayContaining([expect.objectContaining({ kpi: 'coverage', passed: true })])
+    )
+    advanceTime(60 * 60000)
+    expect(currentStep(await GetCurrentExecutionCommand.run(['1']))).toBe('approval WAITING')
+
+    await AdvanceCurrentExecutionCommand.run(['1'])
+    expect(currentStep(await GetCurrentExecutionCommand.run(['1']))).toBe('deploy RUNNING')
+    advanceTime(60000)
+    await expect(GetCurrentExecutionCommand.run(['1'])).resolves.toMatchObject({
+        id: '1000',
+        status: 'FINISHED',
+        createdAt: '2019-09-10T10:00:00.000+0000',
+        finishedAt: '2019-09-10T11:03:30.000+0000'
+    })
+})
+
+test('mock-server - cancel and failure', async () => {
+    await StartExecutionCommand.run(['2'])
+    await CancelCurrentExecutionCommand.run(['2'])
+    await expect(GetCurrentExecutionCommand.run(['2'])).resolves.toMatchObject({ status: 'CANCELLED' })
+
+    server.failAction = 'build'
+    await StartExecutionCommand.run(['2'])
+    advanceTime(10 * 60000)
+    const execution = await GetCurrentExecutionCommand.run(['2'])
+    expect(execution.status).toBe('FAILED')
+    expect(currentStep(execution)).toBe('build FAILED')
+
+    expect((await ListExecutionsCommand.run(['2', '--limit', '0'])).map(execution => execution.status)).toEqual(['FAILED', 'CANCELLED'])
+})
+
+test('mock-server - log downloads', async () => {
+    const outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-'))
+
+    const result = await DownloadLogsCommand.run(['3', 'author', 'aemerror', '2', '--outputDirectory', outputDirectory])
+    expect(result.map(download => download.date)).toEqual(['2019-09-10', '2019-09-09'])
+    expect(fs.readFileSync(result[0].path, 'utf8')).toMatch(/^10\.09\.2019 00:00:00\.000 \*INFO\* \[mock-thread-0\] com\.example\.mock\.Author aemerror message 0 from demo-prod$/m)
+    expect(cli.action.stop.mock.calls[0][0]).toBe(`downloaded 2 files to ${outputDirectory}`)
+
+    const again = await DownloadLogsCommand.run(['3', 'author', 'aemerror', '2', '--outputDirectory', outputDirectory])
+    expect(again.map(download => download.status)).toEqual(['skipped', 'skipped'])
+
+    fs.readdirSync(outputDirectory).forEach(file => fs.unlinkSync(path.join(outputDirectory, file)))
+    fs.rmdirSync(outputDirectory)
+})
+
+test('mock-server - log downloads as json lines', async () => {
+    const outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-'))
+
+    const result = await DownloadLogsCommand.run(['3', 'author', 'aemerror', '--format', 'jsonl', '--outputDirectory', outputDirectory])
+    expect(result.map(download => path.basename(download.path))).toEqual(['3-author-aemerror-2019-09-10.jsonl'])
+    const entries = fs.readFileSync(result[0].path, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    expect(entries.length).toBe(10)
+    expect(entries[4]).toEqual({
+        timestamp: '2019-09-10T00:04:00.000Z',
+        level: 'ERROR',
+        thread: 'mock-thread-4',
+        logger: 'com.example.mock.Author',
+        message: 'aemerror message 4 from demo-prod',
+        format: 'error'
+    })
+
+    fs.readdirSync(outputDirectory).forEach(file => fs.unlinkSync(path.join(outputDirectory, file)))
+    fs.rmdirSync(outputDirectory)
+})
+
+test('mock-server - step artifact downloads', async () => {
+    const outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-'))
+
+    await StartExecutionCommand.run(['2'])
+    advanceTime(10 * 60000)
+    const execution = await GetCurrentExecutionCommand.run(['2'])
+
+    const result = await DownloadStepArtifactsCommand.run(['2', execution.id, '--outputDirectory', outputDirectory])
+    expect(result.artifacts).toMatchObject([{ action: 'codeQuality', name: 'issues.csv', path: `${execution.id}-codeQuality-issues.csv` }])
+    expect(fs.readFileSync(path.join(outputDirectory, result.artifacts[0].path), 'utf8')).toMatch(/^kpi,/)
+
+    fs.readdirSync(outputDirectory).forEach(file => fs.unlinkSync(path.join(outputDirectory, file)))
+    fs.rmdirSync(outputDirectory)
+})
+
+test('mock-server - environment variables', async () => {
+    jest.spyOn(SetEnvironmentVariablesCommand.prototype, 'readStdin').mockResolvedValue('s3cret\n')
+
+    await SetEnvironmentVariablesCommand.run(['2', '-v', 'API_URL=https://api.example.com', '-s', 'API_TOKEN'])
+    await expect(ListEnvironmentVariablesCommand.run(['2'])).resolves.toEqual([
+        { name: 'API_URL', value: 'https://api.example.com', type: 'string' },
+        { name: 'API_TOKEN', type: 'secretString' }
+    ])
+
+    await DeleteEnvironmentVariableCommand.run(['2', 'API_TOKEN'])
+    expect((await ListEnvironmentVariablesCommand.run(['2'])).map(variable => variable.name)).toEqual(['API_URL'])
+    await expect(ListEnvironmentVariablesCommand.run(['1'])).resolves.toEqual([])
+
+    jest.spyOn(SyncEnvironmentVariablesCommand.prototype, 'log').mockImplementation(() => {})
+    await SyncEnvironmentVariablesCommand.run(['2', '1', '--all'])
+    expect((await DiffEnvironmentVariablesCommand.run(['1', '2', '--all', '--json'])).map(item => `${item.name} ${item.change}`)).toEqual(['API_URL unchanged'])
+})
+
+test('mock-server - environment lifecycle', async () => {
+    const created = await CreateEnvironmentCommand.run(['feature-1', '--type', 'dev', '--region', 'va7'])
+    expect(created).toMatchObject({ id: '4', name: 'feature-1', type: 'dev', status: 'ready', namespace: 'cm-p1-e4' })
+    await expect(CreateEnvironmentCommand.run(['feature-1', '--type', 'dev', '--region', 'va7'])).rejects.toSatisfy(err => err.oclif.exit === 14)
+
+    jest.spyOn(GetEnvironmentCommand.prototype, 'log').mockImplementation(() => {})
+    await expect(GetEnvironmentCommand.run(['4', '--json'])).resolves.toMatchObject({ name: 'feature-1', region: 'va7', availableLogOptions: [{ service: 'author', name: 'aemerror' }, { service: 'publish', name: 'aemerror' }] })
+
+    await DeleteEnvironmentCommand.run(['4', '--confirm', 'feature-1'])
+    expect((await ListEnvironmentsCommand.run([])).map(environment => environment.id)).toEqual(['1', '2', '3'])
+})
+
+test('mock-server - scheduled deployment', async () => {
+    await UpdatePipelineCommand.run(['1', '--prodDeploymentMode', 'scheduled', '--phaseProperty', 'DEPLOY:prod.approval=false'])
+    await StartExecutionCommand.run(['1'])
+    advanceTime(70 * 60000)
+    expect(currentStep(await GetCurrentExecutionCommand.run(['1']))).toBe('schedule WAITING')
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60000).toISOString()
+    await ScheduleDeploymentCommand.run(['1', tomorrow])
+    let execution = await GetCurrentExecutionCommand.run(['1'])
+    expect(currentStep(execution)).toBe('schedule WAITING')
+    expect(execution._embedded.stepStates.find(step => step.action === 'schedule').details).toEqual({ scheduledAt: tomorrow.replace('Z', '+0000') })
+
+    await UnscheduleDeploymentCommand.run(['1'])
+    execution = await GetCurrentExecutionCommand.run(['1'])
+    expect(execution._embedded.stepStates.find(step => step.action === 'schedule').details).toBeUndefined()
+
+    await ScheduleDeploymentCommand.run(['1', 'now'])
+    setTime(Date.now() + 2 * 60000)
+    await expect(GetCurrentExecutionCommand.run(['1'])).resolves.toMatchObject({ status: 'FINISHED' })
+})
@@ -0,0 +1,946 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const http = require('http')
+const zlib = require('zlib')
+const _ = require('lodash')
+const moment = require('moment')
+const debug = require('debug')('aio-cli-plugin-cloudmanager:mock-server')
+const { rels } = require('../../src/constants')
+const { variableTypes } = require('../../src/environment-variables')
+
+// steps which wait for someone to advance (or cancel) them
+const waitingActions = ['approval', 'schedule', 'managed']
+const metricsActions = ['codeQuality', 'securityTest', 'reportPerformanceTest']
+const logActions = ['build', 'codeQuality', 'deploy']
+const reportNames = {
+    codeQuality: 'issues.csv',
+    securityTest: 'security-tests.csv',
+    reportPerformanceTest: 'performance-report.csv'
+}
+
+function initialState() {
+    return {
+        programs: [{
+            id: '1',
+            name: 'Demo Program',
+            enabled: true,
+            tenantId: 'demo',
+            type: 'aem_cloud_service',
+            createdAt: '2019-09-01T00:00:00.000+0000'
+        }],
+        environments: [
+            { id: '1', programId: '1', name: 'demo-dev', type: 'dev' },
+            { id: '2', programId: '1', name: 'demo-stage', type: 'stage' },
+            { id: '3', programId: '1', name: 'demo-prod', type: 'prod' }
+        ].map(environment => ({
+            ...environment,
+            description: `${environment.type} environment of the demo program`,
+            status: 'ready',
+            region: 'va7',
+            namespace: `cm-p${environment.programId}-e${environment.id}`,
+            cluster: 'mock-cluster',
+            availableLogOptions: [
+                { service: 'author', name: 'aemerror' },
+                { service: 'author', name: 'aemrequest' },
+                { service: 'publish', name: 'aemerror' }
+            ]
+        })),
+        repositories: [
+            { id: '1', programId: '1', repo: 'demo-site', description: 'the code of the demo site', branches: ['main', 'develop'] }
+        ],
+        pipelines: [{
+            id: '1',
+            programId: '1',
+            name: 'Production Pipeline',
+            trigger: 'MANUAL',
+            phases: [
+                { name: 'VALIDATE', type: 'VALIDATE' },
+                { name: 'BUILD_1', type: 'BUILD', repositoryId: '1', branch: 'main' },
+                { name: 'DEPLOY_STAGE', type: 'DEPLOY', environmentId: '2', environmentType: 'stage' },
+                { name: 'DEPLOY_PROD', type: 'DEPLOY', environmentId: '3', environmentType: 'prod', approval: true, scheduled: false, cseOversight: false }
+            ]
+        }, {
+            id: '2',
+            programId: '1',
+            name: 'Dev Pipeline',
+            trigger: 'ON_COMMIT',
+            phases: [
+                { name: 'VALIDATE', type: 'VALIDATE' },
+                { name: 'BUILD_1', type: 'BUILD', repositoryId: '1', branch: 'develop' },
+                { name: 'DEPLOY_DEV', type: 'DEPLOY', environmentId: '1', environmentType: 'dev' }
+            ]
+        }],
+        executions: [],
+        nextPipelineId: 3,
+        nextEnvironmentId: 4,
+        nextExecutionId: 1000,
+        nextStepId: 1,
+        // by environment id
+        variables: {}
+    }
+}
+
+function stepsForPhase(phase) {
+    switch (phase.type) {
+        case 'VALIDATE':
+            return [{ action: 'validate' }]
+        case 'BUILD':
+            return [{ action: 'build' }, { action: 'codeQuality' }]
+        case 'DEPLOY': {
+            const environment = { environmentId: phase.environmentId, environmentType: phase.environmentType }
+            if (phase.environmentType === 'prod') {
+                return _.compact([
+                    phase.approval && { action: 'approval' },
+                    phase.scheduled && { action: 'schedule' },
+                    phase.cseOversight && { action: 'managed' },
+                    { action: 'deploy', ...environment }
+                ])
+            } else if (phase.environmentType === 'stage') {
+                return [{ action: 'deploy', ...environment }].concat(['securityTest', 'loadTest', 'assetsTest', 'reportPerformanceTest'].map(action => ({ action })))
+            }
+            return [{ action: 'deploy', ...environment }]
+        }
+        default:
+            return []
+    }
+}
+
+function toTime(milliseconds) {
+    return milliseconds === undefined ? undefined : moment.utc(milliseconds).format('YYYY-MM-DDTHH:mm:ss.SSSZZ')
+}
+
+function sampleLog(environment, service, name, date) {
+    const day = moment.utc(date, 'YYYY-MM-DD')
+    return _.range(10).map(index => {
+        const time = day.clone().add(index, 'minutes').format('DD.MM.YYYY HH:mm:ss.SSS')
+        const level = index % 5 === 4 ? 'ERROR' : 'INFO'
+        return `${time} *${level}* [mock-thread-${index}] com.example.mock.${_.upperFirst(service)} ${name} message ${index} from ${environment.name}`
+    }).join('\n') + '\n'
+}
+
+function problem(status, title) {
+    return {
+        status,
+        body: {
+            type: `http://ns.adobe.com/adobecloud/problem/${_.kebabCase(http.STATUS_CODES[status])}`,
+            title,
+            status
+        }
+    }
+}
+
+/**
+ * An in-memory, HAL-compliant imitation of the Cloud Manager API, for offline development, demos and
+ * integration tests. Executions progress by themselves: each step runs for stepDuration milliseconds and
+ * approval, schedule and managed steps wait until they are advanced or cancelled.
+ */
+class MockCloudManager {
+    /**
+     * @param {object} options the options
+     * @param {number} options.stepDuration how long each step runs, in milliseconds
+     * @param {string} options.failAction the action of the step that should fail, if any
+     * @param {function} options.now returns the current time in milliseconds
+     */
+    constructor(options = {}) {
+        this.stepDuration = options.stepDuration === undefined ? 5000 : options.stepDuration
+        this.failAction = options.failAction
+        this.now = options.now || Date.now
+        this.state = initialState()
+        this.server = http.createServer((req, res) => this._handle(req, res))
+        this.routes = [
+            ['GET', /^\/api\/programs$/, this._listPrograms],
+            ['GET', /^\/api\/program\/(\w+)$/, this._getProgram],
+            ['GET', /^\/api\/program\/(\w+)\/pipelines$/, this._listPipelines],
+            ['POST', /^\/api\/program\/(\w+)\/pipelines$/, this._createPipeline],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)$/, this._getPipeline],
+            ['PATCH', /^\/api\/program\/(\w+)\/pipeline\/(\w+)$/, this._updatePipeline],
+            ['DELETE', /^\/api\/program\/(\w+)\/pipeline\/(\w+)$/, this._deletePipeline],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution$/, this._getCurrentExecution],
+            ['PUT', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution$/, this._startExecution],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/executions$/, this._listExecutions],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)$/, this._getExecution],
+            ['PUT', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)\/phase\/\w+\/step\/(\w+)\/advance$/, this._advanceStep],
+            ['PUT', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)\/phase\/\w+\/step\/(\w+)\/cancel$/, this._cancelStep],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)\/phase\/\w+\/step\/(\w+)\/metrics$/, this._getMetrics],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)\/phase\/\w+\/step\/(\w+)\/logs$/, this._getStepLog],
+            ['GET', /^\/api\/program\/(\w+)\/pipeline\/(\w+)\/execution\/(\w+)\/phase\/\w+\/step\/(\w+)\/report$/, this._getStepReport],
+            ['GET', /^\/api\/program\/(\w+)\/repositories$/, this._listRepositories],
+            ['GET', /^\/api\/program\/(\w+)\/repository\/(\w+)\/branches$/, this._listBranches],
+            ['GET', /^\/api\/program\/(\w+)\/environments$/, this._listEnvironments],
+            ['POST', /^\/api\/program\/(\w+)\/environments$/, this._createEnvironment],
+            ['GET', /^\/api\/program\/(\w+)\/environment\/(\w+)$/, this._getEnvironment],
+            ['DELETE', /^\/api\/program\/(\w+)\/environment\/(\w+)$/, this._deleteEnvironment],
+            ['GET', /^\/api\/program\/(\w+)\/environment\/(\w+)\/logs$/, this._getLogs],
+            ['GET', /^\/api\/program\/(\w+)\/environment\/(\w+)\/logs\/download$/, this._downloadLog],
+            ['GET', /^\/api\/program\/(\w+)\/environment\/(\w+)\/variables$/, this._getVariables],
+            ['PATCH', /^\/api\/program\/(\w+)\/environment\/(\w+)\/variables$/, this._patchVariables],
+            ['GET', /^\/files\/step-logs\/(\w+)\/(\w+)$/, this._getStepLogFile],
+            ['GET', /^\/files\/reports\/(\w+)\/(\w+)$/, this._getStepReportFile],
+            ['GET', /^\/files\/logs\/(\w+)\/(\w+)\/(\w+)\/([\d-]+)\.log(\.gz)?$/, this._getLogFile],
+            ['HEAD', /^\/files\/logs\/(\w+)\/(\w+)\/(\w+)\/([\d-]+)\.log(\.gz)?$/, this._getLogFile]
+        ]
+    }
+
+    /**
+     * Starts listening.
+     * @param {number} port the port. if 0, a free port is chosen
+     * @param {string} host the host name or address to listen on
+     * @returns {string} the base url of the server
+     */
+    async listen(port = 0, host = '127.0.0.1') {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject)
+            this.server.listen(port, host, resolve)
+        })
+        // IPv6 addresses are bracketed in URLs
+        this.url = `http://${host.includes(':') ? `[${host}]` : host}:${this.server.address().port}`
+        return this.url
+    }
+
+    async close() {
+        return new Promise(resolve => this.server.close(resolve))
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost')
+        debug(`${req.method} ${req.url}`)
+
+        let response
+        try {
+            if (!url.pathname.startsWith('/files/') && !req.headers.authorization) {
+                response = problem(401, 'Missing access token')
+            } else {
+                const route = this.routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname))
+                if (route) {
+                    const body = await this._readBody(req)
+                    const params = route[1].exec(url.pathname).slice(1)
+                    response = route[2].call(this, { params, query: url.searchParams, headers: req.headers, body, baseUrl: `http://${req.headers.host}` })
+                } else if (this.routes.some(([, pattern]) => pattern.test(url.pathname))) {
+                    response = problem(405, `${req.method} is not supported for ${url.pathname}`)
+                } else {
+                    response = problem(404, `${url.pathname} does not exist`)
+                }
+            }
+        } catch (error) {
+            response = problem(400, error.message)
+        }
+
+        const headers = response.headers || {}
+        let content = response.body
+        if (content !== undefined && !Buffer.isBuffer(content) && typeof content !== 'string') {
+            content = JSON.stringify(content)
+            headers['content-type'] = headers['content-type'] || 'application/hal+json'
+        }
+        if (content !== undefined) {
+            headers['content-length'] = Buffer.byteLength(content)
+        }
+        res.writeHead(response.status || 200, headers)
+        res.end(req.method === 'HEAD' ? undefined : content)
+    }
+
+    async _readBody(req) {
+        const chunks = []
+        for await (const chunk of req) {
+            chunks.push(chunk)
+        }
+        const text = Buffer.concat(chunks).toString('utf8')
+        return text ? JSON.parse(text) : undefined
+    }
+
+    _program(programId) {
+        return this.state.programs.find(program => program.id === programId)
+    }
+
+    _pipeline(programId, pipelineId) {
+        return this.state.pipelines.find(pipeline => pipeline.programId === programId && pipeline.id === pipelineId)
+    }
+
+    _environment(programId, environmentId) {
+        return this.state.environments.find(environment => environment.programId === programId && environment.id === environmentId)
+    }
+
+    _executions(pipeline) {
+        return this.state.executions.filter(execution => execution.pipelineId === pipeline.id && execution.programId === pipeline.programId)
+            .map(execution => this._progress(execution))
+            .reverse()
+    }
+
+    _execution(programId, pipelineId, executionId) {
+        const execution = this.state.executions.find(execution => execution.programId === programId && execution.pipelineId === pipelineId && execution.id === executionId)
+        return execution && this._progress(execution)
+    }
+
+    _isBusy(pipeline) {
+        return this._executions(pipeline).some(execution => execution.status === 'RUNNING')
+    }
+
+    _startStep(execution, step, at) {
+        step.startedAt = at
+        step.status = waitingActions.includes(step.action) ? 'WAITING' : 'RUNNING'
+        execution.updatedAt = at
+    }
+
+    _finishExecution(execution, status, at) {
+        execution.status = status
+        execution.finishedAt = at
+        execution.updatedAt = at
+    }
+
+    /**
+     * Moves an execution forward to where it would be now.
+     */
+    _progress(execution) {
+        const now = this.now()
+        while (execution.status === 'RUNNING') {
+            const step = execution.steps.find(step => step.status !== 'FINISHED')
+            if (!step) {
+                this._finishExecution(execution, 'FINISHED', execution.updatedAt)
+            } else if (step.status === 'NOT_STARTED') {
+                this._startStep(execution, step, execution.updatedAt)
+            } else if (step.status === 'WAITING' && step.scheduledAt && now >= step.scheduledAt) {
+                step.status = 'FINISHED'
+                step.finishedAt = Math.max(step.scheduledAt, step.startedAt)
+                execution.updatedAt = step.finishedAt
+            } else if (step.status === 'RUNNING' && now >= step.startedAt + this.stepDuration) {
+                step.finishedAt = step.startedAt + this.stepDuration
+                execution.updatedAt = step.finishedAt
+                if (step.action === this.failAction) {
+                    step.status = 'FAILED'
+                    this._finishExecution(execution, 'FAILED', step.finishedAt)
+                } else {
+                    step.status = 'FINISHED'
+                }
+            } else {
+                break
+            }
+        }
+        return execution
+    }
+
+    _programLinks(program) {
+        return {
+            self: { href: `/api/program/${program.id}` },
+            [rels.pipelines]: { href: `/api/program/${program.id}/pipelines` },
+            [rels.environments]: { href: `/api/program/${program.id}/environments` },
+            [rels.repositories]: { href: `/api/program/${program.id}/repositories` }
+        }
+    }
+
+    _renderPipeline(pipeline) {
+        const base = `/api/program/${pipeline.programId}/pipeline/${pipeline.id}`
+        const executions = this._executions(pipeline)
+        return {
+            ..._.cloneDeep(pipeline),
+            status: this._isBusy(pipeline) ? 'BUSY' : 'IDLE',
+            lastStartedAt: executions.length > 0 ? toTime(executions[0].createdAt) : undefined,
+            lastFinishedAt: executions.length > 0 ? toTime(executions[0].finishedAt) : undefined,
+            _links: {
+                self: { href: base },
+                [rels.execution]: { href: `${base}/execution` },
+                [rels.executions]: { href: `${base}/executions` },
+                [rels.executionId]: { href: `${base}/execution/{executionId}`, templated: true }
+            }
+        }
+    }
+
+    _renderStep(execution, step) {
+        const base = `/api/program/${execution.programId}/pipeline/${execution.pipelineId}/execution/${execution.id}/phase/${step.phaseId}/step/${step.id}`
+        const links = {
+            self: { href: base }
+        }
+        if (metricsActions.includes(step.action)) {
+            links[rels.metrics] = { href: `${base}/metrics` }
+        }
+        if (logActions.includes(step.action)) {
+            links[rels.stepLogs] = { href: `${base}/logs` }
+        }
+        if (reportNames[step.action] && (step.status === 'FINISHED' || step.status === 'FAILED')) {
+            links[rels.stepReport] = [{ href: `${base}/report`, name: reportNames[step.action], type: 'text/csv' }]
+        }
+        if (execution.status === 'RUNNING' && (step.status === 'RUNNING' || step.status === 'WAITING')) {
+            links[rels.cancel] = { href: `${base}/cancel` }
+            if (step.status === 'WAITING') {
+                links[rels.advance] = { href: `${base}/advance` }
+            }
+        }
+        return _.omitBy({
+            id: step.id,
+            stepId: step.id,
+            phaseId: step.phaseId,
+            executionId: execution.id,
+            pipelineId: execution.pipelineId,
+            programId: execution.programId,
+            action: step.action,
+            environmentType: step.environmentType,
+            environmentId: step.environmentId,
+            status: step.status,
+            startedAt: toTime(step.startedAt),
+            finishedAt: toTime(step.finishedAt),
+            updatedAt: toTime(step.finishedAt || step.startedAt),
+            details: step.scheduledAt ? { scheduledAt: toTime(step.scheduledAt) } : undefined,
+            _links: links
+        }, _.isUndefined)
+    }
+
+    _renderExecution(execution) {
+        return _.omitBy({
+            id: execution.id,
+            programId: execution.programId,
+            pipelineId: execution.pipelineId,
+            artifactsVersion: execution.artifactsVersion,
+            user: execution.user,
+            trigger: execution.trigger,
+            status: execution.status,
+            createdAt: toTime(execution.createdAt),
+            updatedAt: toTime(execution.updatedAt),
+            finishedAt: toTime(execution.finishedAt),
+            _embedded: {
+                stepStates: execution.steps.map(step => this._renderStep(execution, step))
+            },
+            _links: {
+                self: { href: `/api/program/${execution.programId}/pipeline/${execution.pipelineId}/execution/${execution.id}` }
+            }
+        }, _.isUndefined)
+    }
+
+    _listPrograms() {
+        return {
+            body: {
+                _embedded: {
+                    programs: this.state.programs.map(program => ({
+                        ...program,
+                        _links: this._programLinks(program)
+                    }))
+                },
+                _links: {
+                    self: { href: '/api/programs' }
+                }
+            }
+        }
+    }
+
+    _getProgram({ params: [programId] }) {
+        const program = this._program(programId)
+        if (!program) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        return {
+            body: {
+                ...program,
+                _links: this._programLinks(program)
+            }
+        }
+    }
+
+    _listPipelines({ params: [programId] }) {
+        if (!this._program(programId)) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        return {
+            body: {
+                _embedded: {
+                    pipelines: this.state.pipelines.filter(pipeline => pipeline.programId === programId).map(pipeline => this._renderPipeline(pipeline))
+                },
+                _links: {
+                    self: { href: `/api/program/${programId}/pipelines` }
+                }
+            }
+        }
+    }
+
+    _listRepositories({ params: [programId] }) {
+        if (!this._program(programId)) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        return {
+            body: {
+                _embedded: {
+                    repositories: this.state.repositories.filter(repository => repository.programId === programId).map(repository => ({
+                        ..._.omit(repository, 'branches'),
+                        _links: {
+                            self: { href: `/api/program/${programId}/repository/${repository.id}` },
+                            [rels.branches]: { href: `/api/program/${programId}/repository/${repository.id}/branches` }
+                        }
+                    }))
+                },
+                _links: {
+                    self: { href: `/api/program/${programId}/repositories` }
+                }
+            }
+        }
+    }
+
+    _listBranches({ params: [programId, repositoryId] }) {
+        const repository = this.state.repositories.find(repository => repository.programId === programId && repository.id === repositoryId)
+        if (!repository) {
+            return problem(404, `Repository ${repositoryId} does not exist`)
+        }
+        return {
+            body: {
+                _embedded: {
+                    branches: repository.branches.map(name => ({ name }))
+                },
+                _links: {
+                    self: { href: `/api/program/${programId}/repository/${repositoryId}/branches` }
+                }
+            }
+        }
+    }
+
+    _createPipeline({ params: [programId], body }) {
+        if (!this._program(programId)) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        if (!body || !body.name || !Array.isArray(body.phases)) {
+            return problem(400, 'A pipeline needs a name and phases')
+        }
+        const pipeline = {
+            ..._.omit(body, ['id', 'status', '_links']),
+            id: String(this.state.nextPipelineId++),
+            programId
+        }
+        this.state.pipelines.push(pipeline)
+        return {
+            status: 201,
+            body: this._renderPipeline(pipeline)
+        }
+    }
+
+    _getPipeline({ params: [programId, pipelineId] }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        return { body: this._renderPipeline(pipeline) }
+    }
+
+    _updatePipeline({ params: [programId, pipelineId], body = {} }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        Object.assign(pipeline, _.omit(body, ['id', 'programId', 'status', 'phases', '_links']))
+        ;(body.phases || []).forEach(patchPhase => {
+            const phase = pipeline.phases.find(phase => phase.name === patchPhase.name)
+            if (phase) {
+                Object.assign(phase, patchPhase)
+            }
+        })
+        return { body: this._renderPipeline(pipeline) }
+    }
+
+    _deletePipeline({ params: [programId, pipelineId] }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        if (this._isBusy(pipeline)) {
+            return problem(412, `Pipeline ${pipelineId} is running`)
+        }
+        _.pull(this.state.pipelines, pipeline)
+        return { status: 204 }
+    }
+
+    _getCurrentExecution({ params: [programId, pipelineId] }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        const execution = this._executions(pipeline)[0]
+        if (!execution) {
+            return problem(404, `Pipeline ${pipelineId} has not been executed yet`)
+        }
+        return { body: this._renderExecution(execution) }
+    }
+
+    _startExecution({ params: [programId, pipelineId], baseUrl }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        if (this._isBusy(pipeline)) {
+            return problem(412, `Pipeline ${pipelineId} is already running`)
+        }
+        const now = this.now()
+        const id = String(this.state.nextExecutionId++)
+        const execution = {
+            id,
+            programId,
+            pipelineId,
+            artifactsVersion: `${moment.utc(now).format('YYYY.DDDD.HHmmss')}.${_.padStart(id, 10, '0')}`,
+            user: 'mock-user@AdobeID',
+            trigger: 'MANUAL',
+            status: 'RUNNING',
+            createdAt: now,
+            updatedAt: now,
+            steps: _.flatMap(pipeline.phases, (phase, index) => stepsForPhase(phase).map(step => ({
+                ...step,
+                id: String(this.state.nextStepId++),
+                phaseId: String(index + 1),
+                status: 'NOT_STARTED'
+            })))
+        }
+        this.state.executions.push(execution)
+        return {
+            status: 201,
+            headers: {
+                location: `${baseUrl}/api/program/${programId}/pipeline/${pipelineId}/execution/${id}`
+            },
+            body: this._renderExecution(this._progress(execution))
+        }
+    }
+
+    _listExecutions({ params: [programId, pipelineId], query }) {
+        const pipeline = this._pipeline(programId, pipelineId)
+        if (!pipeline) {
+            return problem(404, `Pipeline ${pipelineId} does not exist`)
+        }
+        const executions = this._executions(pipeline)
+        const start = parseInt(query.get('start') || '0', 10)
+        const limit = parseInt(query.get('limit') || '20', 10)
+        const base = `/api/program/${programId}/pipeline/${pipelineId}/executions`
+        const links = {
+            self: { href: `${base}?start=${start}&limit=${limit}` }
+        }
+        if (start + limit < executions.length) {
+            links.next = { href: `${base}?start=${start + limit}&limit=${limit}` }
+        }
+        return {
+            body: {
+                _totalNumberOfItems: executions.length,
+                _page: { limit },
+                _embedded: {
+                    executions: executions.slice(start, start + limit).map(execution => this._renderExecution(execution))
+                },
+                _links: links
+            }
+        }
+    }
+
+    _getExecution({ params: [programId, pipelineId, executionId] }) {
+        const execution = this._execution(programId, pipelineId, executionId)
+        if (!execution) {
+            return problem(404, `Execution ${executionId} does not exist`)
+        }
+        return { body: this._renderExecution(execution) }
+    }
+
+    _findStep(programId, pipelineId, executionId, stepId) {
+        const execution = this._execution(programId, pipelineId, executionId)
+        return {
+            execution,
+            step: execution && execution.steps.find(step => step.id === stepId)
+        }
+    }
+
+    _advanceStep({ params: [programId, pipelineId, executionId, stepId], body }) {
+        const { execution, step } = this._findStep(programId, pipelineId, executionId, stepId)
+        if (!step) {
+            return problem(404, `Step ${stepId} does not exist`)
+        }
+        if (execution.status !== 'RUNNING' || step.status !== 'WAITING') {
+            return problem(412, `Step ${stepId} is not waiting`)
+        }
+        // a schedule step waits until the time it is scheduled for, which can be changed or removed
+        if (step.action === 'schedule' && body && _.has(body, 'scheduledAt')) {
+            const scheduledAt = body.scheduledAt === null ? null : Date.parse(body.scheduledAt)
+            if (Number.isNaN(scheduledAt)) {
+                return problem(400, `Invalid scheduledAt ${body.scheduledAt}`)
+            }
+            step.scheduledAt = scheduledAt
+            this._progress(execution)
+            return { status: 202, body: {} }
+        }
+        const now = this.now()
+        step.status = 'FINISHED'
+        step.finishedAt = now
+        execution.updatedAt = now
+        this._progress(execution)
+        return { status: 202, body: {} }
+    }
+
+    _cancelStep({ params: [programId, pipelineId, executionId, stepId] }) {
+        const { execution, step } = this._findStep(programId, pipelineId, executionId, stepId)
+        if (!step) {
+            return problem(404, `Step ${stepId} does not exist`)
+        }
+        if (execution.status !== 'RUNNING' || (step.status !== 'WAITING' && step.status !== 'RUNNING')) {
+            return problem(412, `Step ${stepId} is not running`)
+        }
+        const now = this.now()
+        step.status = 'CANCELLED'
+        step.finishedAt = now
+        this._finishExecution(execution, 'CANCELLED', now)
+        return { status: 202, body: {} }
+    }
+
+    _metrics(step) {
+        const passed = step.action !== this.failAction
+        return [
+            { id: `${step.id}1`, severity: 'critical', passed: true, override: false, actualValue: 'A', expectedValue: 'B', comparator: 'GTE', kpi: 'reliability_rating' },
+            { id: `${step.id}2`, severity: 'important', passed, override: false, actualValue: passed ? '82.5' : '42.5', expectedValue: '50', comparator: 'GTE', kpi: 'coverage' },
+            { id: `${step.id}3`, severity: 'informational', passed: true, override: false, actualValue: '0.5', expectedValue: '1', comparator: 'LTE', kpi: 'duplicated_lines_density' }
+        ]
+    }
+
+    _getMetrics({ params: [programId, pipelineId, executionId, stepId] }) {
+        const { step } = this._findStep(programId, pipelineId, executionId, stepId)
+        if (!step || !metricsActions.includes(step.action)) {
+            return problem(404, `Step ${stepId} does not have metrics`)
+        }
+        return {
+            body: {
+                metrics: this._metrics(step)
+            }
+        }
+    }
+
+    _getStepReport({ params: [programId, pipelineId, executionId, stepId], baseUrl }) {
+        const { step } = this._findStep(programId, pipelineId, executionId, stepId)
+        if (!step || !reportNames[step.action] || (step.status !== 'FINISHED' && step.status !== 'FAILED')) {
+            return problem(404, `Step ${stepId} does not have a report`)
+        }
+        return {
+            body: {
+                redirect: `${baseUrl}/files/reports/${executionId}/${stepId}`
+            }
+        }
+    }
+
+    _getStepReportFile({ params: [executionId, stepId] }) {
+        const execution = this.state.executions.find(execution => execution.id === executionId)
+        const step = execution && execution.steps.find(step => step.id === stepId)
+        if (!step || !reportNames[step.action]) {
+            return problem(404, `Report for step ${stepId} does not exist`)
+        }
+        const rows = this._metrics(step).map(metric => [metric.kpi, metric.severity, metric.comparator, metric.expectedValue, metric.actualValue, metric.passed].join(','))
+        return {
+            headers: { 'content-type': 'text/csv' },
+            body: ['kpi,severity,comparator,expectedValue,actualValue,passed'].concat(rows).join('\n') + '\n'
+        }
+    }
+
+    _getStepLog({ params: [programId, pipelineId, executionId, stepId], baseUrl }) {
+        const { step } = this._findStep(programId, pipelineId, executionId, stepId)
+        if (!step || !logActions.includes(step.action) || step.status === 'NOT_STARTED') {
+            return problem(404, `Step ${stepId} does not have a log`)
+        }
+        return {
+            body: {
+                redirect: `${baseUrl}/files/step-logs/${executionId}/${stepId}`
+            }
+        }
+    }
+
+    _getStepLogFile({ params: [executionId, stepId] }) {
+        const execution = this.state.executions.find(execution => execution.id === executionId)
+        const step = execution && execution.steps.find(step => step.id === stepId)
+        if (!step) {
+            return problem(404, `Log for step ${stepId} does not exist`)
+        }
+        return {
+            headers: { 'content-type': 'text/plain' },
+            body: `${toTime(step.startedAt)} [mock] ${step.action} step of execution ${executionId}: ${step.status}\n`
+        }
+    }
+
+    _renderEnvironment(environment) {
+        const base = `/api/program/${environment.programId}/environment/${environment.id}`
+        return {
+            ...environment,
+            _links: {
+                self: { href: base },
+                [rels.logs]: { href: `${base}/logs?service={service}&name={name}&days={days}`, templated: true },
+                [rels.variables]: { href: `${base}/variables` }
+            }
+        }
+    }
+
+    _renderVariables(environment) {
+        return {
+            _embedded: {
+                // like Cloud Manager, the values of secrets are never returned
+                variables: (this.state.variables[environment.id] || []).map(variable => variable.type === 'secretString' ? _.omit(variable, 'value') : variable)
+            },
+            _links: {
+                self: { href: `/api/program/${environment.programId}/environment/${environment.id}/variables` }
+            }
+        }
+    }
+
+    _getVariables({ params: [programId, environmentId] }) {
+        const environment = this._environment(programId, environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        return { body: this._renderVariables(environment) }
+    }
+
+    // variables without a value are deleted
+    _patchVariables({ params: [programId, environmentId], body }) {
+        const environment = this._environment(programId, environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        if (!Array.isArray(body) || body.some(variable => !variable.name || !variableTypes.includes(variable.type))) {
+            return problem(400, 'Variables are given as an array of objects with a name, type (string or secretString) and value')
+        }
+        const names = body.map(variable => variable.name)
+        const unchanged = (this.state.variables[environmentId] || []).filter(variable => !names.includes(variable.name))
+        this.state.variables[environmentId] = unchanged.concat(body.filter(variable => variable.value !== undefined).map(variable => _.pick(variable, ['name', 'value', 'type'])))
+        return { body: this._renderVariables(environment) }
+    }
+
+    _listEnvironments({ params: [programId] }) {
+        if (!this._program(programId)) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        return {
+            body: {
+                _embedded: {
+                    environments: this.state.environments.filter(environment => environment.programId === programId).map(environment => this._renderEnvironment(environment))
+                },
+                _links: {
+                    self: { href: `/api/program/${programId}/environments` }
+                }
+            }
+        }
+    }
+
+    _getEnvironment({ params: [programId, environmentId] }) {
+        const environment = this._environment(programId, environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        return { body: this._renderEnvironment(environment) }
+    }
+
+    _createEnvironment({ params: [programId], body }) {
+        if (!this._program(programId)) {
+            return problem(404, `Program ${programId} does not exist`)
+        }
+        if (!body || !body.name || !['dev', 'stage', 'prod'].includes(body.type) || !body.region) {
+            return problem(400, 'An environment needs a name, a type (dev, stage or prod) and a region')
+        }
+        if (this.state.environments.some(environment => environment.programId === programId && environment.name === body.name)) {
+            return problem(409, `Environment ${body.name} already exists`)
+        }
+        const id = String(this.state.nextEnvironmentId++)
+        const environment = {
+            id,
+            programId,
+            name: body.name,
+            type: body.type,
+            description: body.description,
+            // unlike Cloud Manager, which takes a while to create an environment, the mock creates it at once
+            status: 'ready',
+            region: body.region,
+            namespace: `cm-p${programId}-e${id}`,
+            cluster: 'mock-cluster',
+            availableLogOptions: [
+                { service: 'author', name: 'aemerror' },
+                { service: 'publish', name: 'aemerror' }
+            ]
+        }
+        this.state.environments.push(environment)
+        return {
+            status: 201,
+            body: this._renderEnvironment(environment)
+        }
+    }
+
+    _deleteEnvironment({ params: [programId, environmentId] }) {
+        const environment = this._environment(programId, environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        _.pull(this.state.environments, environment)
+        delete this.state.variables[environmentId]
+        return { status: 204 }
+    }
+
+    _getLogs({ params: [programId, environmentId], query, baseUrl }) {
+        const environment = this._environment(programId, environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        const service = query.get('service')
+        const name = query.get('name')
+        const days = parseInt(query.get('days') || '1', 10)
+        if (!environment.availableLogOptions.some(option => option.service === service && option.name === name)) {
+            return problem(400, `${service} ${name} logs are not available for environment ${environmentId}`)
+        }
+        const base = `/api/program/${programId}/environment/${environmentId}`
+        return {
+            body: {
+                service: [service],
+                name: [name],
+                days,
+                _embedded: {
+                    downloads: _.range(days).map(day => {
+                        const date = moment.utc(this.now()).subtract(day, 'days').format('YYYY-MM-DD')
+                        const links = {
+                            [rels.logsDownload]: { href: `${base}/logs/download?service=${service}&name=${name}&date=${date}` }
+                        }
+                        if (day === 0) {
+                            links[rels.logsTail] = { href: `${baseUrl}/files/logs/${environmentId}/${service}/${name}/${date}.log` }
+                        }
+                        return { service, name, date, programId, environmentId, _links: links }
+                    })
+                },
+                _links: {
+                    [rels.environments]: { href: base }
+                }
+            }
+        }
+    }
+
+    _downloadLog({ params: [programId, environmentId], query, baseUrl }) {
+        if (!this._environment(programId, environmentId)) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        return {
+            body: {
+                redirect: `${baseUrl}/files/logs/${environmentId}/${query.get('service')}/${query.get('name')}/${query.get('date')}.log.gz`
+            }
+        }
+    }
+
+    _getLogFile({ params: [environmentId, service, name, date, gzipped], headers }) {
+        const environment = this.state.environments.find(environment => environment.id === environmentId)
+        if (!environment) {
+            return problem(404, `Environment ${environmentId} does not exist`)
+        }
+        const content = sampleLog(environment, service, name, date)
+        const buffer = gzipped ? zlib.gzipSync(content) : Buffer.from(content)
+        const contentType = gzipped ? 'application/gzip' : 'text/plain'
+        const range = /^bytes=(\d+)-$/.exec(headers.range || '')
+        if (range) {
+            const start = parseInt(range[1], 10)
+            if (start >= buffer.length) {
+                return { status: 416, headers: { 'content-range': `bytes */${buffer.length}` } }
+            }
+            return {
+                status: 206,
+                headers: { 'content-type': contentType, 'content-range': `bytes ${start}-${buffer.length - 1}/${buffer.length}` },
+                body: buffer.slice(start)
+            }
+        }
+        return {
+            headers: { 'content-type': contentType, 'accept-ranges': 'bytes' },
+            body: buffer
+        }
+    }
+}
+
+module.exports = MockCloudManager
@@ -0,0 +1,51 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Command, flags } = require('@oclif/command')
+const MockCloudManager = require('./mock-cloud-manager')
+
+class MockServerCommand extends Command {
+  async run () {
+    const { flags } = this.parse(MockServerCommand)
+
+    const server = await this.startServer(flags.port, flags.host, {
+      stepDuration: flags.stepDuration * 1000,
+      failAction: flags.failAction
+    })
+
+    this.log(`Mock Cloud Manager API listening on ${server.url}`)
+    this.log(`To use it, run: aio config:set cloudmanager.base_url ${server.url}`)
+
+    return server
+  }
+
+  async startServer (port, host, options) {
+    const server = new MockCloudManager(options)
+    await server.listen(port, host)
+    return server
+  }
+}
+
+MockServerCommand.description = 'start a local imitation of the Cloud Manager API for offline development, demos and integration tests'
+
+MockServerCommand.flags = {
+  port: flags.integer({ description: 'the port to listen on', default: 8080 }),
+  host: flags.string({ description: 'the host name or address to listen on', default: '127.0.0.1' }),
+  stepDuration: flags.integer({ description: 'how long each execution step runs, in seconds', default: 5 }),
+  failAction: flags.string({ description: 'the action of the execution step which should fail, e.g. build' })
+}
+
+module.exports = MockServerCommand
+
+if (require.main === module) {
+  MockServerCommand.run().catch(require('@oclif/errors/handle'))
+}
@@ -0,0 +1,43 @@
+/*
+Copyright 2019 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const MockServerCommand = require('./start')
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+})
+
+test('mock-server - starts the server', async () => {
+    const log = jest.spyOn(MockServerCommand.prototype, 'log').mockImplementation(() => {})
+
+    const server = await MockServerCommand.run(["--port", "0", "--stepDuration", "1", "--failAction", "build"])
+
+    expect(server.stepDuration).toBe(1000)
+    expect(server.failAction).toBe('build')
+    expect(server.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/)
+    expect(log.mock.calls).toEqual([
+        [`Mock Cloud Manager API listening on ${server.url}`],
+        [`To use it, run: aio config:set cloudmanager.base_url ${server.url}`]
+    ])
+
+    await server.close()
+})
+
+test('mock-server - IPv6 host', async () => {
+    jest.spyOn(MockServerCommand.prototype, 'log').mockImplementation(() => {})
+
+    const server = await MockServerCommand.run(["--port", "0", "--host", "::1"])
+
+    expect(server.url).toMatch(/^http:\/\/\[::1\]:\d+$/)
+
+    await server.close()
+})